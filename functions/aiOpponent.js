@@ -0,0 +1,191 @@
+const { FieldValue } = require('firebase-admin/firestore');
+const { HttpsError } = require('firebase-functions/v2/https');
+const { logger } = require('firebase-functions');
+const { callLLM } = require('./llm');
+const { MAX_WORDS_PER_DEBATE_TOTAL, AI_OPPONENT_ID, countWords, maxWordsPerReplyFor, validateExit, exitUpdates, withConcludedAt } = require('./debateRules');
+const { DEBATE_FORMATS, FREEFORM, currentPhase } = require('./debateFormats');
+const { initialClock, skipTurn } = require('./turnClock');
+const { commitTurn } = require('./turns');
+const { fetchPriorMessages, moderateMessage } = require('./moderation');
+const { waitingListRemoval, activeRoomsQueryFor } = require('./matchmaking');
+const { assertOpenTopic, topicSearchTerms } = require('./topics');
+const { debaterLabels, buildTranscriptWindow, describeTopic, describeSides } = require('./debateContext');
+const { topicDocPath, debateRoomsCollectionPath, debateRoomDocPath, queueEntryDocPath } = require('./paths');
+
+// --- AI Opponent ---
+// A debater played by the LLM under the reserved participant ID AI_OPPONENT_ID. Its rooms are
+// created here rather than by matchmaking, carry room.aiOpponent { difficulty, persona }, and are
+// never rated. Its turns go through commitTurn, so they obey the same turn order, phases, word
+// limits and clock as anyone else's. src/debate/aiOpponent.js mirrors the difficulty and persona names.
+const AI_DIFFICULTIES = {
+    easy: {
+        name: 'Casual',
+        lengthShare: 0.5,
+        instructions: "Argue like a thoughtful newcomer: plain language, one or two main points, and only a light rebuttal. It is fine to leave some of your opponent's points unanswered.",
+    },
+    medium: {
+        name: 'Competitive',
+        lengthShare: 0.75,
+        instructions: "Argue like a solid club debater: clear structure, reasonable evidence, and a direct answer to your opponent's strongest point.",
+    },
+    hard: {
+        name: 'Champion',
+        lengthShare: 1,
+        instructions: "Argue like a championship debater: rigorous reasoning, specific evidence, answer every point your opponent has made and anticipate their next move.",
+    },
+};
+
+const AI_PERSONAS = {
+    scholar: { name: 'The Scholar', style: "measured and academic, drawing on studies, data and historical precedent" },
+    advocate: { name: 'The Advocate', style: "a trial lawyer: tightly structured, persuasive, and quick to press on inconsistencies" },
+    socratic: { name: 'The Socratic', style: "probing, exposing hidden assumptions with pointed questions before making your case" },
+    pundit: { name: 'The Pundit', style: "punchy and rhetorical, with vivid real-world examples, but never insulting" },
+};
+
+const aiSettingsFrom = ({ difficulty, persona } = {}) => ({
+    difficulty: AI_DIFFICULTIES[difficulty] ? difficulty : 'medium',
+    persona: AI_PERSONAS[persona] ? persona : 'scholar',
+});
+
+// Keeps the first maxWords words, preserving the reply's line breaks when nothing is cut.
+// How long the AI opponent waits before its one retry after the LLM fails to reply.
+const AI_RETRY_DELAY_MS = 3000;
+
+const clipToWords = (text, maxWords) => (
+    countWords(text) <= maxWords ? text : text.split(/\s+/).filter(Boolean).slice(0, maxWords).join(' ')
+);
+
+const buildOpponentPrompt = (room, priorMessages, maxWords) => {
+    const labels = debaterLabels(room.participants);
+    const { difficulty, persona } = aiSettingsFrom(room.aiOpponent);
+    const side = room.participantInfo[AI_OPPONENT_ID]?.side;
+    const phase = currentPhase(room);
+    const targetWords = Math.max(1, Math.floor(maxWords * AI_DIFFICULTIES[difficulty].lengthShare));
+    const phaseNote = phase
+        ? `The debate is in the "${phase.name}" phase.${phase.crossExamination ? ' This is cross-examination: ask or answer one short, pointed question rather than giving a speech.' : ''}`
+        : 'This is a free-form debate with alternating turns.';
+
+    return `You are ${labels[AI_OPPONENT_ID]} in a live debate against a human. ${describeTopic(room)} ${describeSides(room, labels)}
+You argue ${side === 'con' ? 'against' : 'for'} the topic. Your style is ${AI_PERSONAS[persona].style}. ${AI_DIFFICULTIES[difficulty].instructions}
+${phaseNote} Aim for about ${targetWords} words and never exceed ${maxWords} words.
+Stay on your side, respond to what your opponent actually said, and avoid logical fallacies. Reply with ONLY the text of your turn: no speaker label, no preamble and no Markdown headings.
+
+Debate so far:
+${buildTranscriptWindow(priorMessages, labels) || '(none, you are giving the opening statement)'}`;
+};
+
+// Creates an active room pitting uid against the AI on topicId. side is the user's preference
+// ('pro', 'con' or 'either'); the AI takes the other side. Like joinQueue, it refuses users who
+// are already in an active debate, and debating the AI gives up the user's place in the
+// matchmaking queue in the same transaction. Returns the new room's ID.
+async function startAIDebate(db, uid, { topicId, side, difficulty, persona }) {
+    const entryRef = db.doc(queueEntryDocPath(uid));
+    const topicRef = db.doc(topicDocPath(topicId));
+    const roomRef = db.collection(debateRoomsCollectionPath()).doc();
+
+    await db.runTransaction(async (transaction) => {
+        const [entryDoc, topicDoc, activeRooms] = await Promise.all([
+            transaction.get(entryRef),
+            transaction.get(topicRef),
+            transaction.get(activeRoomsQueryFor(db, uid)),
+        ]);
+        if (!activeRooms.empty) throw new HttpsError('failed-precondition', "Finish your current debate before starting another.");
+        if (!topicDoc.exists) throw new HttpsError('not-found', "Topic not found.");
+        const topic = topicDoc.data();
+        assertOpenTopic(topic);
+
+        const entry = entryDoc.exists ? entryDoc.data() : null;
+        if (entry?.status === 'waiting') {
+            const waitingTopicRef = db.doc(topicDocPath(entry.topicId));
+            const waitingTopicDoc = entry.topicId === topicId ? topicDoc : await transaction.get(waitingTopicRef);
+            if (waitingTopicDoc.exists) transaction.update(waitingTopicRef, waitingListRemoval(waitingTopicDoc.data(), [uid]));
+            transaction.delete(entryRef);
+        }
+
+        let userSide = side;
+        if (userSide === 'either') userSide = Math.random() < 0.5 ? 'pro' : 'con';
+        const aiSide = userSide === 'pro' ? 'con' : 'pro';
+        const firstSpeaker = userSide === 'pro' ? uid : AI_OPPONENT_ID;
+        const format = DEBATE_FORMATS[topic.format] ? topic.format : FREEFORM;
+        const participants = [uid, AI_OPPONENT_ID];
+        const nowMs = Date.now();
+
+        transaction.set(roomRef, {
+            topicId,
+            topicName: topic.name,
+            topicSearchTerms: topicSearchTerms(topic.name),
+            topicDescription: topic.description || '',
+            topicBriefs: topic.briefs || null,
+            participants,
+            participantInfo: {
+                [uid]: { wordsUsed: 0, hasExited: false, side: userSide },
+                [AI_OPPONENT_ID]: { wordsUsed: 0, hasExited: false, side: aiSide },
+            },
+            aiOpponent: aiSettingsFrom({ difficulty, persona }),
+            status: 'active',
+            createdAt: FieldValue.serverTimestamp(),
+            updatedAt: FieldValue.serverTimestamp(),
+            format,
+            phaseIndex: 0,
+            phaseTurn: 0,
+            firstSpeaker,
+            turn: firstSpeaker,
+            clock: initialClock(participants, firstSpeaker, nowMs, format),
+        });
+    });
+
+    return roomRef.id;
+}
+
+// The AI's reply clipped to maxWords, or null if the LLM failed or replied with nothing.
+async function draftAIReply(llm, roomId, prompt, maxWords) {
+    const response = await llm('opponent', prompt);
+    if (!response.ok) {
+        logger.error(`AI opponent could not reply in room ${roomId}:`, response.error);
+        return null;
+    }
+    const text = clipToWords(response.text.trim(), maxWords);
+    if (!text) logger.error(`AI opponent returned an empty reply in room ${roomId}.`);
+    return text || null;
+}
+
+// Writes the AI's reply for the turn that started at turnStartedAtMs, then moderates it like any
+// other message. With no words left the AI exits instead, as a human debater would. A failed
+// reply is retried once after retryDelayMs; if that fails too, the turn is skipped (skipTurn in
+// functions/turnClock.js) rather than left for the clock to run out.
+async function takeAITurn(db, roomId, room, turnStartedAtMs, { llm = callLLM, retryDelayMs = AI_RETRY_DELAY_MS } = {}) {
+    const wordsLeft = MAX_WORDS_PER_DEBATE_TOTAL - (room.participantInfo[AI_OPPONENT_ID]?.wordsUsed || 0);
+    if (wordsLeft <= 0) {
+        const roomRef = db.doc(debateRoomDocPath(roomId));
+        await db.runTransaction(async (transaction) => {
+            const roomDoc = await transaction.get(roomRef);
+            if (!roomDoc.exists || validateExit(roomDoc.data(), AI_OPPONENT_ID)) return;
+            const updates = exitUpdates(roomDoc.data(), AI_OPPONENT_ID);
+            transaction.update(roomRef, { ...withConcludedAt(updates, FieldValue.serverTimestamp()), updatedAt: FieldValue.serverTimestamp() });
+        });
+        return;
+    }
+
+    const maxWords = Math.min(maxWordsPerReplyFor(room), wordsLeft);
+    const priorMessages = await fetchPriorMessages(db, roomId, null);
+    const prompt = buildOpponentPrompt(room, priorMessages, maxWords);
+    let text = await draftAIReply(llm, roomId, prompt, maxWords);
+    if (!text) {
+        await new Promise(resolve => setTimeout(resolve, retryDelayMs));
+        text = await draftAIReply(llm, roomId, prompt, maxWords);
+    }
+    if (!text) {
+        await skipTurn(db, roomId, AI_OPPONENT_ID, turnStartedAtMs);
+        return;
+    }
+
+    const { messageRef, debateRoom } = await commitTurn(db, roomId, AI_OPPONENT_ID, text, { turnStartedAtMs });
+    await moderateMessage(db, { roomId, debateRoom, messageRef, statement: text, authorId: AI_OPPONENT_ID }, { llm });
+}
+
+module.exports = {
+    AI_DIFFICULTIES,
+    AI_PERSONAS,
+    startAIDebate,
+    takeAITurn,
+};
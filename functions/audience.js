@@ -0,0 +1,34 @@
+const { FieldValue } = require('firebase-admin/firestore');
+
+// --- Audience Poll ---
+// Oxford-style audience voting. Spectators vote For, Against or Undecided before the debate
+// (pre) and again once it has concluded (post), one document per voter at
+// debateRooms/{roomId}/audienceVotes/{uid}. The tallies live on room.audiencePoll; changedMinds
+// counts voters whose post vote differs from their pre vote.
+const POLL_CHOICES = ['pro', 'con', 'undecided'];
+const POLL_ROUNDS = ['pre', 'post'];
+
+const changedMind = (vote) => !!vote?.pre && !!vote?.post && vote.pre !== vote.post;
+
+// Increments to apply to room.audiencePoll for a vote document going from before to after
+// (either may be undefined). Returns {} when nothing counted changed.
+const pollTallyUpdates = (before, after) => {
+    const deltas = {};
+    const bump = (field, amount) => { deltas[field] = (deltas[field] || 0) + amount; };
+
+    POLL_ROUNDS.forEach(round => {
+        if (POLL_CHOICES.includes(before?.[round])) bump(`audiencePoll.${round}.${before[round]}`, -1);
+        if (POLL_CHOICES.includes(after?.[round])) bump(`audiencePoll.${round}.${after[round]}`, 1);
+    });
+    bump('audiencePoll.changedMinds', (changedMind(after) ? 1 : 0) - (changedMind(before) ? 1 : 0));
+
+    const updates = {};
+    Object.entries(deltas).forEach(([field, amount]) => {
+        if (amount) updates[field] = FieldValue.increment(amount);
+    });
+    return updates;
+};
+
+module.exports = {
+    pollTallyUpdates,
+};
@@ -0,0 +1,79 @@
+const { fallacyLabel } = require('./fallacies');
+
+// --- Debate Context ---
+// Moderation and Q&A prompts see the topic plus a bounded window of the most recent turns.
+// Token counts are estimated at ~4 characters per token; the window keeps whole messages,
+// newest first, until the budget runs out, and clips any single message that is too long.
+// The judge reads the whole debate instead (buildFullTranscript).
+const CONTEXT_TOKEN_BUDGET = 3000;
+const CONTEXT_MAX_MESSAGE_TOKENS = 600;
+const CONTEXT_MAX_MESSAGES = 20;
+
+const estimateTokens = (str) => Math.ceil((str || '').length / 4);
+
+const debaterLabel = (index) => `Debater ${String.fromCharCode(65 + index)}`;
+
+const debaterLabels = (participants = []) => {
+    const labels = {};
+    participants.forEach((pId, index) => { labels[pId] = debaterLabel(index); });
+    return labels;
+};
+
+const formatTranscriptLine = (msg, labels) => {
+    if (msg.senderId === 'gemini') {
+        return `[Moderator${msg.isFallacyAlert ? ' - fallacy alert' : ''}]: ${msg.text}`;
+    }
+    const flagged = msg.fallacies?.length ? ` (flagged by moderator: ${msg.fallacies.map(f => fallacyLabel(f.type)).join(', ')})` : '';
+    const disputed = (msg.factChecks || []).filter(c => c.verdict === 'disputed');
+    const factChecked = disputed.length ? ` (disputed by fact check: ${disputed.map(c => `"${c.claim}"`).join(', ')})` : '';
+    const phase = msg.phase ? `, ${msg.phase.replace(/_/g, ' ')}` : '';
+    const sources = msg.citations?.length
+        ? `\nSources: ${msg.citations.map((c, i) => `[${i + 1}] ${c.url}${c.quote ? ` ("${c.quote}")` : ''}`).join('; ')}`
+        : '';
+    return `[${labels[msg.senderId] || 'Unknown'}${phase}]${flagged}${factChecked}: ${msg.text}${sources}`;
+};
+
+const clipToTokens = (str, maxTokens) => {
+    const maxChars = maxTokens * 4;
+    return str.length > maxChars ? `${str.substring(0, maxChars)}…` : str;
+};
+
+const buildTranscriptWindow = (messages, labels, { tokenBudget = CONTEXT_TOKEN_BUDGET, maxMessages = CONTEXT_MAX_MESSAGES, maxMessageTokens = CONTEXT_MAX_MESSAGE_TOKENS } = {}) => {
+    const lines = [];
+    let tokensUsed = 0;
+    for (let i = messages.length - 1; i >= 0 && lines.length < maxMessages; i--) {
+        const line = clipToTokens(formatTranscriptLine(messages[i], labels), maxMessageTokens);
+        const lineTokens = estimateTokens(line);
+        if (tokensUsed + lineTokens > tokenBudget) break;
+        lines.unshift(line);
+        tokensUsed += lineTokens;
+    }
+    const omitted = messages.length - lines.length;
+    if (omitted > 0) lines.unshift(`[${omitted} earlier message(s) omitted]`);
+    return lines.join('\n\n');
+};
+
+// Every turn, unclipped. Word budgets cap a debate at 2 × MAX_WORDS_PER_DEBATE_TOTAL words.
+const buildFullTranscript = (messages, labels) => messages.map(msg => formatTranscriptLine(msg, labels)).join('\n\n');
+
+const describeTopic = ({ topicName, topicDescription }) => (
+    `The debate topic is "${topicName}".${topicDescription ? ` Topic description: "${topicDescription}".` : ''}`
+);
+
+// "Debater A argues for the topic and Debater B argues against the topic.", or '' for rooms without sides.
+const describeSides = (debateRoom, labels) => {
+    const positions = (debateRoom.participants || [])
+        .filter(pId => ['pro', 'con'].includes(debateRoom.participantInfo?.[pId]?.side))
+        .map(pId => `${labels[pId]} argues ${debateRoom.participantInfo[pId].side === 'pro' ? 'for the topic' : 'against the topic'}`);
+    return positions.length ? `${positions.join(' and ')}.` : '';
+};
+
+module.exports = {
+    CONTEXT_MAX_MESSAGES,
+    debaterLabel,
+    debaterLabels,
+    buildTranscriptWindow,
+    buildFullTranscript,
+    describeTopic,
+    describeSides,
+};
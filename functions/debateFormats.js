@@ -0,0 +1,74 @@
+// --- Debate Formats ---
+// A format is a list of phases. Each phase lists its speaking turns in order as 'first' or
+// 'second' (relative to room.firstSpeaker) and a per-reply word limit. Cross-examination phases
+// alternate short questions and answers. Rooms without a format (or 'freeform') keep the
+// original open alternating chat. src/debate/formats.js mirrors these definitions for display.
+const FREEFORM = 'freeform';
+
+const DEBATE_FORMATS = {
+    [FREEFORM]: {
+        name: 'Free-form',
+        phases: null,
+    },
+    three_round: {
+        name: 'Three Rounds',
+        phases: [
+            { id: 'opening', name: 'Opening Statements', turns: ['first', 'second'], maxWordsPerReply: 300 },
+            { id: 'rebuttal', name: 'Rebuttals', turns: ['first', 'second'], maxWordsPerReply: 300 },
+            { id: 'closing', name: 'Closing Statements', turns: ['first', 'second'], maxWordsPerReply: 200 },
+        ],
+    },
+    oxford: {
+        name: 'Oxford-style',
+        phases: [
+            { id: 'opening', name: 'Opening Statements', turns: ['first', 'second'], maxWordsPerReply: 400 },
+            { id: 'rebuttal', name: 'Rebuttals', turns: ['first', 'second', 'first', 'second'], maxWordsPerReply: 250 },
+            { id: 'cross_examination', name: 'Cross-Examination', crossExamination: true, turns: ['second', 'first', 'first', 'second'], maxWordsPerReply: 60 },
+            { id: 'closing', name: 'Closing Statements', turns: ['second', 'first'], maxWordsPerReply: 200 },
+        ],
+    },
+    lincoln_douglas: {
+        name: 'Lincoln-Douglas',
+        phases: [
+            { id: 'affirmative_constructive', name: 'Affirmative Constructive', turns: ['first'], maxWordsPerReply: 450 },
+            { id: 'negative_cross_examination', name: 'Cross-Examination by Negative', crossExamination: true, turns: ['second', 'first', 'second', 'first'], maxWordsPerReply: 60 },
+            { id: 'negative_constructive', name: 'Negative Constructive', turns: ['second'], maxWordsPerReply: 450 },
+            { id: 'affirmative_cross_examination', name: 'Cross-Examination by Affirmative', crossExamination: true, turns: ['first', 'second', 'first', 'second'], maxWordsPerReply: 60 },
+            { id: 'first_affirmative_rebuttal', name: 'First Affirmative Rebuttal', turns: ['first'], maxWordsPerReply: 250 },
+            { id: 'negative_rebuttal', name: 'Negative Rebuttal', turns: ['second'], maxWordsPerReply: 350 },
+            { id: 'second_affirmative_rebuttal', name: 'Second Affirmative Rebuttal', turns: ['first'], maxWordsPerReply: 200 },
+        ],
+    },
+};
+
+const formatFor = (room) => DEBATE_FORMATS[room.format] || DEBATE_FORMATS[FREEFORM];
+
+// The phase the room is in, or null for free-form rooms.
+const currentPhase = (room) => {
+    const { phases } = formatFor(room);
+    return phases ? phases[room.phaseIndex || 0] || null : null;
+};
+
+// Where the debate goes after the current turn: { phaseIndex, phaseTurn, speaker } or
+// { complete: true } once the last turn of the last phase has been taken.
+const nextTurn = (room) => {
+    const { phases } = formatFor(room);
+    let phaseIndex = room.phaseIndex || 0;
+    let phaseTurn = (room.phaseTurn || 0) + 1;
+    if (phaseTurn >= phases[phaseIndex].turns.length) {
+        phaseIndex += 1;
+        phaseTurn = 0;
+    }
+    if (phaseIndex >= phases.length) return { complete: true };
+
+    const role = phases[phaseIndex].turns[phaseTurn];
+    const secondSpeaker = room.participants.find(pId => pId !== room.firstSpeaker);
+    return { phaseIndex, phaseTurn, speaker: role === 'first' ? room.firstSpeaker : secondSpeaker };
+};
+
+module.exports = {
+    FREEFORM,
+    DEBATE_FORMATS,
+    currentPhase,
+    nextTurn,
+};
@@ -0,0 +1,183 @@
+const { currentPhase, nextTurn } = require('./debateFormats');
+
+// --- Debate Rules ---
+// Server-authoritative turn order, word budgets and status transitions. These functions are
+// pure: they take the room document's data and return either a violation ({ code, message },
+// where code is an HttpsError code) or the field updates to write.
+const MAX_WORDS_PER_REPLY = 500;
+const MAX_WORDS_PER_DEBATE_TOTAL = 2000;
+
+// Sources a debater attaches to a message: [{ url, quote }], referenced in the text as [1], [2]...
+const MAX_CITATIONS = 5;
+const MAX_CITATION_URL_LENGTH = 500;
+const MAX_CITATION_QUOTE_LENGTH = 300;
+
+// Participant ID and display name of the LLM debater (functions/aiOpponent.js).
+const AI_OPPONENT_ID = 'ai-opponent';
+const AI_OPPONENT_NAME = 'Gemini AI';
+
+// Markdown markup (link targets, [n] citation references, quote and list markers, emphasis and
+// code marks) is not counted as words. Mirrored by countWords in src/debate/rules.js.
+const stripMarkup = (str) => str
+    .replace(/\[([^\]\n]*)\]\([^)\s]*\)/g, '$1')
+    .replace(/\[\d{1,2}\]/g, '')
+    .replace(/^[ \t]*(?:>[ \t]?)+/gm, '')
+    .replace(/^[ \t]*(?:[-*+]|\d{1,9}[.)])[ \t]+/gm, '')
+    .replace(/[*`]+/g, '')
+    .replace(/(^|[^\p{L}\p{N}])_+|_+(?=[^\p{L}\p{N}]|$)/gu, '$1');
+
+const countWords = (str) => {
+    if (!str || typeof str !== 'string') return 0;
+    return stripMarkup(str).trim().split(/\s+/).filter(Boolean).length;
+};
+
+// "@gemini ..." replies also ask the moderator a question (functions/moderation.js).
+const asksGemini = (text) => typeof text === 'string' && text.toLowerCase().startsWith('@gemini');
+
+const isConcludedStatus = (status) => typeof status === 'string' && status.startsWith('concluded_');
+
+const violation = (code, message) => ({ code, message });
+
+const isHttpUrl = (value) => {
+    try {
+        const { protocol } = new URL(value);
+        return protocol === 'http:' || protocol === 'https:';
+    } catch {
+        return false;
+    }
+};
+
+// citations as sent by the client, before cleanCitations.
+const validateCitations = (citations) => {
+    if (!Array.isArray(citations)) return violation('invalid-argument', "Citations must be a list.");
+    if (citations.length > MAX_CITATIONS) return violation('invalid-argument', `A message can cite at most ${MAX_CITATIONS} sources.`);
+    for (const citation of citations) {
+        const url = typeof citation?.url === 'string' ? citation.url.trim() : '';
+        if (!url || url.length > MAX_CITATION_URL_LENGTH || !isHttpUrl(url)) return violation('invalid-argument', "Each citation needs a valid http(s) URL.");
+        if (citation.quote !== undefined && citation.quote !== null && typeof citation.quote !== 'string') return violation('invalid-argument', "Citation quotes must be text.");
+        if ((citation.quote || '').trim().length > MAX_CITATION_QUOTE_LENGTH) {
+            return violation('invalid-argument', `Quoted excerpts are limited to ${MAX_CITATION_QUOTE_LENGTH} characters.`);
+        }
+    }
+    return null;
+};
+
+// The stored form of validated citations: trimmed, with empty quotes dropped.
+const cleanCitations = (citations) => citations.map(citation => {
+    const quote = (citation.quote || '').trim();
+    return quote ? { url: citation.url.trim(), quote } : { url: citation.url.trim() };
+});
+
+const otherParticipant = (room, uid) => room.participants.find(pId => pId !== uid);
+
+// Formatted debates cap each reply at the current phase's limit.
+const maxWordsPerReplyFor = (room) => {
+    const phase = currentPhase(room);
+    return phase ? Math.min(phase.maxWordsPerReply, MAX_WORDS_PER_REPLY) : MAX_WORDS_PER_REPLY;
+};
+
+const validateMessage = (room, senderId, wordCount) => {
+    if (!room.participants?.includes(senderId)) return violation('permission-denied', "You are not a participant in this debate.");
+    if (room.status !== 'active') return violation('failed-precondition', "This debate has concluded.");
+    if (room.participantInfo?.[senderId]?.hasExited) return violation('failed-precondition', "You have exited this debate.");
+    if (room.turn !== senderId) return violation('failed-precondition', "It is not your turn.");
+    if (wordCount <= 0) return violation('invalid-argument', "Message cannot be empty.");
+    const maxWordsPerReply = maxWordsPerReplyFor(room);
+    if (wordCount > maxWordsPerReply) return violation('invalid-argument', `Reply exceeds ${maxWordsPerReply} words.`);
+    const wordsUsed = room.participantInfo?.[senderId]?.wordsUsed || 0;
+    if (wordsUsed + wordCount > MAX_WORDS_PER_DEBATE_TOTAL) return violation('failed-precondition', "Exceeds total debate word limit.");
+    return null;
+};
+
+const messageUpdates = (room, senderId, wordCount) => {
+    const newWordsUsed = (room.participantInfo[senderId]?.wordsUsed || 0) + wordCount;
+    const otherParticipantId = otherParticipant(room, senderId);
+    const otherParticipantInfo = room.participantInfo[otherParticipantId];
+
+    const updates = {
+        [`participantInfo.${senderId}.wordsUsed`]: newWordsUsed,
+        turn: otherParticipantId,
+    };
+
+    if (currentPhase(room)) {
+        const next = nextTurn(room);
+        if (next.complete) {
+            updates.status = 'concluded_format_complete';
+            return updates;
+        }
+        updates.phaseIndex = next.phaseIndex;
+        updates.phaseTurn = next.phaseTurn;
+        updates.turn = next.speaker;
+        const nextSpeakerWordsUsed = next.speaker === senderId ? newWordsUsed : otherParticipantInfo?.wordsUsed || 0;
+        if (nextSpeakerWordsUsed >= MAX_WORDS_PER_DEBATE_TOTAL) {
+            updates.status = 'concluded_word_limit';
+        }
+        return updates;
+    }
+
+    if (newWordsUsed >= MAX_WORDS_PER_DEBATE_TOTAL &&
+        (otherParticipantInfo?.wordsUsed >= MAX_WORDS_PER_DEBATE_TOTAL || otherParticipantInfo?.hasExited)) {
+        updates.status = 'concluded_word_limit';
+    }
+    return updates;
+};
+
+// Per-debater reply and @gemini question counts, kept on the room for the My Debates stats.
+const replyCountUpdates = (room, senderId, text) => {
+    const info = room.participantInfo?.[senderId] || {};
+    const updates = { [`participantInfo.${senderId}.replyCount`]: (info.replyCount || 0) + 1 };
+    if (asksGemini(text)) updates[`participantInfo.${senderId}.geminiQuestionCount`] = (info.geminiQuestionCount || 0) + 1;
+    return updates;
+};
+
+const validateExit = (room, uid) => {
+    if (!room.participants?.includes(uid)) return violation('permission-denied', "You are not a participant in this debate.");
+    if (room.participantInfo?.[uid]?.hasExited) return violation('failed-precondition', "You have already exited this debate.");
+    return null;
+};
+
+const exitUpdates = (room, uid) => {
+    const otherParticipantId = otherParticipant(room, uid);
+    const otherParticipantInfo = room.participantInfo[otherParticipantId];
+
+    const updates = { [`participantInfo.${uid}.hasExited`]: true };
+    if (room.status !== 'active') {
+        return updates;
+    }
+    if (otherParticipantInfo?.hasExited) {
+        updates.status = 'concluded_both_exited';
+    } else if (otherParticipantInfo?.wordsUsed >= MAX_WORDS_PER_DEBATE_TOTAL) {
+        updates.status = 'concluded_one_exit_one_limit';
+    } else {
+        updates.turn = otherParticipantId;
+        updates.status = 'concluded_one_exited';
+    }
+    return updates;
+};
+
+// Adds concludedAt to room updates that end the debate. Unlike updatedAt, which late exits,
+// verdicts and ratings keep moving, it is written once, so the past debates archive can filter
+// and sort on it.
+const withConcludedAt = (updates, timestamp) => (isConcludedStatus(updates.status) ? { ...updates, concludedAt: timestamp } : updates);
+
+module.exports = {
+    MAX_WORDS_PER_REPLY,
+    MAX_WORDS_PER_DEBATE_TOTAL,
+    MAX_CITATIONS,
+    MAX_CITATION_URL_LENGTH,
+    MAX_CITATION_QUOTE_LENGTH,
+    AI_OPPONENT_ID,
+    AI_OPPONENT_NAME,
+    countWords,
+    asksGemini,
+    validateCitations,
+    cleanCitations,
+    isConcludedStatus,
+    maxWordsPerReplyFor,
+    validateMessage,
+    messageUpdates,
+    replyCountUpdates,
+    validateExit,
+    exitUpdates,
+    withConcludedAt,
+};
@@ -0,0 +1,43 @@
+const { parseJSONResponse } = require('./llm');
+
+// --- Fact Checking ---
+// An optional pass a debater asks for when sending a message (submitMessage's factCheck flag).
+// Factual claims are rated against the sources the debater cited and the model's own knowledge.
+const FACT_CHECK_VERDICTS = {
+    supported: 'Supported',
+    disputed: 'Disputed',
+    unverifiable: 'Unverifiable',
+};
+const MAX_FACT_CHECK_CLAIMS = 5;
+
+// Keeps claims with a known verdict, numbers of citations the message actually has, and
+// locates each claim in the statement like fallacy spans, so the UI can point at it.
+const parseFactCheckResponse = (responseText, statement, citations = []) => {
+    const parsed = parseJSONResponse(responseText);
+    if (!Array.isArray(parsed.claims)) throw new Error("Fact-check response is missing a claims array.");
+
+    const lowerStatement = statement.toLowerCase();
+    return parsed.claims
+        .filter(c => c && FACT_CHECK_VERDICTS[c.verdict] && typeof c.claim === 'string' && c.claim.trim())
+        .slice(0, MAX_FACT_CHECK_CLAIMS)
+        .map(c => {
+            const claim = c.claim.trim();
+            const start = lowerStatement.indexOf(claim.toLowerCase());
+            return {
+                claim: start >= 0 ? statement.substring(start, start + claim.length) : claim,
+                start: start >= 0 ? start : null,
+                end: start >= 0 ? start + claim.length : null,
+                verdict: c.verdict,
+                explanation: typeof c.explanation === 'string' ? c.explanation.trim() : '',
+                citations: Array.isArray(c.citations)
+                    ? [...new Set(c.citations.map(Number))].filter(n => Number.isInteger(n) && n >= 1 && n <= citations.length)
+                    : [],
+            };
+        });
+};
+
+module.exports = {
+    FACT_CHECK_VERDICTS,
+    MAX_FACT_CHECK_CLAIMS,
+    parseFactCheckResponse,
+};
@@ -0,0 +1,54 @@
+const { parseJSONResponse } = require('./llm');
+
+// --- Fallacy Detection ---
+const FALLACY_TAXONOMY = {
+    ad_hominem: 'Ad Hominem',
+    strawman: 'Straw Man',
+    red_herring: 'Red Herring',
+    false_dilemma: 'False Dilemma',
+    slippery_slope: 'Slippery Slope',
+    hasty_generalization: 'Hasty Generalization',
+    false_cause: 'False Cause',
+    circular_reasoning: 'Circular Reasoning',
+    appeal_to_authority: 'Appeal to Authority',
+    appeal_to_emotion: 'Appeal to Emotion',
+    appeal_to_popularity: 'Appeal to Popularity',
+    tu_quoque: 'Tu Quoque',
+    equivocation: 'Equivocation',
+    moving_the_goalposts: 'Moving the Goalposts',
+};
+const FALLACY_MIN_CONFIDENCE = 0.5;
+
+const fallacyLabel = (type) => FALLACY_TAXONOMY[type] || type;
+
+// Drops anything outside the taxonomy or below the confidence threshold, and locates each
+// quoted span in the statement so the UI can highlight it. Spans that cannot be found are kept
+// without offsets.
+const parseFallacyResponse = (responseText, statement) => {
+    const parsed = parseJSONResponse(responseText);
+    if (!Array.isArray(parsed.fallacies)) throw new Error("Fallacy response is missing a fallacies array.");
+
+    const lowerStatement = statement.toLowerCase();
+    return parsed.fallacies
+        .filter(f => f && FALLACY_TAXONOMY[f.type])
+        .map(f => {
+            const confidence = Math.min(1, Math.max(0, Number(f.confidence) || 0));
+            const span = typeof f.span === 'string' ? f.span.trim() : '';
+            const start = span ? lowerStatement.indexOf(span.toLowerCase()) : -1;
+            return {
+                type: f.type,
+                span: start >= 0 ? statement.substring(start, start + span.length) : span,
+                start: start >= 0 ? start : null,
+                end: start >= 0 ? start + span.length : null,
+                confidence,
+                explanation: typeof f.explanation === 'string' ? f.explanation.trim() : '',
+            };
+        })
+        .filter(f => f.confidence >= FALLACY_MIN_CONFIDENCE);
+};
+
+module.exports = {
+    FALLACY_TAXONOMY,
+    fallacyLabel,
+    parseFallacyResponse,
+};
@@ -0,0 +1,236 @@
+const { initializeApp } = require('firebase-admin/app');
+const { getFirestore, FieldValue, Timestamp } = require('firebase-admin/firestore');
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { onDocumentUpdated, onDocumentWritten } = require('firebase-functions/v2/firestore');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { logger } = require('firebase-functions');
+
+const { llmApiKey } = require('./llm');
+const { AI_OPPONENT_ID, isConcludedStatus, validateCitations, cleanCitations, validateExit, exitUpdates, withConcludedAt } = require('./debateRules');
+const { enforceTurnClock } = require('./turnClock');
+const { commitTurn } = require('./turns');
+const { createTopic, setTopicStatus } = require('./topics');
+const { suggestTopics, balanceMotion } = require('./motions');
+const { SIDE_PREFERENCES, joinQueue, leaveQueue, expireStaleWaiters } = require('./matchmaking');
+const { AI_DIFFICULTIES, AI_PERSONAS, startAIDebate, takeAITurn } = require('./aiOpponent');
+const { moderateMessage } = require('./moderation');
+const { adjudicateDebate } = require('./judge');
+const { rateDebate } = require('./ratings');
+const { spectatorCountChange, pruneStaleSpectators } = require('./spectators');
+const { pollTallyUpdates } = require('./audience');
+const { APP_ID, debateRoomsCollectionPath, debateRoomDocPath } = require('./paths');
+
+initializeApp();
+const db = getFirestore();
+
+const requireAuth = (request) => {
+    if (!request.auth) throw new HttpsError('unauthenticated', "You must be signed in.");
+    return request.auth.uid;
+};
+
+const requireRoomId = (data) => {
+    if (typeof data?.roomId !== 'string' || !data.roomId) throw new HttpsError('invalid-argument', "A roomId is required.");
+    return data.roomId;
+};
+
+// --- Submit Message ---
+// Validates turn order and word budgets, writes the message and the room update atomically,
+// then runs moderation, including the fact check when the debater asked for one. Moderation
+// failures never undo the message; they come back as warnings.
+exports.submitMessage = onCall({ secrets: [llmApiKey] }, async (request) => {
+    const uid = requireAuth(request);
+    const roomId = requireRoomId(request.data);
+    const text = typeof request.data.text === 'string' ? request.data.text.trim() : '';
+    const citations = request.data.citations ?? [];
+    const citationProblem = validateCitations(citations);
+    if (citationProblem) throw new HttpsError(citationProblem.code, citationProblem.message);
+
+    const cleanedCitations = cleanCitations(citations);
+    const factCheck = request.data.factCheck === true;
+
+    const { messageRef, debateRoom } = await commitTurn(db, roomId, uid, text, { citations: cleanedCitations });
+
+    let warnings = [];
+    try {
+        warnings = await moderateMessage(db, { roomId, debateRoom, messageRef, statement: text, authorId: uid, citations: cleanedCitations, factCheck });
+    } catch (error) {
+        logger.error("Error moderating message:", error);
+        warnings = ["Gemini moderation is unavailable right now."];
+    }
+
+    return { messageId: messageRef.id, status: debateRoom.status, warnings };
+});
+
+// --- Exit Debate ---
+exports.exitDebate = onCall(async (request) => {
+    const uid = requireAuth(request);
+    const roomId = requireRoomId(request.data);
+    const roomRef = db.doc(debateRoomDocPath(roomId));
+
+    const status = await db.runTransaction(async (transaction) => {
+        const roomDoc = await transaction.get(roomRef);
+        if (!roomDoc.exists) throw new HttpsError('not-found', "Debate room not found.");
+        const room = roomDoc.data();
+
+        const problem = validateExit(room, uid);
+        if (problem) throw new HttpsError(problem.code, problem.message);
+
+        const updates = exitUpdates(room, uid);
+        transaction.update(roomRef, { ...withConcludedAt(updates, FieldValue.serverTimestamp()), updatedAt: FieldValue.serverTimestamp() });
+        return updates.status || room.status;
+    });
+
+    return { status };
+});
+
+// --- Topics ---
+// Resolves to { topicId }. Duplicate rejections carry { topicId, exact } in their
+// details; after a near duplicate (exact: false) the author can resubmit with allowSimilar.
+exports.createTopic = onCall({ secrets: [llmApiKey] }, async (request) => {
+    const uid = requireAuth(request);
+    const { name, description, format, category, tags, briefs, allowSimilar } = request.data || {};
+    return createTopic(db, uid, { name, description, format, category, tags, briefs }, { allowSimilar: allowSimilar === true });
+});
+
+// Gemini drafting help for the topic form; see functions/motions.js.
+exports.suggestTopics = onCall({ secrets: [llmApiKey] }, async (request) => {
+    requireAuth(request);
+    return { motions: await suggestTopics(db, request.data?.category) };
+});
+
+exports.balanceMotion = onCall({ secrets: [llmApiKey] }, async (request) => {
+    requireAuth(request);
+    const { name, description } = request.data || {};
+    return { motion: await balanceMotion({ name, description }) };
+});
+
+exports.setTopicStatus = onCall(async (request) => {
+    const uid = requireAuth(request);
+    const { topicId, status } = request.data || {};
+    if (typeof topicId !== 'string' || !topicId) throw new HttpsError('invalid-argument', "A topicId is required.");
+    return { status: await setTopicStatus(db, uid, topicId, status) };
+});
+
+// --- Matchmaking ---
+// Resolves to { roomId } when the user is paired straight away, or { roomId: null } while they wait.
+exports.joinMatchmaking = onCall(async (request) => {
+    const uid = requireAuth(request);
+    const { topicId, side = 'either' } = request.data || {};
+    if (typeof topicId !== 'string' || !topicId) throw new HttpsError('invalid-argument', "A topicId is required.");
+    if (!SIDE_PREFERENCES.includes(side)) throw new HttpsError('invalid-argument', "Unknown side.");
+
+    return { roomId: await joinQueue(db, uid, { topicId, side }) };
+});
+
+exports.leaveMatchmaking = onCall(async (request) => {
+    const uid = requireAuth(request);
+    return { left: await leaveQueue(db, uid) };
+});
+
+exports.expireStaleWaiters = onSchedule('every 1 minutes', async () => {
+    const expired = await expireStaleWaiters(db, Date.now());
+    if (expired) logger.info(`Removed ${expired} stale waiter(s) from matchmaking.`);
+});
+
+const roomDocument = `artifacts/${APP_ID}/public/data/debateRooms/{roomId}`;
+
+// --- AI Opponent ---
+// Debates against the AI skip the queue and start straight away.
+exports.startAIDebate = onCall(async (request) => {
+    const uid = requireAuth(request);
+    const { topicId, side = 'either', difficulty, persona } = request.data || {};
+    if (typeof topicId !== 'string' || !topicId) throw new HttpsError('invalid-argument', "A topicId is required.");
+    if (!SIDE_PREFERENCES.includes(side)) throw new HttpsError('invalid-argument', "Unknown side.");
+    if (!AI_DIFFICULTIES[difficulty]) throw new HttpsError('invalid-argument', "Unknown difficulty.");
+    if (!AI_PERSONAS[persona]) throw new HttpsError('invalid-argument', "Unknown persona.");
+
+    return { roomId: await startAIDebate(db, uid, { topicId, side, difficulty, persona }) };
+});
+
+// Plays the AI's turn whenever a new one starts: on creation when it speaks first, after each
+// of the human's turns, and when a timeout passes the turn to it. Other room updates (spectator
+// counts, fallacy stats) leave the clock's turnStartedAt alone and are ignored.
+exports.playAIOpponentTurn = onDocumentWritten({
+    document: roomDocument,
+    secrets: [llmApiKey],
+}, async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    if (!after?.aiOpponent || after.status !== 'active' || after.turn !== AI_OPPONENT_ID) return;
+    const turnStartedAtMs = after.clock?.turnStartedAt?.toMillis();
+    if (turnStartedAtMs === undefined || before?.clock?.turnStartedAt?.toMillis() === turnStartedAtMs) return;
+
+    try {
+        await takeAITurn(db, event.params.roomId, after, turnStartedAtMs);
+    } catch (error) {
+        logger.error(`Error playing the AI opponent's turn in room ${event.params.roomId}:`, error);
+    }
+});
+
+// --- Turn Clock ---
+
+// Lets a participant's client settle an expired turn as soon as its countdown reaches zero.
+exports.checkTurnClock = onCall(async (request) => {
+    requireAuth(request);
+    const roomId = requireRoomId(request.data);
+    return { timedOut: await enforceTurnClock(db, roomId) };
+});
+
+// Backstop for turns nobody is watching, such as when both debaters have closed the app.
+exports.enforceTurnClocks = onSchedule('every 1 minutes', async () => {
+    const expired = await db.collection(debateRoomsCollectionPath())
+        .where('status', '==', 'active')
+        .where('clock.turnDeadline', '<=', Timestamp.now())
+        .get();
+    for (const roomDoc of expired.docs) {
+        try {
+            await enforceTurnClock(db, roomDoc.id);
+        } catch (error) {
+            logger.error(`Error enforcing turn clock for room ${roomDoc.id}:`, error);
+        }
+    }
+});
+
+// --- Spectators ---
+exports.countSpectators = onDocumentWritten(`${roomDocument}/spectators/{uid}`, async (event) => {
+    const change = spectatorCountChange(event.data.before, event.data.after);
+    if (!change) return;
+    try {
+        await db.doc(debateRoomDocPath(event.params.roomId)).update({ spectatorCount: FieldValue.increment(change) });
+    } catch (error) {
+        logger.error(`Error updating spectator count for room ${event.params.roomId}:`, error);
+    }
+});
+
+exports.pruneSpectators = onSchedule('every 5 minutes', async () => {
+    const pruned = await pruneStaleSpectators(db, Date.now());
+    if (pruned) logger.info(`Removed ${pruned} stale spectator(s).`);
+});
+
+// --- Audience Poll ---
+exports.tallyAudienceVote = onDocumentWritten(`${roomDocument}/audienceVotes/{uid}`, async (event) => {
+    const updates = pollTallyUpdates(event.data.before.data(), event.data.after.data());
+    if (!Object.keys(updates).length) return;
+    await db.doc(debateRoomDocPath(event.params.roomId)).update(updates);
+});
+
+// --- Judge Concluded Debates ---
+exports.judgeConcludedDebate = onDocumentUpdated({
+    document: roomDocument,
+    secrets: [llmApiKey],
+}, async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    if (isConcludedStatus(before.status) || !isConcludedStatus(after.status) || after.verdict) return;
+
+    await adjudicateDebate(db, event.params.roomId);
+});
+
+// --- Rate Judged Debates ---
+exports.rateJudgedDebate = onDocumentUpdated(roomDocument, async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    if (before.verdict?.status === 'complete' || after.verdict?.status !== 'complete') return;
+
+    await rateDebate(db, event.params.roomId);
+});
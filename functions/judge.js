@@ -0,0 +1,105 @@
+const { FieldValue } = require('firebase-admin/firestore');
+const { logger } = require('firebase-functions');
+const { callLLM, parseJSONResponse } = require('./llm');
+const { debaterLabel, debaterLabels, buildFullTranscript, describeTopic, describeSides } = require('./debateContext');
+const { isConcludedStatus } = require('./debateRules');
+const { debateRoomDocPath, messagesCollectionPath } = require('./paths');
+
+// --- AI Judge ---
+const JUDGE_RUBRIC = ['evidence', 'rebuttal', 'clarity'];
+const JUDGE_SCORE_MAX = 10;
+
+const clampScore = (value) => {
+    const num = Math.round(Number(value));
+    if (!Number.isFinite(num)) return 0;
+    return Math.min(JUDGE_SCORE_MAX, Math.max(0, num));
+};
+
+const buildJudgePrompt = (debateRoom, messages) => {
+    const labels = debaterLabels(debateRoom.participants);
+    const transcript = buildFullTranscript(messages, labels);
+
+    const debaterList = debateRoom.participants.map(pId => `"${labels[pId]}"`).join(' and ');
+
+    return `You are an impartial AI debate judge. ${describeTopic(debateRoom)} The debaters are ${debaterList}. ${describeSides(debateRoom, labels)} The debate ended with status "${debateRoom.status.replace(/_/g, ' ')}".
+Score each debater from 0 to ${JUDGE_SCORE_MAX} on: evidence (quality and relevance of support), rebuttal (how well they engaged the opponent's points), and clarity (structure and readability). Also count the logical fallacies each debater committed (fallacyCount). Moderator messages are context only and are not scored.
+Declare a winner, or "draw" if neither debater argued better. A debater who made no arguments cannot win.
+Respond with ONLY a JSON object of the form:
+{"scores": {"Debater A": {"evidence": 0, "rebuttal": 0, "clarity": 0, "fallacyCount": 0}, "Debater B": {...}}, "winner": "Debater A" | "Debater B" | "draw", "reasoning": "two to four sentences explaining the decision"}
+
+Transcript:
+${transcript}`;
+};
+
+// Maps the judge's "Debater A/B" labels back to participant IDs and sanitizes the scores.
+const parseJudgeResponse = (responseText, participants) => {
+    const parsed = parseJSONResponse(responseText);
+    const labelToId = {};
+    participants.forEach((pId, index) => { labelToId[debaterLabel(index)] = pId; });
+
+    const scores = {};
+    participants.forEach((pId, index) => {
+        const raw = parsed.scores?.[debaterLabel(index)] || {};
+        const score = {};
+        JUDGE_RUBRIC.forEach(criterion => { score[criterion] = clampScore(raw[criterion]); });
+        score.fallacyCount = Math.max(0, Math.round(Number(raw.fallacyCount)) || 0);
+        score.total = JUDGE_RUBRIC.reduce((sum, criterion) => sum + score[criterion], 0) - score.fallacyCount;
+        scores[pId] = score;
+    });
+
+    const winner = parsed.winner === 'draw' ? 'draw' : labelToId[parsed.winner];
+    if (!winner) throw new Error(`Judge returned an unknown winner: ${parsed.winner}`);
+
+    return {
+        scores,
+        winner,
+        reasoning: typeof parsed.reasoning === 'string' ? parsed.reasoning.trim() : '',
+    };
+};
+
+// Scores a concluded debate and stores the verdict on the room document. Triggers can be
+// delivered more than once, so the room is claimed in a transaction before judging.
+async function adjudicateDebate(db, roomId) {
+    const roomRef = db.doc(debateRoomDocPath(roomId));
+
+    const debateRoom = await db.runTransaction(async (transaction) => {
+        const roomDoc = await transaction.get(roomRef);
+        if (!roomDoc.exists) return null;
+        const roomData = roomDoc.data();
+        if (!isConcludedStatus(roomData.status) || roomData.verdict) return null;
+        transaction.update(roomRef, { verdict: { status: 'pending' } });
+        return { id: roomDoc.id, ...roomData };
+    });
+    if (!debateRoom) return;
+
+    try {
+        const messagesSnapshot = await db.collection(messagesCollectionPath(roomId)).orderBy('timestamp').get();
+        const messages = messagesSnapshot.docs.map(msgDoc => ({ id: msgDoc.id, ...msgDoc.data() }));
+
+        if (!messages.some(msg => debateRoom.participants.includes(msg.senderId))) {
+            await roomRef.update({
+                verdict: { status: 'no_contest', winner: null, reasoning: 'No arguments were made in this debate.', judgedAt: FieldValue.serverTimestamp() }
+            });
+            return;
+        }
+
+        const judgeResponse = await callLLM('judge', buildJudgePrompt(debateRoom, messages), { json: true });
+        if (!judgeResponse.ok) {
+            throw new Error(judgeResponse.error.message);
+        }
+
+        const result = parseJudgeResponse(judgeResponse.text, debateRoom.participants);
+        await roomRef.update({
+            verdict: { status: 'complete', ...result, model: judgeResponse.model, judgedAt: FieldValue.serverTimestamp() }
+        });
+    } catch (error) {
+        logger.error("Error adjudicating debate:", error);
+        await roomRef.update({
+            verdict: { status: 'failed', reasoning: 'The AI judge could not score this debate.', judgedAt: FieldValue.serverTimestamp() }
+        });
+    }
+}
+
+module.exports = {
+    adjudicateDebate,
+};
@@ -0,0 +1,171 @@
+const { defineSecret } = require('firebase-functions/params');
+const { logger } = require('firebase-functions');
+
+// --- LLM Configuration ---
+// LLM_PROVIDER (functions/.env) selects the backend: 'gemini', 'openai' (any OpenAI-compatible
+// chat completions endpoint) or 'mock' (deterministic, offline). The emulator defaults to the mock.
+// The API key for whichever provider is selected lives in the LLM_API_KEY secret.
+const llmApiKey = defineSecret('LLM_API_KEY');
+
+const activeProvider = () => process.env.LLM_PROVIDER || (process.env.FUNCTIONS_EMULATOR === 'true' ? 'mock' : 'gemini');
+
+const llmConfig = () => ({
+    gemini: {
+        baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+        models: {
+            fallacy: "gemini-2.0-flash",
+            factCheck: "gemini-2.0-flash",
+            qa: "gemini-2.0-flash",
+            judge: "gemini-2.0-flash",
+            opponent: "gemini-2.0-flash",
+            topicReview: "gemini-2.0-flash",
+            topicSuggest: "gemini-2.0-flash",
+            motionRewrite: "gemini-2.0-flash",
+        },
+    },
+    openai: {
+        baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        models: {
+            fallacy: process.env.OPENAI_MODEL || "gpt-4o-mini",
+            factCheck: process.env.OPENAI_MODEL || "gpt-4o-mini",
+            qa: process.env.OPENAI_MODEL || "gpt-4o-mini",
+            judge: process.env.OPENAI_MODEL || "gpt-4o-mini",
+            opponent: process.env.OPENAI_MODEL || "gpt-4o-mini",
+            topicReview: process.env.OPENAI_MODEL || "gpt-4o-mini",
+            topicSuggest: process.env.OPENAI_MODEL || "gpt-4o-mini",
+            motionRewrite: process.env.OPENAI_MODEL || "gpt-4o-mini",
+        },
+    },
+    mock: {
+        models: { fallacy: "mock", factCheck: "mock", qa: "mock", judge: "mock", opponent: "mock", topicReview: "mock", topicSuggest: "mock", motionRewrite: "mock" },
+    },
+});
+
+// --- LLM Providers ---
+// Every provider resolves to { ok: true, text, model } or { ok: false, error: { code, message }, model }.
+// Error details are for logs only; callers decide what, if anything, the user sees.
+const llmSuccess = (text, model) => ({ ok: true, text, model });
+const llmFailure = (code, message, model) => ({ ok: false, error: { code, message }, model });
+
+async function postJSON(url, headers, payload) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(payload)
+    });
+    const body = await response.json().catch(() => null);
+    return { status: response.status, ok: response.ok, body };
+}
+
+const geminiProvider = {
+    async generate({ prompt, model, json, apiKey, config }) {
+        if (!apiKey) return llmFailure('config', 'LLM_API_KEY is not set.', model);
+
+        const payload = { contents: [{ role: "user", parts: [{ text: prompt }] }] };
+        if (json) payload.generationConfig = { responseMimeType: "application/json" };
+
+        const response = await postJSON(`${config.baseUrl}/models/${model}:generateContent`, { 'x-goog-api-key': apiKey }, payload);
+        if (!response.ok) {
+            logger.error("Gemini API Error:", response.status, response.body);
+            return llmFailure('http', `Gemini request failed with status ${response.status}.`, model);
+        }
+        const text = response.body?.candidates?.[0]?.content?.parts?.[0]?.text;
+        if (typeof text !== 'string') {
+            logger.error("Gemini API Error: Unexpected response structure", response.body);
+            return llmFailure('bad_response', 'Received an unexpected response from Gemini.', model);
+        }
+        return llmSuccess(text, model);
+    },
+};
+
+const openAICompatibleProvider = {
+    async generate({ prompt, model, json, apiKey, config }) {
+        const payload = { model, messages: [{ role: "user", content: prompt }] };
+        if (json) payload.response_format = { type: "json_object" };
+
+        const response = await postJSON(`${config.baseUrl}/chat/completions`, apiKey ? { Authorization: `Bearer ${apiKey}` } : {}, payload);
+        if (!response.ok) {
+            logger.error("OpenAI-compatible API Error:", response.status, response.body);
+            return llmFailure('http', `LLM request failed with status ${response.status}.`, model);
+        }
+        const text = response.body?.choices?.[0]?.message?.content;
+        if (typeof text !== 'string') {
+            logger.error("OpenAI-compatible API Error: Unexpected response structure", response.body);
+            return llmFailure('bad_response', 'Received an unexpected response from the LLM.', model);
+        }
+        return llmSuccess(text, model);
+    },
+};
+
+const mockMotion = (name) => ({
+    name: `[Mock] ${name}`,
+    description: 'A mock motion from the offline provider.',
+    briefs: { pro: 'Mock background for the side arguing for.', con: 'Mock background for the side arguing against.' },
+});
+
+// Deterministic canned answers per task, so the emulator and tests run without network access.
+const mockProvider = {
+    async generate({ task, prompt, model }) {
+        switch (task) {
+            case 'fallacy':
+                return llmSuccess(JSON.stringify({ fallacies: [] }), model);
+            case 'factCheck':
+                return llmSuccess(JSON.stringify({ claims: [] }), model);
+            case 'qa':
+                return llmSuccess(`[Mock answer] ${prompt.length} characters received.`, model);
+            case 'judge': {
+                const score = { evidence: 5, rebuttal: 5, clarity: 5, fallacyCount: 0 };
+                return llmSuccess(JSON.stringify({
+                    scores: { 'Debater A': score, 'Debater B': score },
+                    winner: 'draw',
+                    reasoning: 'Mock judge: both debaters scored evenly.',
+                }), model);
+            }
+            case 'opponent':
+                return llmSuccess("[Mock opponent] I respectfully disagree. My opponent's argument rests on assumptions that have not been shown to hold.", model);
+            case 'topicReview':
+                return llmSuccess(JSON.stringify({ verdict: 'ok', reason: '', duplicateOf: null }), model);
+            case 'topicSuggest':
+                return llmSuccess(JSON.stringify({ motions: [mockMotion('Cities should ban private cars from their centres')] }), model);
+            case 'motionRewrite':
+                return llmSuccess(JSON.stringify(mockMotion('This house supports the motion as drafted')), model);
+            default:
+                return llmFailure('unknown_task', `Mock provider has no response for task "${task}".`, model);
+        }
+    },
+};
+
+const llmProviders = {
+    gemini: geminiProvider,
+    openai: openAICompatibleProvider,
+    mock: mockProvider,
+};
+
+// task is one of the keys in llmConfig()[provider].models ('fallacy', 'factCheck', 'qa', 'judge', 'opponent', 'topicReview', 'topicSuggest', 'motionRewrite').
+async function callLLM(task, prompt, { json = false } = {}) {
+    const providerName = activeProvider();
+    const provider = llmProviders[providerName];
+    const config = llmConfig()[providerName];
+    const model = config?.models[task];
+    if (!provider || !model) return llmFailure('config', `Unknown LLM provider "${providerName}" or task "${task}".`, null);
+    if (!prompt) return llmFailure('empty_prompt', 'No prompt was provided.', model);
+
+    try {
+        return await provider.generate({ task, prompt, model, json, config, apiKey: providerName === 'mock' ? null : llmApiKey.value() });
+    } catch (error) {
+        logger.error(`Error calling ${providerName} provider:`, error);
+        return llmFailure('network', `Could not reach the ${providerName} provider.`, model);
+    }
+}
+
+// LLMs sometimes wrap JSON in a Markdown code fence even when asked not to.
+const parseJSONResponse = (responseText) => {
+    const cleaned = responseText.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    return JSON.parse(cleaned);
+};
+
+module.exports = {
+    llmApiKey,
+    callLLM,
+    parseJSONResponse,
+};
@@ -0,0 +1,215 @@
+const { FieldValue, Timestamp } = require('firebase-admin/firestore');
+const { HttpsError } = require('firebase-functions/v2/https');
+const { DEBATE_FORMATS, FREEFORM } = require('./debateFormats');
+const { initialClock } = require('./turnClock');
+const { INITIAL_RATING } = require('./ratings');
+const { assertOpenTopic, topicSearchTerms } = require('./topics');
+const {
+    topicDocPath,
+    debateRoomsCollectionPath,
+    userDocPath,
+    matchmakingCollectionPath,
+    queueEntryDocPath,
+} = require('./paths');
+
+// --- Matchmaking ---
+// Each user has at most one queue entry, matchmaking/{uid}, so they wait on one topic at a time
+// and are paired into at most one room. Topics keep interestedUsers and interestedSides in step
+// with the entries for display. A waiting client refreshes its entry's lastSeenAt while it is
+// open (src/App.js); waiters not seen for WAITER_STALE_MS are passed over when pairing and
+// removed by the expireStaleWaiters schedule.
+const WAITER_STALE_MS = 2 * 60 * 1000;
+const EXPIRE_BATCH_SIZE = 100;
+const SIDE_PREFERENCES = ['pro', 'con', 'either'];
+
+const sidesCompatible = (sideA = 'either', sideB = 'either') => sideA === 'either' || sideB === 'either' || sideA !== sideB;
+
+// Resolves two compatible preferences into [mySide, partnerSide].
+const assignSides = (mySide, partnerSide) => {
+    if (mySide !== 'either') return [mySide, mySide === 'pro' ? 'con' : 'pro'];
+    if (partnerSide !== 'either') return [partnerSide === 'pro' ? 'con' : 'pro', partnerSide];
+    return Math.random() < 0.5 ? ['pro', 'con'] : ['con', 'pro'];
+};
+
+const isStaleWaiter = (entry, nowMs) => (entry?.lastSeenAt?.toMillis() || 0) < nowMs - WAITER_STALE_MS;
+
+// Whether a queue entry is someone still waiting on topicId.
+const isActiveWaiter = (entry, topicId, nowMs) => entry?.status === 'waiting' && entry.topicId === topicId && !isStaleWaiter(entry, nowMs);
+
+// The waiter whose rating is closest to myRating, the longest-waiting on ties, or null.
+// waiters holds { uid, rating, joinedAtMs }.
+const choosePartner = (waiters, myRating) => {
+    let partner = null;
+    waiters.forEach(waiter => {
+        const gap = Math.abs(waiter.rating - myRating);
+        const partnerGap = partner && Math.abs(partner.rating - myRating);
+        if (!partner || gap < partnerGap || (gap === partnerGap && waiter.joinedAtMs < partner.joinedAtMs)) {
+            partner = waiter;
+        }
+    });
+    return partner?.uid || null;
+};
+
+// Topic fields that take uids off the waiting list, given the list as read in the transaction.
+const waitingListRemoval = (topic, uids) => {
+    const updates = { interestedUsers: (topic.interestedUsers || []).filter(pId => !uids.includes(pId)) };
+    uids.forEach(pId => { updates[`interestedSides.${pId}`] = FieldValue.delete(); });
+    return updates;
+};
+
+// A query for uid's active debate, if they have one. Users debate one room at a time.
+const activeRoomsQueryFor = (db, uid) => db.collection(debateRoomsCollectionPath())
+    .where('participants', 'array-contains', uid)
+    .where('status', '==', 'active')
+    .limit(1);
+
+const ratingFrom = (userDoc) => (userDoc.exists ? userDoc.data().rating ?? INITIAL_RATING : INITIAL_RATING);
+
+// Puts uid in the queue for topicId, or pairs them with the closest-rated compatible waiter.
+// Resolves to the new room's ID, or null if uid is now waiting. Joining moves the user off any
+// other topic they were waiting on. The room ID is allocated before the transaction, so a retried
+// transaction writes the same room, and a retried call whose pairing already committed gets that
+// room back instead of a second one.
+async function joinQueue(db, uid, { topicId, side }) {
+    const entryRef = db.doc(queueEntryDocPath(uid));
+    const topicRef = db.doc(topicDocPath(topicId));
+    const roomRef = db.collection(debateRoomsCollectionPath()).doc();
+    const activeRoomsQuery = activeRoomsQueryFor(db, uid);
+
+    return db.runTransaction(async (transaction) => {
+        const nowMs = Date.now();
+        const [entryDoc, topicDoc, activeRooms] = await Promise.all([
+            transaction.get(entryRef),
+            transaction.get(topicRef),
+            transaction.get(activeRoomsQuery),
+        ]);
+        const entry = entryDoc.exists ? entryDoc.data() : null;
+
+        if (!activeRooms.empty) {
+            if (entry?.status === 'matched' && entry.roomId === activeRooms.docs[0].id) return entry.roomId;
+            throw new HttpsError('failed-precondition', "Finish your current debate before joining another.");
+        }
+        if (!topicDoc.exists) throw new HttpsError('not-found', "Topic not found.");
+        const topic = topicDoc.data();
+        assertOpenTopic(topic);
+
+        const previousTopicRef = entry?.status === 'waiting' && entry.topicId !== topicId ? db.doc(topicDocPath(entry.topicId)) : null;
+        const previousTopicDoc = previousTopicRef ? await transaction.get(previousTopicRef) : null;
+
+        const waitingUids = (topic.interestedUsers || []).filter(pId => pId !== uid);
+        const waiterEntryDocs = await Promise.all(waitingUids.map(pId => transaction.get(db.doc(queueEntryDocPath(pId)))));
+        const waiterEntries = {};
+        waitingUids.forEach((pId, index) => { waiterEntries[pId] = waiterEntryDocs[index].data(); });
+        const staleUids = waitingUids.filter(pId => !isActiveWaiter(waiterEntries[pId], topicId, nowMs));
+        const candidateUids = waitingUids.filter(pId => !staleUids.includes(pId) && sidesCompatible(side, topic.interestedSides?.[pId]));
+
+        const [myRatingDoc, ...candidateRatingDocs] = await Promise.all([uid, ...candidateUids].map(pId => transaction.get(db.doc(userDocPath(pId)))));
+        const partnerId = choosePartner(candidateUids.map((pId, index) => ({
+            uid: pId,
+            rating: ratingFrom(candidateRatingDocs[index]),
+            joinedAtMs: waiterEntries[pId].joinedAt?.toMillis() || 0,
+        })), ratingFrom(myRatingDoc));
+
+        if (previousTopicDoc?.exists) {
+            transaction.update(previousTopicRef, waitingListRemoval(previousTopicDoc.data(), [uid]));
+        }
+        staleUids.forEach(pId => {
+            if (waiterEntries[pId]?.status === 'waiting' && waiterEntries[pId].topicId === topicId) transaction.delete(db.doc(queueEntryDocPath(pId)));
+        });
+
+        if (!partnerId) {
+            const topicUpdates = waitingListRemoval(topic, [uid, ...staleUids]);
+            topicUpdates.interestedUsers.push(uid);
+            topicUpdates[`interestedSides.${uid}`] = side;
+            transaction.update(topicRef, topicUpdates);
+            const isRejoining = entry?.status === 'waiting' && entry.topicId === topicId;
+            transaction.set(entryRef, {
+                status: 'waiting',
+                topicId,
+                side,
+                joinedAt: isRejoining && entry.joinedAt ? entry.joinedAt : FieldValue.serverTimestamp(),
+                lastSeenAt: FieldValue.serverTimestamp(),
+            });
+            return null;
+        }
+
+        const [mySide, partnerSide] = assignSides(side, topic.interestedSides?.[partnerId] || 'either');
+        const participants = [uid, partnerId];
+        const firstSpeaker = mySide === 'pro' ? uid : partnerId;
+        const format = DEBATE_FORMATS[topic.format] ? topic.format : FREEFORM;
+        transaction.set(roomRef, {
+            topicId,
+            topicName: topic.name,
+            topicSearchTerms: topicSearchTerms(topic.name),
+            topicDescription: topic.description || '',
+            topicBriefs: topic.briefs || null,
+            participants,
+            participantInfo: {
+                [uid]: { wordsUsed: 0, hasExited: false, side: mySide },
+                [partnerId]: { wordsUsed: 0, hasExited: false, side: partnerSide },
+            },
+            status: 'active',
+            createdAt: FieldValue.serverTimestamp(),
+            updatedAt: FieldValue.serverTimestamp(),
+            format,
+            phaseIndex: 0,
+            phaseTurn: 0,
+            firstSpeaker,
+            turn: firstSpeaker,
+            clock: initialClock(participants, firstSpeaker, nowMs, format),
+        });
+        transaction.update(topicRef, waitingListRemoval(topic, [uid, partnerId, ...staleUids]));
+        const matched = { status: 'matched', topicId, roomId: roomRef.id, matchedAt: FieldValue.serverTimestamp() };
+        transaction.set(entryRef, { ...matched, side: mySide });
+        transaction.set(db.doc(queueEntryDocPath(partnerId)), { ...matched, side: partnerSide });
+        return roomRef.id;
+    });
+}
+
+// Takes uid out of the queue if they are waiting. With staleOnly, only if they have gone quiet,
+// so a heartbeat that lands first keeps them queued. Resolves to whether they were removed.
+async function leaveQueue(db, uid, { staleOnly = false } = {}) {
+    const entryRef = db.doc(queueEntryDocPath(uid));
+
+    return db.runTransaction(async (transaction) => {
+        const entryDoc = await transaction.get(entryRef);
+        const entry = entryDoc.exists ? entryDoc.data() : null;
+        if (entry?.status !== 'waiting') return false;
+        if (staleOnly && !isStaleWaiter(entry, Date.now())) return false;
+
+        const topicRef = db.doc(topicDocPath(entry.topicId));
+        const topicDoc = await transaction.get(topicRef);
+        if (topicDoc.exists) transaction.update(topicRef, waitingListRemoval(topicDoc.data(), [uid]));
+        transaction.delete(entryRef);
+        return true;
+    });
+}
+
+// Removes waiters whose clients have stopped refreshing lastSeenAt. Resolves to how many.
+async function expireStaleWaiters(db, nowMs) {
+    const stale = await db.collection(matchmakingCollectionPath())
+        .where('status', '==', 'waiting')
+        .where('lastSeenAt', '<', Timestamp.fromMillis(nowMs - WAITER_STALE_MS))
+        .limit(EXPIRE_BATCH_SIZE)
+        .get();
+
+    let expired = 0;
+    for (const entryDoc of stale.docs) {
+        if (await leaveQueue(db, entryDoc.id, { staleOnly: true })) expired++;
+    }
+    return expired;
+}
+
+module.exports = {
+    WAITER_STALE_MS,
+    SIDE_PREFERENCES,
+    sidesCompatible,
+    assignSides,
+    isActiveWaiter,
+    choosePartner,
+    waitingListRemoval,
+    activeRoomsQueryFor,
+    joinQueue,
+    leaveQueue,
+    expireStaleWaiters,
+};
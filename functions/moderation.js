@@ -0,0 +1,179 @@
+const { FieldValue } = require('firebase-admin/firestore');
+const { logger } = require('firebase-functions');
+const { callLLM } = require('./llm');
+const { asksGemini } = require('./debateRules');
+const { FALLACY_TAXONOMY, parseFallacyResponse } = require('./fallacies');
+const { FACT_CHECK_VERDICTS, MAX_FACT_CHECK_CLAIMS, parseFactCheckResponse } = require('./factCheck');
+const { CONTEXT_MAX_MESSAGES, debaterLabels, buildTranscriptWindow, describeTopic, describeSides } = require('./debateContext');
+const { debateRoomDocPath, topicDocPath, messagesCollectionPath } = require('./paths');
+
+const buildFallacyPrompt = (statement, debateRoom, priorMessages, authorId) => {
+    const labels = debaterLabels(debateRoom.participants);
+    const transcript = buildTranscriptWindow(priorMessages, labels);
+    return `You are an AI debate moderator. ${describeTopic(debateRoom)} ${describeSides(debateRoom, labels)}
+Analyze the latest statement by ${labels[authorId] || 'a debater'} for logical fallacies. Use the earlier turns only as context: for example, a straw man or red herring can only be judged against what the opponent actually said. Do not flag fallacies in earlier turns.
+Only use these fallacy types: ${Object.keys(FALLACY_TAXONOMY).join(', ')}.
+For each fallacy, quote the exact words of the statement that commit it (span), give your confidence from 0 to 1, and a brief, neutral explanation of how the quoted words commit the fallacy.
+Respond with ONLY a JSON object of the form {"fallacies": [{"type": "strawman", "span": "exact quote", "confidence": 0.8, "explanation": "..."}]}. Use an empty array if there are no fallacies.
+
+Earlier turns:
+${transcript || '(none, this is the opening statement)'}
+
+Latest statement: "${statement}"`;
+};
+
+const describeCitations = (citations) => (citations.length
+    ? citations.map((c, i) => `[${i + 1}] ${c.url}${c.quote ? `\n    Quoted excerpt: "${c.quote}"` : ''}`).join('\n')
+    : '(none)');
+
+const buildFactCheckPrompt = (statement, citations, debateRoom, authorId) => {
+    const labels = debaterLabels(debateRoom.participants);
+    return `You are an AI fact-checker for a debate. ${describeTopic(debateRoom)}
+Extract up to ${MAX_FACT_CHECK_CLAIMS} checkable factual claims from the statement by ${labels[authorId] || 'a debater'} below. Skip opinions, predictions, value judgements and rhetorical questions.
+Rate each claim as one of: ${Object.keys(FACT_CHECK_VERDICTS).join(', ')}. Use "supported" when the debater's sources or well-established knowledge back it, "disputed" when they contradict it, and "unverifiable" when neither settles it. You cannot open the URLs: judge the sources only by their quoted excerpts and by what the sites are known for, and say so when a claim rests on a source whose excerpt does not back it.
+For each claim, quote the exact words of the statement that make it (claim), list the numbers of the sources that bear on it (citations), and give a brief, neutral explanation that does not take sides in the debate.
+Respond with ONLY a JSON object of the form {"claims": [{"claim": "exact quote", "verdict": "supported", "citations": [1], "explanation": "..."}]}. Use an empty array if there are no factual claims.
+
+Sources the debater cited, referred to in the statement as [1], [2]...:
+${describeCitations(citations)}
+
+Statement: "${statement}"`;
+};
+
+const buildQAPrompt = (question, debateRoom, priorMessages) => {
+    const transcript = buildTranscriptWindow(priorMessages, debaterLabels(debateRoom.participants));
+    return `You are an AI assistant participating in a debate. ${describeTopic(debateRoom)} A debater has asked you a question. Using the recent debate turns for context, provide a concise, factual, and neutral answer that does not take sides.
+
+Recent turns:
+${transcript || '(none)'}
+
+Question: "${question}"`;
+};
+
+// The turns before messageId, oldest first, capped at the context window size.
+async function fetchPriorMessages(db, roomId, messageId) {
+    const snapshot = await db.collection(messagesCollectionPath(roomId))
+        .orderBy('timestamp', 'desc')
+        .limit(CONTEXT_MAX_MESSAGES + 1)
+        .get();
+    return snapshot.docs
+        .filter(msgDoc => msgDoc.id !== messageId)
+        .map(msgDoc => ({ id: msgDoc.id, ...msgDoc.data() }))
+        .reverse();
+}
+
+const addModeratorMessage = (db, roomId, text, extra = {}) => db.collection(messagesCollectionPath(roomId)).add({
+    senderId: 'gemini',
+    text,
+    timestamp: FieldValue.serverTimestamp(),
+    isFallacyAlert: false,
+    isGeminiResponse: false,
+    ...extra,
+});
+
+// Annotates the sender's message with any detected fallacies and bumps the per-user
+// and per-topic counters used for fallacy stats.
+async function recordFallacies(db, llm, { roomId, debateRoom, messageRef, statement, authorId, priorMessages }) {
+    const fallacyResponse = await llm('fallacy', buildFallacyPrompt(statement, debateRoom, priorMessages, authorId), { json: true });
+    if (!fallacyResponse.ok) {
+        logger.error("Fallacy check failed:", fallacyResponse.error);
+        return;
+    }
+
+    let fallacies;
+    try {
+        fallacies = parseFallacyResponse(fallacyResponse.text, statement);
+    } catch (err) {
+        logger.error("Fallacy check returned invalid JSON:", err, fallacyResponse.text);
+        return;
+    }
+    if (fallacies.length === 0) return;
+
+    const batch = db.batch();
+    batch.update(messageRef, { fallacies, fallacyModel: fallacyResponse.model });
+    const roomCounts = {};
+    const topicCounts = {};
+    fallacies.forEach(f => {
+        roomCounts[`fallacyCounts.${authorId}.${f.type}`] = FieldValue.increment(1);
+        topicCounts[`fallacyCounts.${f.type}`] = FieldValue.increment(1);
+    });
+    batch.update(db.doc(debateRoomDocPath(roomId)), roomCounts);
+    if (debateRoom.topicId) {
+        batch.update(db.doc(topicDocPath(debateRoom.topicId)), topicCounts);
+    }
+    await batch.commit();
+}
+
+// Annotates the sender's message with a rating of each factual claim in it. The results are
+// written even when there are no claims, so the UI can tell a finished check from a pending
+// one. Returns false if the check failed.
+async function recordFactChecks(db, llm, { debateRoom, messageRef, statement, authorId, citations }) {
+    const factCheckResponse = await llm('factCheck', buildFactCheckPrompt(statement, citations, debateRoom, authorId), { json: true });
+    if (!factCheckResponse.ok) {
+        logger.error("Fact check failed:", factCheckResponse.error);
+        return false;
+    }
+
+    let factChecks;
+    try {
+        factChecks = parseFactCheckResponse(factCheckResponse.text, statement, citations);
+    } catch (err) {
+        logger.error("Fact check returned invalid JSON:", err, factCheckResponse.text);
+        return false;
+    }
+    await messageRef.update({ factChecks, factCheckModel: factCheckResponse.model });
+    return true;
+}
+
+// Answers "@gemini ..." questions in the chat. Returns false if the LLM call failed.
+async function answerQuestion(db, llm, { roomId, debateRoom, statement, priorMessages }) {
+    const question = statement.substring('@gemini'.length).trim();
+    if (!question) return true;
+
+    const qaResponse = await llm('qa', buildQAPrompt(question, debateRoom, priorMessages));
+    if (!qaResponse.ok) {
+        logger.error("Gemini Q&A failed:", qaResponse.error);
+        return false;
+    }
+    await addModeratorMessage(db, roomId, qaResponse.text, { isGeminiResponse: true });
+    return true;
+}
+
+// Runs one moderation step, so a failed write in one step never skips the others. Resolves to
+// the step's result, or false if it threw.
+async function runStep(name, step) {
+    try {
+        return await step();
+    } catch (error) {
+        logger.error(`Moderation step "${name}" failed:`, error);
+        return false;
+    }
+}
+
+// Runs every moderation step for a freshly written message. Returns a list of user-facing
+// warnings for steps that failed; the message itself is already committed. The fact check only
+// runs when factCheck is set. Tests can pass their own llm in place of callLLM.
+async function moderateMessage(db, { roomId, debateRoom, messageRef, statement, authorId, citations = [], factCheck = false }, { llm = callLLM } = {}) {
+    const warnings = [];
+    const priorMessages = await fetchPriorMessages(db, roomId, messageRef.id);
+    const context = { roomId, debateRoom, messageRef, statement, authorId, citations, priorMessages };
+
+    await runStep('fallacy check', () => recordFallacies(db, llm, context));
+
+    if (factCheck) {
+        const checked = await runStep('fact check', () => recordFactChecks(db, llm, context));
+        if (!checked) warnings.push("Gemini could not fact-check your message right now.");
+    }
+
+    if (asksGemini(statement)) {
+        const answered = await runStep('Q&A', () => answerQuestion(db, llm, context));
+        if (!answered) warnings.push("Gemini could not answer your question right now. Please try again later.");
+    }
+    return warnings;
+}
+
+module.exports = {
+    fetchPriorMessages,
+    addModeratorMessage,
+    moderateMessage,
+};
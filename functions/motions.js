@@ -0,0 +1,103 @@
+const { HttpsError } = require('firebase-functions/v2/https');
+const { logger } = require('firebase-functions');
+const { callLLM, parseJSONResponse } = require('./llm');
+const {
+    TOPIC_CATEGORIES,
+    MAX_TOPIC_NAME_LENGTH,
+    MAX_TOPIC_DESCRIPTION_LENGTH,
+    MAX_BRIEF_LENGTH,
+    openTopicsIn,
+} = require('./topics');
+
+// --- Motion Drafting ---
+// Gemini helps authors write topics: suggestTopics proposes motions for a category and
+// balanceMotion rewrites a draft into neutral, two-sided wording. Both return motions shaped like
+// createTopic's input, { name, description, briefs: { pro, con } }. Nothing is saved here; the
+// author edits the motion and submits it through createTopic like any other.
+const SUGGESTION_COUNT = 5;
+
+const MOTION_JSON = `{"name": "the motion, one sentence under 120 characters", "description": "one or two neutral sentences of context", "briefs": {"pro": "two or three sentences of background and strongest lines of argument for the motion", "con": "the same for the side against"}}`;
+
+const MOTION_GUIDELINES = `A good motion is a single, specific claim or policy that informed people genuinely disagree about, worded neutrally so neither side starts ahead: no loaded adjectives, no assumed conclusions and no questions with one factual answer. Briefs are even-handed starting points for each debater, not arguments against the other side.`;
+
+const clip = (value, maxLength) => (typeof value === 'string' ? value.trim().slice(0, maxLength) : '');
+
+const motionFrom = (raw) => {
+    const name = clip(raw?.name, MAX_TOPIC_NAME_LENGTH);
+    if (!name) return null;
+    return {
+        name,
+        description: clip(raw.description, MAX_TOPIC_DESCRIPTION_LENGTH),
+        briefs: { pro: clip(raw.briefs?.pro, MAX_BRIEF_LENGTH), con: clip(raw.briefs?.con, MAX_BRIEF_LENGTH) },
+    };
+};
+
+// Up to SUGGESTION_COUNT well-formed motions from the response; malformed ones are dropped.
+const parseSuggestions = (responseText) => {
+    const parsed = parseJSONResponse(responseText);
+    const motions = (Array.isArray(parsed.motions) ? parsed.motions : []).map(motionFrom).filter(Boolean).slice(0, SUGGESTION_COUNT);
+    if (!motions.length) throw new Error("Topic suggestions returned no motions.");
+    return motions;
+};
+
+const parseMotion = (responseText) => {
+    const motion = motionFrom(parseJSONResponse(responseText));
+    if (!motion) throw new Error("Motion rewrite returned no motion.");
+    return motion;
+};
+
+const buildSuggestionsPrompt = (category, existingNames) => `You suggest topics for a public online debate platform. Propose ${SUGGESTION_COUNT} debatable motions in the category "${TOPIC_CATEGORIES[category]}". ${MOTION_GUIDELINES}
+Vary the subjects, and do not repeat these existing topics:
+${existingNames.map(name => `- ${name}`).join('\n') || '(none)'}
+Respond with ONLY a JSON object of the form:
+{"motions": [${MOTION_JSON}, ...]}`;
+
+const buildBalancePrompt = ({ name, description }) => `You help authors on a public online debate platform word their topics. Rewrite the draft below into a balanced debate motion that keeps the author's subject. ${MOTION_GUIDELINES}
+Respond with ONLY a JSON object of the form:
+${MOTION_JSON}
+
+Draft topic: ${name}${description ? `\nDraft description: ${description}` : ''}`;
+
+// Resolves to the parsed result, or throws unavailable with userMessage when the LLM fails.
+async function askLLM(llm, task, prompt, parse, userMessage) {
+    const response = await llm(task, prompt, { json: true });
+    if (response.ok) {
+        try {
+            return parse(response.text);
+        } catch (error) {
+            logger.error(`Error parsing ${task} response:`, error);
+        }
+    } else {
+        logger.error(`${task} failed:`, response.error);
+    }
+    throw new HttpsError('unavailable', userMessage);
+}
+
+// Motions for category that do not repeat its open topics.
+async function suggestTopics(db, category, { llm = callLLM } = {}) {
+    if (!TOPIC_CATEGORIES[category]) throw new HttpsError('invalid-argument', "Unknown category.");
+    const existing = await openTopicsIn(db, category);
+    return askLLM(llm, 'topicSuggest', buildSuggestionsPrompt(category, existing.map(topic => topic.name)), parseSuggestions,
+        "Gemini could not suggest topics right now. Please try again.");
+}
+
+// The draft { name, description } reworded as a balanced motion with briefs for each side. A
+// missing or null description counts as empty.
+async function balanceMotion({ name, description } = {}, { llm = callLLM } = {}) {
+    description = description ?? '';
+    if (typeof name !== 'string' || !name.trim()) throw new HttpsError('invalid-argument', "Write a draft topic first.");
+    if (typeof description !== 'string') throw new HttpsError('invalid-argument', "The description must be text.");
+    if (name.length > MAX_TOPIC_NAME_LENGTH || description.length > MAX_TOPIC_DESCRIPTION_LENGTH) {
+        throw new HttpsError('invalid-argument', "The draft is too long.");
+    }
+    return askLLM(llm, 'motionRewrite', buildBalancePrompt({ name: name.trim(), description: description.trim() }), parseMotion,
+        "Gemini could not reword this topic right now. Please try again.");
+}
+
+module.exports = {
+    SUGGESTION_COUNT,
+    parseSuggestions,
+    parseMotion,
+    suggestTopics,
+    balanceMotion,
+};
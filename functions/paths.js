@@ -0,0 +1,23 @@
+// Firestore paths, mirroring the helpers in src/paths.js.
+const APP_ID = 'geminijoust-app';
+
+const topicsCollectionPath = () => `artifacts/${APP_ID}/public/data/topics`;
+const topicDocPath = (topicId) => `artifacts/${APP_ID}/public/data/topics/${topicId}`;
+const debateRoomsCollectionPath = () => `artifacts/${APP_ID}/public/data/debateRooms`;
+const debateRoomDocPath = (roomId) => `artifacts/${APP_ID}/public/data/debateRooms/${roomId}`;
+const messagesCollectionPath = (roomId) => `artifacts/${APP_ID}/public/data/debateRooms/${roomId}/messages`;
+const userDocPath = (uid) => `artifacts/${APP_ID}/public/data/users/${uid}`;
+const matchmakingCollectionPath = () => `artifacts/${APP_ID}/public/data/matchmaking`;
+const queueEntryDocPath = (uid) => `artifacts/${APP_ID}/public/data/matchmaking/${uid}`;
+
+module.exports = {
+    APP_ID,
+    topicsCollectionPath,
+    topicDocPath,
+    debateRoomsCollectionPath,
+    debateRoomDocPath,
+    messagesCollectionPath,
+    userDocPath,
+    matchmakingCollectionPath,
+    queueEntryDocPath,
+};
@@ -0,0 +1,81 @@
+const { FieldValue } = require('firebase-admin/firestore');
+const { debateRoomDocPath, userDocPath } = require('./paths');
+
+// --- Ratings ---
+// Elo ratings kept on users/{uid}. Each debate with a completed verdict is rated exactly once:
+// the judge's winner scores 1, the loser 0, and both score 0.5 on a draw. New debaters move
+// faster until they have PROVISIONAL_GAMES rated debates. src/debate/ratings.js mirrors INITIAL_RATING.
+const INITIAL_RATING = 1200;
+const PROVISIONAL_GAMES = 10;
+const PROVISIONAL_K_FACTOR = 40;
+const K_FACTOR = 20;
+
+const expectedScore = (rating, opponentRating) => 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+
+const kFactorFor = (gamesPlayed) => (gamesPlayed < PROVISIONAL_GAMES ? PROVISIONAL_K_FACTOR : K_FACTOR);
+
+const scoreFor = (winner, uid) => {
+    if (winner === 'draw') return 0.5;
+    return winner === uid ? 1 : 0;
+};
+
+// New ratings for both debaters. players holds { uid, rating, gamesPlayed } for each.
+const ratedResult = (players, winner) => players.map((player, index) => {
+    const opponent = players[1 - index];
+    const score = scoreFor(winner, player.uid);
+    const change = kFactorFor(player.gamesPlayed) * (score - expectedScore(player.rating, opponent.rating));
+    return { ...player, score, newRating: Math.round(player.rating + change) };
+});
+
+const statsFrom = (userDoc) => {
+    const data = userDoc.exists ? userDoc.data() : {};
+    return {
+        rating: data.rating ?? INITIAL_RATING,
+        gamesPlayed: data.gamesPlayed || 0,
+        wins: data.wins || 0,
+        losses: data.losses || 0,
+        draws: data.draws || 0,
+    };
+};
+
+// Applies the verdict of a judged debate to both debaters' ratings, and records the changes
+// on the room so a redelivered trigger does nothing. Debates against the AI opponent are unrated.
+async function rateDebate(db, roomId) {
+    const roomRef = db.doc(debateRoomDocPath(roomId));
+
+    return db.runTransaction(async (transaction) => {
+        const roomDoc = await transaction.get(roomRef);
+        if (!roomDoc.exists) return null;
+        const room = roomDoc.data();
+        const winner = room.verdict?.winner;
+        if (room.verdict?.status !== 'complete' || !winner || room.ratingChanges) return null;
+        if (room.participants?.length !== 2 || room.aiOpponent) return null;
+
+        const userRefs = room.participants.map(uid => db.doc(userDocPath(uid)));
+        const userDocs = await transaction.getAll(...userRefs);
+        const stats = userDocs.map(statsFrom);
+        const results = ratedResult(room.participants.map((uid, index) => ({ uid, ...stats[index] })), winner);
+
+        const ratingChanges = {};
+        results.forEach((result, index) => {
+            transaction.set(userRefs[index], {
+                rating: result.newRating,
+                gamesPlayed: result.gamesPlayed + 1,
+                wins: stats[index].wins + (result.score === 1 ? 1 : 0),
+                losses: stats[index].losses + (result.score === 0 ? 1 : 0),
+                draws: stats[index].draws + (result.score === 0.5 ? 1 : 0),
+                ratingUpdatedAt: FieldValue.serverTimestamp(),
+            }, { merge: true });
+            ratingChanges[result.uid] = { before: result.rating, after: result.newRating };
+        });
+        transaction.update(roomRef, { ratingChanges });
+        return ratingChanges;
+    });
+}
+
+module.exports = {
+    INITIAL_RATING,
+    expectedScore,
+    ratedResult,
+    rateDebate,
+};
@@ -0,0 +1,30 @@
+const { Timestamp } = require('firebase-admin/firestore');
+
+// --- Spectators ---
+// Each spectator keeps a presence document at debateRooms/{roomId}/spectators/{uid} alive with
+// a heartbeat (lastSeenAt) while they watch. The countSpectators trigger keeps
+// room.spectatorCount in step with those documents, and presence left behind by closed tabs is
+// pruned once it is SPECTATOR_STALE_MS old. src/components/DebateRoomView.js sends the heartbeat.
+const SPECTATOR_STALE_MS = 2 * 60 * 1000;
+const PRUNE_BATCH_SIZE = 400;
+
+// +1 when a presence document appears, -1 when it goes away, 0 for heartbeats.
+const spectatorCountChange = (before, after) => (after.exists ? 1 : 0) - (before.exists ? 1 : 0);
+
+async function pruneStaleSpectators(db, nowMs) {
+    const stale = await db.collectionGroup('spectators')
+        .where('lastSeenAt', '<', Timestamp.fromMillis(nowMs - SPECTATOR_STALE_MS))
+        .limit(PRUNE_BATCH_SIZE)
+        .get();
+    if (stale.empty) return 0;
+
+    const batch = db.batch();
+    stale.docs.forEach(presenceDoc => batch.delete(presenceDoc.ref));
+    await batch.commit();
+    return stale.size;
+}
+
+module.exports = {
+    spectatorCountChange,
+    pruneStaleSpectators,
+};
@@ -0,0 +1,241 @@
+const { FieldValue } = require('firebase-admin/firestore');
+const { HttpsError } = require('firebase-functions/v2/https');
+const { logger } = require('firebase-functions');
+const { callLLM, parseJSONResponse } = require('./llm');
+const { DEBATE_FORMATS, FREEFORM } = require('./debateFormats');
+const { topicsCollectionPath, topicDocPath, queueEntryDocPath } = require('./paths');
+
+// --- Topics ---
+// Topics are created here rather than by clients, so every one is checked for duplicates and
+// screened by the LLM first. A topic may carry short background briefs for each side, which rooms
+// on it copy as topicBriefs. Only the creator can close (no new debates) or archive (hidden from
+// the list) a topic, and either takes everyone off its waiting list. src/debate/topics.js mirrors
+// the categories, statuses and tag rules.
+const TOPIC_CATEGORIES = {
+    politics: 'Politics & Government',
+    economics: 'Economics',
+    science: 'Science & Health',
+    technology: 'Technology',
+    society: 'Society & Culture',
+    philosophy: 'Philosophy & Ethics',
+    sports: 'Sports & Entertainment',
+    other: 'Other',
+};
+const TOPIC_STATUSES = ['open', 'closed', 'archived'];
+const MAX_TOPIC_NAME_LENGTH = 200;
+const MAX_TOPIC_DESCRIPTION_LENGTH = 2000;
+const MAX_TOPIC_TAGS = 5;
+const MAX_TAG_LENGTH = 24;
+const MAX_BRIEF_LENGTH = 600;
+// How many open topics in the same category the LLM compares a new topic against.
+const REVIEW_CANDIDATE_LIMIT = 50;
+const REVIEW_VERDICTS = ['ok', 'abusive', 'unanswerable'];
+// Longest word prefix stored in a room's topicSearchTerms.
+const MAX_SEARCH_TERM_LENGTH = 20;
+
+// "#Climate Change" -> "climate-change".
+const normalizeTag = (tag) => String(tag).toLowerCase().trim()
+    .replace(/^#+/, '')
+    .replace(/[\s_]+/g, '-')
+    .replace(/[^a-z0-9-]/g, '')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+
+// Topic names that differ only in case, punctuation or spacing share a nameKey.
+const topicNameKey = (name) => name.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+
+// Every prefix of every word in the topic name, lowercased and without accents, so the past
+// debates archive can search rooms with one array-contains filter: "Énergie nucléaire" ->
+// ['e', 'en', ..., 'energie', 'n', 'nu', ..., 'nucleaire'].
+const topicSearchTerms = (name) => {
+    const words = String(name).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    const terms = new Set();
+    words.forEach(word => {
+        for (let length = 1; length <= Math.min(word.length, MAX_SEARCH_TERM_LENGTH); length++) terms.add(word.slice(0, length));
+    });
+    return [...terms];
+};
+
+const isOpenTopic = (topic) => (topic.status || 'open') === 'open';
+
+// For the functions that start debates on a topic.
+const assertOpenTopic = (topic) => {
+    if (!isOpenTopic(topic)) throw new HttpsError('failed-precondition', "This topic is no longer open for new debates.");
+};
+
+// Background briefs for each side, { pro, con }, or null when neither has one.
+const briefsFromInput = (briefs) => {
+    if (briefs === null || briefs === undefined) return null;
+    if (typeof briefs !== 'object') throw new HttpsError('invalid-argument', "Briefs must be an object.");
+    const cleaned = {};
+    ['pro', 'con'].forEach(side => {
+        const brief = briefs[side] ?? '';
+        if (typeof brief !== 'string') throw new HttpsError('invalid-argument', "Briefs must be text.");
+        if (brief.trim().length > MAX_BRIEF_LENGTH) throw new HttpsError('invalid-argument', `Briefs are limited to ${MAX_BRIEF_LENGTH} characters.`);
+        cleaned[side] = brief.trim();
+    });
+    return cleaned.pro || cleaned.con ? cleaned : null;
+};
+
+// Validates and cleans the createTopic request, throwing invalid-argument on anything off.
+const topicFromInput = ({ name, description = '', format = FREEFORM, category = 'other', tags = [], briefs = null } = {}) => {
+    if (typeof name !== 'string' || !name.trim()) throw new HttpsError('invalid-argument', "A topic name is required.");
+    if (name.trim().length > MAX_TOPIC_NAME_LENGTH) throw new HttpsError('invalid-argument', `Topic names are limited to ${MAX_TOPIC_NAME_LENGTH} characters.`);
+    if (typeof description !== 'string') throw new HttpsError('invalid-argument', "The description must be text.");
+    if (description.trim().length > MAX_TOPIC_DESCRIPTION_LENGTH) throw new HttpsError('invalid-argument', `Descriptions are limited to ${MAX_TOPIC_DESCRIPTION_LENGTH} characters.`);
+    if (!DEBATE_FORMATS[format]) throw new HttpsError('invalid-argument', "Unknown debate format.");
+    if (!TOPIC_CATEGORIES[category]) throw new HttpsError('invalid-argument', "Unknown category.");
+    if (!Array.isArray(tags)) throw new HttpsError('invalid-argument', "Tags must be a list.");
+
+    const cleanTags = [...new Set(tags.map(normalizeTag).filter(Boolean))];
+    if (cleanTags.length > MAX_TOPIC_TAGS) throw new HttpsError('invalid-argument', `Topics can have at most ${MAX_TOPIC_TAGS} tags.`);
+    if (cleanTags.some(tag => tag.length > MAX_TAG_LENGTH)) throw new HttpsError('invalid-argument', `Tags are limited to ${MAX_TAG_LENGTH} characters.`);
+
+    return { name: name.trim(), description: description.trim(), format, category, tags: cleanTags, briefs: briefsFromInput(briefs) };
+};
+
+const buildReviewPrompt = (topic, candidates) => {
+    const existing = candidates.map(candidate => `[${candidate.id}] ${candidate.name}${candidate.description ? ` - ${candidate.description}` : ''}`).join('\n');
+
+    return `You review proposed topics for a public online debate platform. A topic must be a question or motion that reasonable people could argue either side of.
+Reject it as "abusive" if it harasses or demeans people or groups, targets a private individual, is sexually explicit, or promotes violence or illegal acts.
+Reject it as "unanswerable" if it is not a question or claim, is gibberish, has a single factual answer that leaves nothing to debate, or is too vague to argue.
+Otherwise accept it as "ok". Then, whatever the verdict, check whether it asks essentially the same question as one of the existing topics below, even if worded differently, and give that topic's id as duplicateOf.
+Respond with ONLY a JSON object of the form:
+{"verdict": "ok" | "abusive" | "unanswerable", "reason": "one sentence addressed to the author", "duplicateOf": "existing topic id" | null}
+
+Proposed topic: ${topic.name}${topic.description ? `\nDescription: ${topic.description}` : ''}${topic.briefs?.pro ? `\nBackground for the side arguing for: ${topic.briefs.pro}` : ''}${topic.briefs?.con ? `\nBackground for the side arguing against: ${topic.briefs.con}` : ''}
+
+Existing topics:
+${existing || '(none)'}`;
+};
+
+// Sanitizes the review, dropping a duplicateOf that is not one of the candidates.
+const parseTopicReview = (responseText, candidateIds) => {
+    const parsed = parseJSONResponse(responseText);
+    if (!REVIEW_VERDICTS.includes(parsed.verdict)) throw new Error(`Topic review returned an unknown verdict: ${parsed.verdict}`);
+    return {
+        verdict: parsed.verdict,
+        reason: typeof parsed.reason === 'string' ? parsed.reason.trim() : '',
+        duplicateOf: candidateIds.includes(parsed.duplicateOf) ? parsed.duplicateOf : null,
+    };
+};
+
+// Up to REVIEW_CANDIDATE_LIMIT open topics in category, as { id, ...data }.
+async function openTopicsIn(db, category) {
+    const snapshot = await db.collection(topicsCollectionPath()).where('status', '==', 'open').where('category', '==', category).limit(REVIEW_CANDIDATE_LIMIT).get();
+    return snapshot.docs.map(topicDoc => ({ id: topicDoc.id, ...topicDoc.data() }));
+}
+
+// The first topic in the snapshot that is not archived, if any.
+const liveTopicIn = (snapshot) => snapshot.docs.find(topicDoc => topicDoc.data().status !== 'archived') || null;
+
+const duplicateError = (message, topicId, exact) => new HttpsError('already-exists', message, { topicId, exact });
+
+// Creates a topic for uid after checking it against existing topics and screening it with the
+// LLM. An exact duplicate (same nameKey, not archived) is always refused; a near duplicate found
+// by the LLM is refused unless allowSimilar is set. If screening is unavailable nothing is
+// created and the call fails with unavailable. Resolves to { topicId }.
+async function createTopic(db, uid, input, { allowSimilar = false, llm = callLLM } = {}) {
+    const topic = topicFromInput(input);
+    const nameKey = topicNameKey(topic.name);
+    const topicsRef = db.collection(topicsCollectionPath());
+    const sameNameQuery = topicsRef.where('nameKey', '==', nameKey);
+
+    const exactDuplicate = liveTopicIn(await sameNameQuery.get());
+    if (exactDuplicate) throw duplicateError(`"${exactDuplicate.data().name}" already exists.`, exactDuplicate.id, true);
+
+    const candidates = await openTopicsIn(db, topic.category);
+
+    const response = await llm('topicReview', buildReviewPrompt(topic, candidates), { json: true });
+    let review = null;
+    if (response.ok) {
+        try {
+            review = parseTopicReview(response.text, candidates.map(candidate => candidate.id));
+        } catch (error) {
+            logger.error("Error parsing topic review:", error);
+        }
+    } else {
+        logger.error("Topic review failed:", response.error);
+    }
+
+    if (!review) {
+        throw new HttpsError('unavailable', "Gemini could not screen this topic right now. Please try again in a moment.");
+    }
+    if (review.verdict !== 'ok') {
+        const fallback = review.verdict === 'abusive'
+            ? "This topic breaks the community guidelines."
+            : "This topic needs to be a question or motion with arguments on both sides.";
+        throw new HttpsError('invalid-argument', review.reason || fallback);
+    }
+    if (review.duplicateOf && !allowSimilar) {
+        const similar = candidates.find(candidate => candidate.id === review.duplicateOf);
+        throw duplicateError(`This looks like the existing topic "${similar.name}".`, similar.id, false);
+    }
+
+    const topicRef = topicsRef.doc();
+    await db.runTransaction(async (transaction) => {
+        // Checked again so two people creating the same topic at once cannot both succeed.
+        const duplicate = liveTopicIn(await transaction.get(sameNameQuery));
+        if (duplicate) throw duplicateError(`"${duplicate.data().name}" already exists.`, duplicate.id, true);
+
+        transaction.set(topicRef, {
+            ...topic,
+            nameKey,
+            createdBy: uid,
+            createdAt: FieldValue.serverTimestamp(),
+            interestedUsers: [],
+            interestedSides: {},
+            status: 'open',
+        });
+    });
+
+    return { topicId: topicRef.id };
+}
+
+// Sets the status of uid's topic. Closing or archiving it ends everyone's wait on it.
+async function setTopicStatus(db, uid, topicId, status) {
+    if (!TOPIC_STATUSES.includes(status)) throw new HttpsError('invalid-argument', "Unknown topic status.");
+    const topicRef = db.doc(topicDocPath(topicId));
+
+    return db.runTransaction(async (transaction) => {
+        const topicDoc = await transaction.get(topicRef);
+        if (!topicDoc.exists) throw new HttpsError('not-found', "Topic not found.");
+        const topic = topicDoc.data();
+        if (topic.createdBy !== uid) throw new HttpsError('permission-denied', "Only the topic's creator can change its status.");
+        if ((topic.status || 'open') === status) return status;
+
+        const updates = { status, statusChangedAt: FieldValue.serverTimestamp() };
+        if (status !== 'open') {
+            const waitingUids = topic.interestedUsers || [];
+            const entryRefs = waitingUids.map(pId => db.doc(queueEntryDocPath(pId)));
+            const entryDocs = await Promise.all(entryRefs.map(entryRef => transaction.get(entryRef)));
+            entryDocs.forEach((entryDoc, index) => {
+                const entry = entryDoc.data();
+                if (entry?.status === 'waiting' && entry.topicId === topicId) transaction.delete(entryRefs[index]);
+            });
+            updates.interestedUsers = [];
+            updates.interestedSides = {};
+        }
+        transaction.update(topicRef, updates);
+        return status;
+    });
+}
+
+module.exports = {
+    TOPIC_CATEGORIES,
+    TOPIC_STATUSES,
+    MAX_TOPIC_NAME_LENGTH,
+    MAX_TOPIC_DESCRIPTION_LENGTH,
+    MAX_TOPIC_TAGS,
+    MAX_BRIEF_LENGTH,
+    normalizeTag,
+    topicNameKey,
+    topicSearchTerms,
+    assertOpenTopic,
+    topicFromInput,
+    parseTopicReview,
+    openTopicsIn,
+    createTopic,
+    setTopicStatus,
+};
@@ -0,0 +1,199 @@
+const { Timestamp, FieldValue } = require('firebase-admin/firestore');
+const { FREEFORM, DEBATE_FORMATS, currentPhase, nextTurn } = require('./debateFormats');
+const { MAX_WORDS_PER_REPLY, MAX_WORDS_PER_DEBATE_TOTAL, AI_OPPONENT_ID, AI_OPPONENT_NAME, withConcludedAt } = require('./debateRules');
+const { debateRoomDocPath, messagesCollectionPath, userDocPath } = require('./paths');
+
+// --- Turn Clock ---
+// Chess-clock timing: each debater has a bank of time for the whole debate, and a single turn
+// may use at most clock.turnSeconds of it. room.clock holds the banks, the current turn's start
+// and its deadline. A debater who misses a deadline loses the turn with a warning; running out
+// of bank time or missing MAX_TIMEOUTS deadlines concludes the debate as 'concluded_timeout'.
+// Both clocks are sized from the room format's word budgets (clockSecondsFor), so a debater
+// writing at a steady pace reaches the word limits before the clock runs out.
+const SECONDS_PER_WORD = 2;
+const READING_SECONDS_PER_TURN = 60;
+// Free-form rooms have no fixed number of turns; budget reading time for this many.
+const FREEFORM_TURNS_PER_DEBATER = 10;
+const MAX_TIMEOUTS = 2;
+// Submissions that arrive this soon after the deadline still count, to absorb network latency.
+const DEADLINE_GRACE_MS = 5000;
+
+// { turnSeconds, bankSeconds } for a room in this format: a turn fits the longest reply the
+// format allows, and the bank fits a debater's whole word budget plus reading time every turn.
+const clockSecondsFor = (format) => {
+    const { phases } = DEBATE_FORMATS[format] || DEBATE_FORMATS[FREEFORM];
+    if (!phases) {
+        return {
+            turnSeconds: READING_SECONDS_PER_TURN + MAX_WORDS_PER_REPLY * SECONDS_PER_WORD,
+            bankSeconds: MAX_WORDS_PER_DEBATE_TOTAL * SECONDS_PER_WORD + FREEFORM_TURNS_PER_DEBATER * READING_SECONDS_PER_TURN,
+        };
+    }
+    const longestReply = Math.min(MAX_WORDS_PER_REPLY, Math.max(...phases.map(phase => phase.maxWordsPerReply)));
+    // The busier of the two speaking roles.
+    const budgets = ['first', 'second'].map(role => {
+        const turns = phases.flatMap(phase => phase.turns.filter(turn => turn === role).map(() => Math.min(phase.maxWordsPerReply, MAX_WORDS_PER_REPLY)));
+        const words = Math.min(MAX_WORDS_PER_DEBATE_TOTAL, turns.reduce((sum, maxWords) => sum + maxWords, 0));
+        return words * SECONDS_PER_WORD + turns.length * READING_SECONDS_PER_TURN;
+    });
+    return {
+        turnSeconds: READING_SECONDS_PER_TURN + longestReply * SECONDS_PER_WORD,
+        bankSeconds: Math.max(...budgets),
+    };
+};
+
+const deadlineFor = (clock, speakerId, nowMs) => {
+    const seconds = Math.min(clock.turnSeconds, clock.bankSeconds[speakerId] ?? 0);
+    return Timestamp.fromMillis(nowMs + seconds * 1000);
+};
+
+// The clock for a new room in format, with firstSpeaker's turn starting at nowMs.
+const initialClock = (participants, firstSpeaker, nowMs, format = FREEFORM) => {
+    const { turnSeconds, bankSeconds } = clockSecondsFor(format);
+    const clock = {
+        turnSeconds,
+        bankSeconds: {},
+        timeouts: {},
+        turnStartedAt: Timestamp.fromMillis(nowMs),
+    };
+    participants.forEach(pId => {
+        clock.bankSeconds[pId] = bankSeconds;
+        clock.timeouts[pId] = 0;
+    });
+    clock.turnDeadline = deadlineFor(clock, firstSpeaker, nowMs);
+    return clock;
+};
+
+// Field updates that start speakerId's turn at nowMs.
+const startTurnUpdates = (clock, speakerId, nowMs) => ({
+    'clock.turnStartedAt': Timestamp.fromMillis(nowMs),
+    'clock.turnDeadline': deadlineFor(clock, speakerId, nowMs),
+});
+
+// The speaker's bank after paying for the turn that started at clock.turnStartedAt.
+const chargedBankSeconds = (clock, speakerId, nowMs) => {
+    const elapsedSeconds = Math.ceil((nowMs - clock.turnStartedAt.toMillis()) / 1000);
+    return Math.max(0, (clock.bankSeconds[speakerId] ?? 0) - elapsedSeconds);
+};
+
+const isPastDeadline = (room, nowMs, graceMs = 0) => (
+    !!room.clock?.turnDeadline && nowMs > room.clock.turnDeadline.toMillis() + graceMs
+);
+
+// Clock updates to merge into a turn's room update. nextSpeaker is null when the debate ends.
+const clockUpdatesForTurn = (room, senderId, nextSpeaker, nowMs) => {
+    if (!room.clock?.turnStartedAt) return {};
+    const updates = { [`clock.bankSeconds.${senderId}`]: chargedBankSeconds(room.clock, senderId, nowMs) };
+    if (nextSpeaker) {
+        const clock = { ...room.clock, bankSeconds: { ...room.clock.bankSeconds, [senderId]: updates[`clock.bankSeconds.${senderId}`] } };
+        Object.assign(updates, startTurnUpdates(clock, nextSpeaker, nowMs));
+    }
+    return updates;
+};
+
+// What happens when the turn holder loses their turn at nowMs: { updates, timedOutId, concluded }.
+// The missed turn is charged to their bank and counts towards MAX_TIMEOUTS.
+const missedTurnUpdates = (room, nowMs) => {
+    const timedOutId = room.turn;
+    const bankSeconds = chargedBankSeconds(room.clock, timedOutId, nowMs);
+    const timeouts = (room.clock.timeouts?.[timedOutId] || 0) + 1;
+    const updates = {
+        [`clock.bankSeconds.${timedOutId}`]: bankSeconds,
+        [`clock.timeouts.${timedOutId}`]: timeouts,
+    };
+
+    if (bankSeconds <= 0 || timeouts >= MAX_TIMEOUTS) {
+        updates.status = 'concluded_timeout';
+        updates.timedOut = timedOutId;
+        return { updates, timedOutId, concluded: true };
+    }
+
+    let nextSpeaker = room.participants.find(pId => pId !== timedOutId);
+    if (currentPhase(room)) {
+        const next = nextTurn(room);
+        if (next.complete) {
+            updates.status = 'concluded_format_complete';
+            return { updates, timedOutId, concluded: true };
+        }
+        updates.phaseIndex = next.phaseIndex;
+        updates.phaseTurn = next.phaseTurn;
+        nextSpeaker = next.speaker;
+    }
+    updates.turn = nextSpeaker;
+    const clock = { ...room.clock, bankSeconds: { ...room.clock.bankSeconds, [timedOutId]: bankSeconds } };
+    Object.assign(updates, startTurnUpdates(clock, nextSpeaker, nowMs));
+    return { updates, timedOutId, concluded: false };
+};
+
+// missedTurnUpdates for a turn holder who missed their deadline, or null if the deadline has not
+// passed (or the room is not active). The turn only times out once DEADLINE_GRACE_MS is over, so
+// a reply commitTurn would still accept is never cut off.
+const timeoutUpdates = (room, nowMs) => {
+    if (room.status !== 'active' || !isPastDeadline(room, nowMs, DEADLINE_GRACE_MS)) return null;
+    return missedTurnUpdates(room, nowMs);
+};
+
+// Writes a missed turn and posts the moderator's notice about it, in transaction.
+async function recordMissedTurn(db, transaction, roomId, { updates, timedOutId, concluded }, reason) {
+    const userDoc = timedOutId === AI_OPPONENT_ID ? null : await transaction.get(db.doc(userDocPath(timedOutId)));
+    const name = timedOutId === AI_OPPONENT_ID ? AI_OPPONENT_NAME : userDoc.data()?.displayName || `User ${timedOutId.substring(0, 6)}`;
+    const timeoutsLeft = MAX_TIMEOUTS - updates[`clock.timeouts.${timedOutId}`];
+    const notice = concluded
+        ? `${name} ${reason}. The debate has ended.`
+        : `${name} ${reason}, so the turn passes to their opponent. ${timeoutsLeft} more missed turn(s) will end the debate.`;
+
+    transaction.update(db.doc(debateRoomDocPath(roomId)), { ...withConcludedAt(updates, FieldValue.serverTimestamp()), updatedAt: FieldValue.serverTimestamp() });
+    transaction.set(db.collection(messagesCollectionPath(roomId)).doc(), {
+        senderId: 'gemini',
+        text: notice,
+        timestamp: FieldValue.serverTimestamp(),
+        isFallacyAlert: false,
+        isGeminiResponse: false,
+        isClockNotice: true,
+    });
+}
+
+// Applies a missed deadline, if there is one, and posts a moderator notice in the same
+// transaction. Called by the scheduled sweep and on demand when a client's countdown ends;
+// returns whether a timeout was applied.
+async function enforceTurnClock(db, roomId) {
+    const roomRef = db.doc(debateRoomDocPath(roomId));
+    return db.runTransaction(async (transaction) => {
+        const roomDoc = await transaction.get(roomRef);
+        if (!roomDoc.exists) return false;
+        const room = roomDoc.data();
+        const result = timeoutUpdates(room, Date.now());
+        if (!result) return false;
+        if (room.skippedTurn) result.updates.skippedTurn = FieldValue.delete();
+        await recordMissedTurn(db, transaction, roomId, result, 'ran out of time');
+        return true;
+    });
+}
+
+// Passes speakerId's turn right away, as a missed deadline would, when they cannot take it (the
+// AI opponent when the LLM fails). room.skippedTurn names them until the next turn is posted, so
+// the debate room can say why. turnStartedAtMs must match the room clock's current turn, so a
+// turn that has already moved on is left alone. Returns whether the turn was passed.
+async function skipTurn(db, roomId, speakerId, turnStartedAtMs) {
+    const roomRef = db.doc(debateRoomDocPath(roomId));
+    return db.runTransaction(async (transaction) => {
+        const roomDoc = await transaction.get(roomRef);
+        const room = roomDoc.data();
+        if (!roomDoc.exists || room.status !== 'active' || room.turn !== speakerId || room.clock?.turnStartedAt?.toMillis() !== turnStartedAtMs) return false;
+
+        const result = missedTurnUpdates(room, Date.now());
+        result.updates.skippedTurn = speakerId;
+        await recordMissedTurn(db, transaction, roomId, result, 'could not reply');
+        return true;
+    });
+}
+
+module.exports = {
+    DEADLINE_GRACE_MS,
+    clockSecondsFor,
+    initialClock,
+    isPastDeadline,
+    clockUpdatesForTurn,
+    timeoutUpdates,
+    enforceTurnClock,
+    skipTurn,
+};
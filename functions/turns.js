@@ -0,0 +1,55 @@
+const { FieldValue } = require('firebase-admin/firestore');
+const { HttpsError } = require('firebase-functions/v2/https');
+const { countWords, validateMessage, messageUpdates, replyCountUpdates, withConcludedAt } = require('./debateRules');
+const { currentPhase } = require('./debateFormats');
+const { DEADLINE_GRACE_MS, isPastDeadline, clockUpdatesForTurn } = require('./turnClock');
+const { debateRoomDocPath, messagesCollectionPath } = require('./paths');
+
+// --- Turns ---
+// Writes senderId's message and the room update in one transaction, for human debaters
+// (submitMessage) and the AI opponent alike. Rule violations throw HttpsErrors. Returns the
+// message reference and the room as it stands after the turn. turnStartedAtMs, when given, must
+// match the room clock's current turn, so a reply written for an earlier turn is never posted.
+// citations must already be validated and cleaned (functions/debateRules.js).
+async function commitTurn(db, roomId, senderId, text, { turnStartedAtMs, citations = [] } = {}) {
+    const wordCount = countWords(text);
+    const roomRef = db.doc(debateRoomDocPath(roomId));
+    const messageRef = db.collection(messagesCollectionPath(roomId)).doc();
+
+    const debateRoom = await db.runTransaction(async (transaction) => {
+        const roomDoc = await transaction.get(roomRef);
+        if (!roomDoc.exists) throw new HttpsError('not-found', "Debate room not found.");
+        const room = roomDoc.data();
+
+        const problem = validateMessage(room, senderId, wordCount);
+        if (problem) throw new HttpsError(problem.code, problem.message);
+        if (turnStartedAtMs !== undefined && room.clock?.turnStartedAt?.toMillis() !== turnStartedAtMs) {
+            throw new HttpsError('failed-precondition', "This turn has already ended.");
+        }
+        const nowMs = Date.now();
+        if (isPastDeadline(room, nowMs, DEADLINE_GRACE_MS)) throw new HttpsError('deadline-exceeded', "Your time for this turn has run out.");
+
+        transaction.set(messageRef, {
+            senderId,
+            text,
+            timestamp: FieldValue.serverTimestamp(),
+            wordCount,
+            phase: currentPhase(room)?.id || null,
+            isFallacyAlert: false,
+            isGeminiResponse: false,
+            ...(citations.length ? { citations } : {}),
+        });
+        const updates = messageUpdates(room, senderId, wordCount);
+        Object.assign(updates, replyCountUpdates(room, senderId, text));
+        Object.assign(updates, clockUpdatesForTurn(room, senderId, updates.status ? null : updates.turn, nowMs));
+        if (room.skippedTurn) updates.skippedTurn = FieldValue.delete();
+        transaction.update(roomRef, { ...withConcludedAt(updates, FieldValue.serverTimestamp()), lastMessageId: messageRef.id, updatedAt: FieldValue.serverTimestamp() });
+        return { id: roomDoc.id, ...room, ...updates };
+    });
+
+    return { messageRef, debateRoom };
+}
+
+module.exports = {
+    commitTurn,
+};
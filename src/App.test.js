@@ -1,8 +1,8 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// Without a Firebase config (.env.local) the app cannot reach its backend and says so.
+test('explains that Firebase is not configured', () => {
+    render(<App />);
+    expect(screen.getByText(/ensure Firebase is configured correctly/i)).toBeInTheDocument();
 });
@@ -0,0 +1,25 @@
+// --- Browser Files ---
+// Saving and printing files in the browser, for transcript export.
+
+export const downloadFile = (fileName, content, mimeType) => {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+// Opens html in a new window and brings up the print dialog, where users can save it as a PDF.
+// Returns false if the browser blocked the window.
+export const printDocument = (html) => {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) return false;
+    printWindow.document.write(html);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+    return true;
+};
@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import { GoogleAuthProvider, linkWithPopup, sendSignInLinkToEmail, signInWithCredential, signOut } from 'firebase/auth';
+import { auth, db } from '../firebase';
+import { DISPLAY_NAME_MAX_LENGTH, EMAIL_FOR_SIGN_IN_KEY } from '../profiles';
+import { adoptAccountProfile } from '../services/users';
+import ErrorMessage from './ErrorMessage';
+
+// --- Account Panel ---
+// Anonymous users can upgrade by linking Google or an email link to their current account,
+// which keeps the same uid and therefore their debates, ratings and profile.
+const AccountPanel = ({ user }) => {
+    const [isAnonymous, setIsAnonymous] = useState(user.isAnonymous);
+    const [email, setEmail] = useState('');
+    const [isWorking, setIsWorking] = useState(false);
+    const [notice, setNotice] = useState(null);
+    const [error, setError] = useState(null);
+    const [conflictCredential, setConflictCredential] = useState(null);
+
+    const handleLinkGoogle = async () => {
+        if (!auth) return;
+        setIsWorking(true);
+        setError(null);
+        setConflictCredential(null);
+        try {
+            const result = await linkWithPopup(user, new GoogleAuthProvider());
+            await adoptAccountProfile(db, user.uid, {
+                displayName: result.user.displayName?.slice(0, DISPLAY_NAME_MAX_LENGTH),
+                avatarUrl: result.user.photoURL,
+            });
+            setIsAnonymous(false);
+            setNotice("Your Google account is now linked. Your debates will follow you across devices.");
+        } catch (err) {
+            console.error("Error linking Google account:", err);
+            if (err.code === 'auth/credential-already-in-use') {
+                setConflictCredential(GoogleAuthProvider.credentialFromError(err));
+                setError("That Google account already belongs to another debater.");
+            } else if (err.code !== 'auth/popup-closed-by-user') {
+                setError("Failed to link your Google account. Please try again.");
+            }
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    const handleSwitchAccount = async () => {
+        if (!auth || !conflictCredential) return;
+        setIsWorking(true);
+        try {
+            await signInWithCredential(auth, conflictCredential);
+        } catch (err) {
+            console.error("Error switching accounts:", err);
+            setError("Failed to sign in to that account. Please try again.");
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    const handleSendEmailLink = async (e) => {
+        e.preventDefault();
+        if (!auth || !email.trim()) return;
+        setIsWorking(true);
+        setError(null);
+        try {
+            await sendSignInLinkToEmail(auth, email.trim(), {
+                url: `${window.location.origin}${window.location.pathname}`,
+                handleCodeInApp: true,
+            });
+            window.localStorage.setItem(EMAIL_FOR_SIGN_IN_KEY, email.trim());
+            setNotice(`We sent a sign-in link to ${email.trim()}. Open it in this browser to finish.`);
+            setEmail('');
+        } catch (err) {
+            console.error("Error sending sign-in link:", err);
+            setError("Failed to send the sign-in link. Check the address and try again.");
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    const handleSignOut = async () => {
+        if (!auth) return;
+        try {
+            await signOut(auth);
+        } catch (err) {
+            console.error("Error signing out:", err);
+            setError("Failed to sign out. Please try again.");
+        }
+    };
+
+    return (
+        <div className="p-6 bg-white shadow-xl rounded-lg border border-gray-200">
+            <h3 className="text-xl font-semibold mb-3 text-gray-800">Account</h3>
+            {error && <ErrorMessage message={error} />}
+            {notice && <p className="mb-3 text-sm text-green-700">{notice}</p>}
+            {isAnonymous ? (
+                <>
+                    <p className="text-sm text-gray-600 mb-4">
+                        You are debating as a guest, so your debates and rating are stored in this browser only.
+                        Sign in to keep them.
+                    </p>
+                    <button
+                        onClick={handleLinkGoogle}
+                        disabled={isWorking}
+                        className="w-full mb-4 py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:bg-gray-100"
+                    >
+                        Continue with Google
+                    </button>
+                    {conflictCredential && (
+                        <button
+                            onClick={handleSwitchAccount}
+                            disabled={isWorking}
+                            className="w-full mb-4 py-2 px-4 rounded-md text-sm font-medium text-white bg-gray-600 hover:bg-gray-700 disabled:bg-gray-400"
+                        >
+                            Switch to that account (guest debates stay with this guest account)
+                        </button>
+                    )}
+                    <form onSubmit={handleSendEmailLink} className="flex space-x-2">
+                        <input
+                            type="email"
+                            value={email}
+                            onChange={(e) => setEmail(e.target.value)}
+                            placeholder="you@example.com"
+                            required
+                            className="flex-grow px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                        />
+                        <button
+                            type="submit"
+                            disabled={isWorking || !email.trim()}
+                            className="py-2 px-4 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400"
+                        >
+                            Email me a link
+                        </button>
+                    </form>
+                </>
+            ) : (
+                <div className="flex justify-between items-center">
+                    <p className="text-sm text-gray-600">Signed in as <span className="font-semibold">{user.email || user.providerData?.[0]?.email || user.uid}</span></p>
+                    <button onClick={handleSignOut} className="py-2 px-4 rounded-md text-sm font-medium text-white bg-gray-600 hover:bg-gray-700">
+                        Sign Out
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AccountPanel;
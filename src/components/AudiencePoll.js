@@ -0,0 +1,70 @@
+import React, { useState, useEffect } from 'react';
+import { db } from '../firebase';
+import { POLL_CHOICES } from '../debate/audiencePoll';
+import { castAudienceVote, subscribeToAudienceVote } from '../services/audience';
+import ErrorMessage from './ErrorMessage';
+
+// --- Audience Poll ---
+const AudiencePoll = ({ debateRoom, user }) => {
+    const [vote, setVote] = useState(null);
+    const [isVoting, setIsVoting] = useState(false);
+    const [error, setError] = useState(null);
+    const isParticipant = debateRoom.participants?.includes(user?.uid);
+    const isActive = debateRoom.status === 'active';
+
+    useEffect(() => {
+        if (!user || !db || isParticipant) return;
+        const unsubscribe = subscribeToAudienceVote(db, debateRoom.id, user.uid, setVote, (err) => {
+            console.error("Error fetching audience vote:", err);
+        });
+        return () => unsubscribe();
+    }, [debateRoom.id, user, isParticipant]);
+
+    if (!user || isParticipant) return null;
+
+    const round = isActive ? 'pre' : 'post';
+    const handleVote = async (choice) => {
+        if (!db || isVoting) return;
+        setIsVoting(true);
+        setError(null);
+        try {
+            await castAudienceVote(db, { roomId: debateRoom.id, uid: user.uid, round, choice, hasVoted: !!vote });
+        } catch (err) {
+            console.error("Error casting audience vote:", err);
+            setError("Failed to record your vote. Please try again.");
+        } finally {
+            setIsVoting(false);
+        }
+    };
+
+    if (vote?.[round]) {
+        return (
+            <p className="text-sm text-gray-600">
+                You voted <span className="font-semibold">{POLL_CHOICES[vote[round]]}</span> {isActive ? 'before the debate. Vote again once it ends.' : 'after the debate. Thanks!'}
+            </p>
+        );
+    }
+
+    return (
+        <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">
+                {isActive ? 'Before the debate: where do you stand?' : 'After the debate: where do you stand now?'}
+            </p>
+            {error && <ErrorMessage message={error} />}
+            <div className="flex space-x-2">
+                {Object.entries(POLL_CHOICES).map(([choice, label]) => (
+                    <button
+                        key={choice}
+                        onClick={() => handleVote(choice)}
+                        disabled={isVoting}
+                        className="flex-1 py-1 px-2 border border-indigo-300 rounded-md text-sm text-indigo-700 hover:bg-indigo-50 disabled:bg-gray-100"
+                    >
+                        {label}
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default AudiencePoll;
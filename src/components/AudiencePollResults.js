@@ -0,0 +1,40 @@
+import React from 'react';
+import { POLL_CHOICES, pollShare, pollSwing, pollTotal } from '../debate/audiencePoll';
+
+// --- Audience Poll Results ---
+const AudiencePollResults = ({ poll }) => {
+    if (!pollTotal(poll?.pre) && !pollTotal(poll?.post)) return null;
+    const swing = pollSwing(poll);
+
+    return (
+        <div className="mt-3 p-4 bg-indigo-50 border border-indigo-200 rounded-lg">
+            <h3 className="text-lg font-semibold text-indigo-800 mb-2">Audience Poll</h3>
+            <table className="w-full text-sm text-left">
+                <thead>
+                    <tr className="text-gray-600">
+                        <th className="py-1">Vote</th>
+                        <th className="py-1">Before ({pollTotal(poll.pre)})</th>
+                        <th className="py-1">After ({pollTotal(poll.post)})</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {Object.entries(POLL_CHOICES).map(([choice, label]) => (
+                        <tr key={choice} className="text-gray-700">
+                            <td className="py-1">{label}</td>
+                            <td className="py-1">{Math.round(pollShare(poll.pre, choice))}%</td>
+                            <td className="py-1">{pollTotal(poll.post) ? `${Math.round(pollShare(poll.post, choice))}%` : '-'}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            {swing && (
+                <p className="text-sm text-indigo-800 mt-2">
+                    {swing.winner === 'draw' ? 'Neither side gained ground with the audience.' : `${POLL_CHOICES[swing.winner]} won the audience, gaining ${Math.round(swing[swing.winner])} points.`}
+                    {' '}{poll.changedMinds || 0} spectator(s) changed their minds.
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default AudiencePollResults;
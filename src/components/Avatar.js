@@ -0,0 +1,17 @@
+import React from 'react';
+import { displayNameFrom } from '../profiles';
+
+// --- Avatar ---
+const Avatar = ({ profile, uid, size = 'h-8 w-8' }) => {
+    const name = displayNameFrom(profile, uid);
+    if (profile?.avatarUrl) {
+        return <img src={profile.avatarUrl} alt={name} className={`${size} rounded-full object-cover`} />;
+    }
+    return (
+        <span className={`${size} rounded-full bg-gray-500 text-white text-sm font-semibold inline-flex items-center justify-center`}>
+            {name.charAt(0).toUpperCase()}
+        </span>
+    );
+};
+
+export default Avatar;
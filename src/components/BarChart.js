@@ -0,0 +1,33 @@
+import React from 'react';
+
+// --- Bar Chart ---
+// Horizontal bars scaled to the largest value. bars is [{ key, label, value }]; values may be null.
+const BarChart = ({ title, bars, formatValue = (value) => value, barClassName = 'bg-blue-500', emptyText = 'Nothing to show yet.' }) => {
+    const maxValue = Math.max(0, ...bars.map(bar => bar.value || 0));
+
+    return (
+        <div className="bg-white p-4 rounded-lg shadow-lg border border-gray-200">
+            <h3 className="text-lg font-semibold text-gray-800 mb-3">{title}</h3>
+            {bars.length === 0 ? (
+                <p className="text-sm text-gray-500">{emptyText}</p>
+            ) : (
+                <ul className="space-y-2">
+                    {bars.map(bar => (
+                        <li key={bar.key} className="flex items-center text-sm">
+                            <span className="w-40 shrink-0 truncate text-gray-600" title={bar.label}>{bar.label}</span>
+                            <span className="flex-1 mx-2 h-3 bg-gray-100 rounded">
+                                <span
+                                    className={`block h-3 rounded ${barClassName}`}
+                                    style={{ width: `${maxValue ? ((bar.value || 0) / maxValue) * 100 : 0}%` }}
+                                ></span>
+                            </span>
+                            <span className="w-12 text-right font-medium text-gray-700">{bar.value === null ? '—' : formatValue(bar.value)}</span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default BarChart;
@@ -0,0 +1,208 @@
+import React, { useState, useEffect } from 'react';
+import { db, functions } from '../firebase';
+import { useUserProfiles } from '../profiles';
+import { useDebateMessages } from '../debateMessages';
+import { MAX_WORDS_PER_DEBATE_TOTAL } from '../debate/rules';
+import { participantLabel, sideLabel, sideLabelsFor } from '../debate/sides';
+import { callableErrorMessage } from '../services/callables';
+import { clearSpectatorPresence, exitDebate, markSpectatorPresence, subscribeToRoom } from '../services/rooms';
+import { submitMessage } from '../services/messages';
+import AudiencePoll from './AudiencePoll';
+import AudiencePollResults from './AudiencePollResults';
+import ErrorMessage from './ErrorMessage';
+import LoadingSpinner from './LoadingSpinner';
+import MessageInput from './MessageInput';
+import MessageList from './MessageList';
+import PhaseIndicator from './PhaseIndicator';
+import SpectatorChat from './SpectatorChat';
+import TopicBriefs from './TopicBriefs';
+import TurnClock from './TurnClock';
+import VerdictCard from './VerdictCard';
+
+// --- Debate Room View ---
+const SPECTATOR_HEARTBEAT_MS = 30 * 1000;
+
+const DebateRoomView = ({ roomId, user, onExitDebate, onStopWatching }) => {
+    const [debateRoom, setDebateRoom] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [isProcessingGemini, setIsProcessingGemini] = useState(false);
+    const { nameOf } = useUserProfiles(debateRoom?.participants);
+    const { messages, error: messagesError, hasEarlier, isLoadingEarlier, loadEarlier } = useDebateMessages(roomId);
+    const isSpectator = !!debateRoom && !!user && !debateRoom.participants?.includes(user.uid);
+
+    useEffect(() => {
+        if (!roomId || !db) {
+             setError("Room ID or Database not available for fetching room details.");
+             setIsLoading(false);
+             return;
+        }
+        const unsubscribeRoom = subscribeToRoom(db, roomId, (room) => {
+            if (!room) setError("Debate room not found.");
+            setDebateRoom(room);
+            setIsLoading(false);
+        }, (err) => {
+            console.error("Error fetching debate room:", err);
+            setError("Failed to load debate room details.");
+            setIsLoading(false);
+        });
+
+        return () => unsubscribeRoom();
+    }, [roomId]);
+
+    // Spectators keep a presence document alive while they watch; functions/spectators.js turns
+    // these into the room's spectatorCount and prunes any left behind.
+    useEffect(() => {
+        if (!isSpectator || !db) return;
+        const heartbeat = () => markSpectatorPresence(db, roomId, user.uid).catch(err => {
+            console.error("Error updating spectator presence:", err);
+        });
+        const leave = () => clearSpectatorPresence(db, roomId, user.uid).catch(err => {
+            console.error("Error removing spectator presence:", err);
+        });
+
+        heartbeat();
+        const interval = setInterval(heartbeat, SPECTATOR_HEARTBEAT_MS);
+        window.addEventListener('beforeunload', leave);
+        return () => {
+            clearInterval(interval);
+            window.removeEventListener('beforeunload', leave);
+            leave();
+        };
+    }, [isSpectator, roomId, user]);
+
+    // Turn order, word budgets and moderation are enforced by the submitMessage function.
+    // Rejections propagate to MessageInput so the draft is restored.
+    const handleSendMessage = async (text, citations = [], factCheck = false) => {
+        if (!user || !debateRoom || !text.trim() || debateRoom.status !== 'active' || debateRoom.turn !== user.uid || !functions) return; 
+        
+        setIsProcessingGemini(true); 
+        setError(null);
+        try {
+            const { warnings } = await submitMessage(functions, { roomId, text, citations, factCheck });
+            if (warnings.length) {
+                setError(warnings.join(' '));
+            }
+        } finally {
+            setIsProcessingGemini(false);
+        }
+    };
+    
+    const handleUserExit = async () => {
+        if (!user || !debateRoom || !debateRoom.id || !functions) return; 
+        
+        const confirmation = true; 
+        if (!confirmation) return;
+
+        setIsLoading(true); 
+        try {
+            await exitDebate(functions, debateRoom.id);
+            onExitDebate(); 
+        } catch (err) {
+            console.error("Error exiting debate:", err);
+            setError(callableErrorMessage(err, "Failed to exit debate. Please try again."));
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+
+    if (isLoading && !debateRoom) return <LoadingSpinner text="Loading Debate Room..." />;
+    if (error && !debateRoom) return <ErrorMessage message={error} />; 
+    if (!debateRoom) return <div className="p-8 text-center text-gray-600">Debate room not found or no longer available.</div>;
+
+    const opponentId = debateRoom.participants?.find(pId => pId !== user?.uid);
+    const opponentInfo = opponentId ? debateRoom.participantInfo?.[opponentId] : null;
+    const currentUserInfo = user ? debateRoom.participantInfo?.[user.uid] : null;
+
+    return (
+        <div className="container mx-auto px-2 sm:px-4 py-6 flex flex-col h-[calc(100vh-80px)]"> 
+            <div className="mb-4 p-4 bg-white shadow-lg rounded-lg border border-gray-200">
+                <div className="flex justify-between items-center mb-2">
+                    <h2 className="text-2xl font-bold text-gray-800">{debateRoom.topicName}</h2>
+                    {isSpectator ? (
+                        <button 
+                            onClick={onStopWatching}
+                            className="px-4 py-2 bg-gray-500 text-white rounded-md hover:bg-gray-600"
+                        >
+                            Stop Watching
+                        </button>
+                    ) : (
+                        <button 
+                            onClick={handleUserExit}
+                            disabled={isLoading || currentUserInfo?.hasExited || !db} 
+                            className="px-4 py-2 bg-red-500 text-white rounded-md hover:bg-red-600 disabled:bg-gray-300"
+                        >
+                            Exit Debate
+                        </button>
+                    )}
+                </div>
+                <TopicBriefs briefs={debateRoom.topicBriefs} userSide={currentUserInfo?.side} />
+                <div className="text-sm text-gray-600 mb-2">
+                    <p>
+                        Status: <span className="font-semibold">{debateRoom.status?.replace(/_/g, ' ')}</span>
+                        {' '}&middot; {debateRoom.spectatorCount || 0} watching
+                    </p>
+                    <PhaseIndicator debateRoom={debateRoom} />
+                    <TurnClock debateRoom={debateRoom} user={user} />
+                    {isSpectator ? (
+                        debateRoom.participants?.map(pId => (
+                            <p key={pId}>
+                                {participantLabel(debateRoom, pId, nameOf)} words: {debateRoom.participantInfo?.[pId]?.wordsUsed || 0}/{MAX_WORDS_PER_DEBATE_TOTAL}
+                                {debateRoom.participantInfo?.[pId]?.hasExited && <span className="text-red-500"> (exited)</span>}
+                            </p>
+                        ))
+                    ) : (
+                        <>
+                            {sideLabel(currentUserInfo?.side) && <p>Your side: <span className="font-semibold">{sideLabel(currentUserInfo.side)}</span></p>}
+                            <p>Your words: {currentUserInfo?.wordsUsed || 0}/{MAX_WORDS_PER_DEBATE_TOTAL}</p>
+                            {opponentId && <p>Opponent ({nameOf(opponentId)}{sideLabel(opponentInfo?.side) && `, ${sideLabel(opponentInfo.side)}`}) words: {opponentInfo?.wordsUsed || 0}/{MAX_WORDS_PER_DEBATE_TOTAL}</p>}
+                            {opponentInfo?.hasExited && <p className="text-red-500">Opponent has exited the debate.</p>}
+                        </>
+                    )}
+                </div>
+                 <VerdictCard verdict={debateRoom.verdict} participants={debateRoom.participants} />
+                 {(isSpectator || debateRoom.status !== 'active') && <AudiencePollResults poll={debateRoom.audiencePoll} />}
+                 {isProcessingGemini && <p className="text-sm text-purple-600 flex items-center"><LoadingSpinner text="Gemini is thinking..." /> </p>}
+                 {error && <ErrorMessage message={error} />} 
+                 {messagesError && <ErrorMessage message={messagesError} />}
+            </div>
+
+            {isSpectator ? (
+                <div className="flex-grow flex flex-col md:flex-row md:space-x-4 min-h-0">
+                    <MessageList
+                        messages={messages}
+                        currentUserId={user?.uid}
+                        debateFormat={debateRoom.format}
+                        sideLabels={sideLabelsFor(debateRoom)}
+                        hasEarlier={hasEarlier}
+                        isLoadingEarlier={isLoadingEarlier}
+                        onLoadEarlier={loadEarlier}
+                    />
+                    <aside className="md:w-80 mb-4 p-4 bg-white shadow-lg rounded-lg border border-gray-200 flex flex-col space-y-4">
+                        <AudiencePoll debateRoom={debateRoom} user={user} />
+                        <SpectatorChat roomId={roomId} user={user} canPost={debateRoom.status === 'active'} />
+                    </aside>
+                </div>
+            ) : (
+                <MessageList
+                    messages={messages}
+                    currentUserId={user?.uid}
+                    debateFormat={debateRoom.format}
+                    sideLabels={sideLabelsFor(debateRoom)}
+                    hasEarlier={hasEarlier}
+                    isLoadingEarlier={isLoadingEarlier}
+                    onLoadEarlier={loadEarlier}
+                />
+            )}
+            
+            {isSpectator ? (
+                <p className="p-4 text-center text-gray-700 bg-gray-100 rounded-lg">You are watching this debate as a spectator.</p>
+            ) : (
+                <MessageInput debateRoom={debateRoom} user={user} onSendMessage={handleSendMessage} />
+            )}
+        </div>
+    );
+};
+
+export default DebateRoomView;
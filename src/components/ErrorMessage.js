@@ -0,0 +1,13 @@
+import React from 'react';
+
+// --- Error Message ---
+const ErrorMessage = ({ message }) => (
+    <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg relative mb-4" role="alert">
+        <strong className="font-bold">Error: </strong>
+        <span className="block sm:inline">{message}</span>
+    </div>
+);
+
+// Modal component was removed as it was unused.
+
+export default ErrorMessage;
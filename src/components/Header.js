@@ -0,0 +1,40 @@
+import React from 'react';
+import { routeHref } from '../routing';
+import { useUserProfiles } from '../profiles';
+import { INITIAL_RATING } from '../debate/ratings';
+import Avatar from './Avatar';
+
+// --- Header ---
+const Header = ({ user, activeDebateRoomId }) => {
+    const { profiles, nameOf } = useUserProfiles([user?.uid]);
+    const profile = profiles[user?.uid];
+
+    return (
+        <header className="bg-gray-800 text-white p-4 shadow-md sticky top-0 z-40">
+            <div className="container mx-auto flex justify-between items-center">
+                <h1 className="text-2xl font-bold"><a href={routeHref('topicList')}>Debate Platform</a></h1>
+                <div className="flex items-center space-x-4">
+                    {user && (
+                        <a href={routeHref('profile')} className="flex items-center space-x-2 text-sm hover:bg-gray-700 px-2 py-1 rounded-md" title={`User ID: ${user.uid}`}>
+                            <Avatar profile={profile} uid={user.uid} />
+                            <span className="font-semibold">{nameOf(user.uid)}</span>
+                            <span className="text-gray-300">({profile?.rating ?? INITIAL_RATING})</span>
+                        </a>
+                    )}
+                    <nav>
+                        {activeDebateRoomId && (
+                            <a href={routeHref('debateRoom', activeDebateRoomId)} className="bg-green-600 hover:bg-green-700 px-3 py-2 rounded-md text-sm font-medium">Your Debate</a>
+                        )}
+                        <a href={routeHref('topicList')} className="hover:bg-gray-700 px-3 py-2 rounded-md text-sm font-medium">Topics</a>
+                        <a href={routeHref('liveDebates')} className="hover:bg-gray-700 px-3 py-2 rounded-md text-sm font-medium">Live Debates</a>
+                        <a href={routeHref('myDebates')} className="hover:bg-gray-700 px-3 py-2 rounded-md text-sm font-medium">My Debates</a>
+                        <a href={routeHref('pastDebates')} className="hover:bg-gray-700 px-3 py-2 rounded-md text-sm font-medium">Past Debates</a>
+                        <a href={routeHref('leaderboard')} className="hover:bg-gray-700 px-3 py-2 rounded-md text-sm font-medium">Leaderboard</a>
+                    </nav>
+                </div>
+            </div>
+        </header>
+    );
+};
+
+export default Header;
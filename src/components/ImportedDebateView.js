@@ -0,0 +1,31 @@
+import React, { useMemo } from 'react';
+import { StaticProfilesProvider, displayNameFrom } from '../profiles';
+import { transcriptToRoom } from '../debate/transcript';
+import PastDebateDetails from './PastDebateDetails';
+
+// --- Imported Debate View ---
+// Shows a transcript file (src/debate/transcript.js) entirely offline: names come from the file,
+// not from Firestore.
+const ImportedDebateView = ({ transcript, onBack }) => {
+    const { debateRoom, messages, profiles } = useMemo(() => transcriptToRoom(transcript), [transcript]);
+    const nameOf = (uid) => displayNameFrom(profiles[uid], uid);
+
+    return (
+        <StaticProfilesProvider profiles={profiles}>
+            <div className="container mx-auto px-4 py-8">
+                <button
+                    onClick={onBack}
+                    className="mb-6 py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-gray-600 hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-500"
+                >
+                    &larr; Back to Past Debates
+                </button>
+                <p className="mb-4 p-3 bg-yellow-50 border border-yellow-300 text-yellow-800 text-sm rounded-lg">
+                    Viewing an imported transcript, exported {new Date(transcript.exportedAt).toLocaleString()}. It may differ from the live debate.
+                </p>
+                <PastDebateDetails debateRoom={debateRoom} messages={messages} nameOf={nameOf} />
+            </div>
+        </StaticProfilesProvider>
+    );
+};
+
+export default ImportedDebateView;
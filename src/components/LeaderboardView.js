@@ -0,0 +1,75 @@
+import React, { useState, useEffect } from 'react';
+import { db } from '../firebase';
+import { displayNameFrom } from '../profiles';
+import { LEADERBOARD_SIZE } from '../debate/ratings';
+import { subscribeToLeaderboard } from '../services/users';
+import Avatar from './Avatar';
+import ErrorMessage from './ErrorMessage';
+import LoadingSpinner from './LoadingSpinner';
+
+// --- Leaderboard View ---
+const LeaderboardView = ({ user }) => {
+    const [rankings, setRankings] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!db) {
+            setError("Database not available. The leaderboard cannot be loaded.");
+            setIsLoading(false);
+            return;
+        }
+        const unsubscribe = subscribeToLeaderboard(db, LEADERBOARD_SIZE, (rankingsData) => {
+            setRankings(rankingsData);
+            setIsLoading(false);
+        }, (err) => {
+            console.error("Error fetching leaderboard:", err);
+            setError("Failed to load the leaderboard.");
+            setIsLoading(false);
+        });
+
+        return () => unsubscribe();
+    }, []);
+
+    if (isLoading) return <LoadingSpinner text="Loading Leaderboard..." />;
+    if (error) return <ErrorMessage message={error} />;
+
+    return (
+        <div className="container mx-auto px-4 py-8">
+            <h2 className="text-3xl font-bold mb-6 text-gray-800">Leaderboard</h2>
+            {rankings.length === 0 ? (
+                <p className="text-gray-600 text-center py-10">No rated debates yet. Ratings appear once a judged debate concludes.</p>
+            ) : (
+                <table className="w-full bg-white rounded-lg shadow-lg border border-gray-200 text-sm">
+                    <thead className="bg-gray-50 text-left text-gray-600">
+                        <tr>
+                            <th className="px-4 py-2">#</th>
+                            <th className="px-4 py-2">User</th>
+                            <th className="px-4 py-2">Rating</th>
+                            <th className="px-4 py-2">W / L / D</th>
+                            <th className="px-4 py-2">Debates</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rankings.map((entry, index) => (
+                            <tr key={entry.id} className={`border-t border-gray-200 ${entry.id === user?.uid ? 'bg-blue-50 font-semibold' : ''}`}>
+                                <td className="px-4 py-2">{index + 1}</td>
+                                <td className="px-4 py-2">
+                                    <span className="flex items-center space-x-2">
+                                        <Avatar profile={entry} uid={entry.id} size="h-6 w-6" />
+                                        <span>{displayNameFrom(entry, entry.id)}{entry.id === user?.uid && ' (you)'}</span>
+                                    </span>
+                                </td>
+                                <td className="px-4 py-2">{entry.rating}</td>
+                                <td className="px-4 py-2">{entry.wins || 0} / {entry.losses || 0} / {entry.draws || 0}</td>
+                                <td className="px-4 py-2">{entry.gamesPlayed || 0}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+};
+
+export default LeaderboardView;
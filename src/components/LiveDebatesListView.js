@@ -0,0 +1,64 @@
+import React, { useState, useEffect } from 'react';
+import { db } from '../firebase';
+import { useUserProfiles } from '../profiles';
+import { debateFormatFor } from '../debate/formats';
+import { participantLabel } from '../debate/sides';
+import { subscribeToLiveDebates } from '../services/rooms';
+import ErrorMessage from './ErrorMessage';
+import LoadingSpinner from './LoadingSpinner';
+
+// --- Live Debates List View ---
+const LiveDebatesListView = ({ onWatchDebate }) => {
+    const [liveDebates, setLiveDebates] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const { nameOf } = useUserProfiles(liveDebates.flatMap(debate => debate.participants || []));
+
+    useEffect(() => {
+        if (!db) {
+            setError("Database not available. Live debates cannot be loaded.");
+            setIsLoading(false);
+            return;
+        }
+        const unsubscribe = subscribeToLiveDebates(db, (debatesData) => {
+            setLiveDebates(debatesData);
+            setIsLoading(false);
+        }, (err) => {
+            console.error("Error fetching live debates:", err);
+            setError("Failed to load live debates.");
+            setIsLoading(false);
+        });
+
+        return () => unsubscribe();
+    }, []);
+
+    if (isLoading) return <LoadingSpinner text="Loading Live Debates..." />;
+    if (error) return <ErrorMessage message={error} />;
+
+    return (
+        <div className="container mx-auto px-4 py-8">
+            <h2 className="text-3xl font-bold mb-6 text-gray-800">Live Debates</h2>
+            {liveDebates.length === 0 && (
+                <p className="text-gray-600 text-center py-10">No debates are live right now.</p>
+            )}
+            <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6">
+                {liveDebates.map(debate => (
+                    <div key={debate.id} className="bg-white p-6 rounded-lg shadow-lg border border-gray-200">
+                        <h3 className="text-xl font-semibold text-blue-700 mb-2">{debate.topicName}</h3>
+                        <p className="text-sm text-gray-600 mb-1">{debate.participants?.map(p => participantLabel(debate, p, nameOf)).join(' vs. ')}</p>
+                        <p className="text-sm text-gray-600 mb-1">Format: {debateFormatFor(debate.format).name}</p>
+                        <p className="text-sm text-gray-600 mb-3">{debate.spectatorCount || 0} watching</p>
+                        <button
+                            onClick={() => onWatchDebate(debate.id)}
+                            className="w-full py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+                        >
+                            Watch Live
+                        </button>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default LiveDebatesListView;
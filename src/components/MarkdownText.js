@@ -0,0 +1,103 @@
+import React from 'react';
+import { parseMarkdown, safeUrl } from '../debate/markdown';
+import { fallacyLabel } from '../debate/fallacies';
+
+// Flagged spans that can be highlighted, in order; overlapping spans keep the first one.
+const highlightSpans = (fallacies) => {
+    const spans = [];
+    let cursor = 0;
+    (fallacies || [])
+        .filter(f => Number.isInteger(f.start) && Number.isInteger(f.end) && f.end > f.start)
+        .sort((a, b) => a.start - b.start)
+        .forEach(f => {
+            if (f.start < cursor) return;
+            spans.push(f);
+            cursor = f.end;
+        });
+    return spans;
+};
+
+// text[start, end), with the parts inside flagged spans marked.
+const highlighted = (text, start, end, spans) => {
+    const segments = [];
+    let cursor = start;
+    spans.forEach((f, index) => {
+        const from = Math.max(f.start, cursor);
+        const to = Math.min(f.end, end);
+        if (to <= from) return;
+        if (from > cursor) segments.push(text.substring(cursor, from));
+        segments.push(
+            <mark key={index} className="bg-yellow-200 text-gray-900 rounded px-0.5" title={`${fallacyLabel(f.type)}: ${f.explanation}`}>
+                {text.substring(from, to)}
+            </mark>
+        );
+        cursor = to;
+    });
+    if (cursor < end) segments.push(text.substring(cursor, end));
+    return segments;
+};
+
+const renderInline = (nodes, text, spans, citations) => nodes.map((node, index) => {
+    switch (node.type) {
+        case 'strong':
+            return <strong key={index}>{renderInline(node.children, text, spans, citations)}</strong>;
+        case 'em':
+            return <em key={index}>{renderInline(node.children, text, spans, citations)}</em>;
+        case 'code':
+            return <code key={index} className="px-1 rounded bg-black/10 font-mono text-[0.9em]">{highlighted(text, node.start, node.end, spans)}</code>;
+        case 'link':
+            return (
+                <a key={index} href={node.href} target="_blank" rel="noopener noreferrer nofollow" className="underline">
+                    {renderInline(node.children, text, spans, citations)}
+                </a>
+            );
+        case 'cite': {
+            const citation = citations[node.number - 1];
+            const href = citation && safeUrl(citation.url);
+            if (!href) return <React.Fragment key={index}>{text.substring(node.start, node.end)}</React.Fragment>;
+            return (
+                <sup key={index}>
+                    <a href={href} target="_blank" rel="noopener noreferrer nofollow" className="underline" title={citation.quote || citation.url}>
+                        [{node.number}]
+                    </a>
+                </sup>
+            );
+        }
+        default:
+            return <React.Fragment key={index}>{highlighted(text, node.start, node.end, spans)}</React.Fragment>;
+    }
+});
+
+// --- Markdown Text ---
+// Renders a message's Markdown (src/debate/markdown.js) as React elements, never as HTML.
+// Fallacy spans point into the raw text and are highlighted wherever they fall; [n] references
+// link to the message's citations. Imported transcripts are not validated, so every URL is
+// checked again here.
+const MarkdownText = ({ text, fallacies = [], citations = [] }) => {
+    const spans = highlightSpans(fallacies);
+    const lines = (blockLines) => blockLines.map((line, index) => (
+        <React.Fragment key={index}>
+            {index > 0 && <br />}
+            {renderInline(line, text, spans, citations)}
+        </React.Fragment>
+    ));
+
+    return (
+        <div className="text-sm space-y-2 break-words">
+            {parseMarkdown(text).map((block, index) => {
+                if (block.type === 'quote') {
+                    return <blockquote key={index} className="pl-3 border-l-4 border-current/30 italic opacity-90">{lines(block.lines)}</blockquote>;
+                }
+                if (block.type === 'list') {
+                    const items = block.items.map((item, itemIndex) => <li key={itemIndex}>{renderInline(item, text, spans, citations)}</li>);
+                    return block.ordered
+                        ? <ol key={index} start={block.start} className="pl-5 list-decimal">{items}</ol>
+                        : <ul key={index} className="pl-5 list-disc">{items}</ul>;
+                }
+                return <p key={index}>{lines(block.lines)}</p>;
+            })}
+        </div>
+    );
+};
+
+export default MarkdownText;
@@ -0,0 +1,162 @@
+import React, { useState } from 'react';
+import { db } from '../firebase';
+import {
+    MAX_WORDS_PER_DEBATE_TOTAL, MAX_CITATIONS, MAX_CITATION_URL_LENGTH, MAX_CITATION_QUOTE_LENGTH,
+    countWords, citationsProblem, draftProblem, maxWordsPerReplyFor,
+} from '../debate/rules';
+import { AI_OPPONENT_ID, AI_OPPONENT_NAME } from '../debate/aiOpponent';
+import { callableErrorMessage } from '../services/callables';
+import ErrorMessage from './ErrorMessage';
+
+const NEW_CITATION = { url: '', quote: '' };
+
+// --- Message Input ---
+// onSendMessage(text, citations, factCheck) gets the trimmed text, the sources the debater
+// attached (which the text refers to as [1], [2]...) and whether to fact-check the message.
+// The fact-check choice is kept between messages.
+const MessageInput = ({ debateRoom, user, onSendMessage }) => {
+    const [text, setText] = useState('');
+    const [citations, setCitations] = useState([]);
+    const [factCheck, setFactCheck] = useState(false);
+    const [isSending, setIsSending] = useState(false);
+    const [error, setError] = useState(null);
+
+    if (!debateRoom || !user) return null;
+
+    const currentUserInfo = debateRoom.participantInfo?.[user.uid];
+    const wordsUsedTotal = currentUserInfo?.wordsUsed || 0;
+    const wordsInCurrentMessage = countWords(text);
+    const maxWordsPerReply = maxWordsPerReplyFor(debateRoom);
+    
+    const canSendMessage = !draftProblem(debateRoom, user.uid, text, citations);
+    const citationError = citationsProblem(citations);
+
+    const updateCitation = (index, field, value) => {
+        setCitations(current => current.map((citation, i) => (i === index ? { ...citation, [field]: value } : citation)));
+    };
+
+
+    const handleSend = async () => {
+        if (!canSendMessage || isSending || !db) return; 
+
+        setIsSending(true);
+        setError(null);
+        const messageText = text.trim();
+        const messageCitations = citations;
+        setText(''); 
+        setCitations([]);
+
+        try {
+            await onSendMessage(messageText, messageCitations, factCheck);
+        } catch (err) {
+            console.error("Error in handleSend (MessageInput):", err);
+            setError(callableErrorMessage(err, "Failed to send message. Please try again."));
+            setText(messageText); 
+            setCitations(messageCitations);
+        } finally {
+            setIsSending(false);
+        }
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            handleSend();
+        }
+    };
+    
+    if (currentUserInfo?.hasExited) {
+        return <p className="p-4 text-center text-red-600 bg-red-100 rounded-lg">You have exited this debate.</p>;
+    }
+    if (debateRoom.status !== 'active') {
+         return <p className="p-4 text-center text-gray-700 bg-gray-100 rounded-lg">This debate has concluded: {debateRoom.status.replace(/_/g, ' ')}.</p>;
+    }
+    if (debateRoom.turn !== user.uid) {
+        const waitingText = debateRoom.turn === AI_OPPONENT_ID ? `${AI_OPPONENT_NAME} is writing its reply...` : "Waiting for the other user's turn...";
+        return <p className="p-4 text-center text-blue-700 bg-blue-100 rounded-lg">{waitingText}</p>;
+    }
+    if (wordsUsedTotal >= MAX_WORDS_PER_DEBATE_TOTAL) {
+        return <p className="p-4 text-center text-red-600 bg-red-100 rounded-lg">You have used all your words for this debate ({wordsUsedTotal}/{MAX_WORDS_PER_DEBATE_TOTAL}).</p>;
+    }
+
+
+    return (
+        <div className="p-4 border-t border-gray-300 bg-white rounded-b-lg">
+            {error && <ErrorMessage message={error} />}
+            <div className="flex items-start space-x-3">
+                <textarea
+                    value={text}
+                    onChange={(e) => setText(e.target.value)}
+                    onKeyDown={handleKeyDown}
+                    placeholder={debateRoom.turn === user.uid ? "Your turn. Type your message..." : "Waiting for opponent..."}
+                    rows="3"
+                    className="flex-grow p-3 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+                    disabled={isSending || debateRoom.turn !== user.uid || wordsUsedTotal >= MAX_WORDS_PER_DEBATE_TOTAL || currentUserInfo?.hasExited || !db} 
+                />
+                <button
+                    onClick={handleSend}
+                    disabled={!canSendMessage || isSending || !db} 
+                    className="px-6 py-3 bg-blue-600 text-white font-semibold rounded-lg shadow-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:bg-gray-400 disabled:cursor-not-allowed transition duration-150"
+                >
+                    {isSending ? 'Sending...' : 'Send'}
+                </button>
+            </div>
+            {citations.length > 0 && (
+                <ol className="mt-3 space-y-2">
+                    {citations.map((citation, index) => (
+                        <li key={index} className="flex items-start space-x-2 text-sm">
+                            <span className="pt-2 font-mono text-gray-500">[{index + 1}]</span>
+                            <div className="flex-grow space-y-1">
+                                <input
+                                    type="url"
+                                    value={citation.url}
+                                    onChange={(e) => updateCitation(index, 'url', e.target.value)}
+                                    maxLength={MAX_CITATION_URL_LENGTH}
+                                    placeholder="https://..."
+                                    className="w-full p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                />
+                                <input
+                                    type="text"
+                                    value={citation.quote}
+                                    onChange={(e) => updateCitation(index, 'quote', e.target.value)}
+                                    maxLength={MAX_CITATION_QUOTE_LENGTH}
+                                    placeholder="Quoted excerpt (optional)"
+                                    className="w-full p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                />
+                            </div>
+                            <button
+                                onClick={() => setCitations(current => current.filter((_, i) => i !== index))}
+                                className="pt-2 text-red-600 hover:underline"
+                            >
+                                Remove
+                            </button>
+                        </li>
+                    ))}
+                </ol>
+            )}
+            {citations.length > 0 && citationError && <p className="text-xs text-red-500 mt-1">{citationError}</p>}
+            <div className="text-xs text-gray-600 mt-2 flex justify-between items-center">
+                <span>**bold**, *italic*, "- " lists, "&gt; " quotes; cite sources as [1].</span>
+                <label className="flex items-center space-x-1">
+                    <input type="checkbox" checked={factCheck} onChange={(e) => setFactCheck(e.target.checked)} />
+                    <span>Fact-check my claims</span>
+                </label>
+                <button
+                    onClick={() => setCitations(current => [...current, NEW_CITATION])}
+                    disabled={citations.length >= MAX_CITATIONS}
+                    className="text-blue-600 hover:underline disabled:text-gray-400 disabled:no-underline"
+                >
+                    + Add source ({citations.length}/{MAX_CITATIONS})
+                </button>
+            </div>
+            <div className="text-xs text-gray-600 mt-2 flex justify-between">
+                <span>Words in reply: {wordsInCurrentMessage} / {maxWordsPerReply}</span>
+                <span>Total words used: {wordsUsedTotal} / {MAX_WORDS_PER_DEBATE_TOTAL}</span>
+            </div>
+             {wordsInCurrentMessage > maxWordsPerReply && <p className="text-xs text-red-500">Reply exceeds {maxWordsPerReply} words.</p>}
+             {(wordsUsedTotal + wordsInCurrentMessage) > MAX_WORDS_PER_DEBATE_TOTAL && <p className="text-xs text-red-500">Exceeds total debate word limit.</p>}
+        </div>
+    );
+};
+
+export default MessageInput;
@@ -0,0 +1,103 @@
+import React from 'react';
+import { useUserProfiles } from '../profiles';
+import { phaseNameFor } from '../debate/formats';
+import { fallacyLabel } from '../debate/fallacies';
+import { FACT_CHECK_VERDICT_STYLES, factCheckVerdictLabel } from '../debate/factCheck';
+import Avatar from './Avatar';
+import { safeUrl } from '../debate/markdown';
+import MarkdownText from './MarkdownText';
+
+// --- Message Item ---
+const MessageItem = ({ message, currentUserId, debateFormat, sideLabels = {} }) => {
+    const isCurrentUser = message.senderId === currentUserId;
+    const isGemini = message.senderId === 'gemini';
+    const isFallacy = message.isFallacyAlert;
+    const isGeminiResponse = message.isGeminiResponse;
+    const isClockNotice = message.isClockNotice;
+    const fallacies = message.fallacies || [];
+    const citations = message.citations || [];
+    const factChecks = message.factChecks;
+    const phaseName = message.phase ? phaseNameFor(debateFormat, message.phase) : null;
+    const { profiles, nameOf } = useUserProfiles([message.senderId]);
+
+    let senderName = 'User';
+    if (isGemini) senderName = 'Gemini AI';
+    else if (isCurrentUser) senderName = 'You';
+    else senderName = nameOf(message.senderId);
+    const senderSide = sideLabels[message.senderId];
+
+    let bgColor = isCurrentUser ? 'bg-blue-500 text-white' : 'bg-gray-200 text-gray-800';
+    if (isGemini) bgColor = isFallacy ? 'bg-yellow-100 border border-yellow-400 text-yellow-800' : 'bg-purple-100 border border-purple-300 text-purple-800';
+    
+    let alignment = isCurrentUser ? 'items-end' : 'items-start';
+    if (isGemini) alignment = 'items-center';
+
+
+    return (
+        <div className={`flex flex-col mb-3 ${alignment}`}>
+            <div className={`max-w-xl p-3 rounded-xl shadow ${bgColor}`}>
+                <p className="text-xs font-semibold mb-1 flex items-center">
+                    {!isGemini && <span className="mr-2"><Avatar profile={profiles[message.senderId]} uid={message.senderId} size="h-5 w-5" /></span>}
+                    {senderName}
+                    {senderSide && <span className="ml-2 font-normal opacity-80">&middot; {senderSide}</span>}
+                    {phaseName && <span className="ml-2 font-normal opacity-80">&middot; {phaseName}</span>}
+                    {isFallacy && <span className="ml-2 font-bold text-red-600">[Fallacy Alert!]</span>}
+                    {isGeminiResponse && <span className="ml-2 font-bold text-indigo-600">[Q&A Response]</span>}
+                    {isClockNotice && <span className="ml-2 font-bold text-orange-600">[Time's Up]</span>}
+                </p>
+                <MarkdownText text={message.text || ''} fallacies={fallacies} citations={citations} />
+                {citations.length > 0 && (
+                    <ol className="mt-2 pt-2 border-t border-current/20 space-y-1 text-xs">
+                        {citations.map((citation, index) => {
+                            const href = safeUrl(citation.url);
+                            return (
+                                <li key={index} className="break-words">
+                                    <span className="font-mono mr-1">[{index + 1}]</span>
+                                    {href ? <a href={href} target="_blank" rel="noopener noreferrer nofollow" className="underline">{citation.url}</a> : citation.url}
+                                    {citation.quote && <span className="block italic opacity-90">&ldquo;{citation.quote}&rdquo;</span>}
+                                </li>
+                            );
+                        })}
+                    </ol>
+                )}
+                {factChecks && (
+                    <div className="mt-2 text-xs bg-white/90 border border-gray-300 text-gray-800 rounded-lg p-2">
+                        <p className="font-bold mb-1">Fact check</p>
+                        {factChecks.length === 0 ? (
+                            <p className="italic">No checkable factual claims.</p>
+                        ) : (
+                            <ul className="space-y-1">
+                                {factChecks.map((check, index) => (
+                                    <li key={index}>
+                                        <span className={`inline-block mr-1 px-1.5 rounded border font-semibold ${FACT_CHECK_VERDICT_STYLES[check.verdict] || FACT_CHECK_VERDICT_STYLES.unverifiable}`}>
+                                            {factCheckVerdictLabel(check.verdict)}
+                                        </span>
+                                        <span className="italic">&ldquo;{check.claim}&rdquo;</span>
+                                        {check.citations?.length > 0 && <span className="font-mono"> {check.citations.map(n => `[${n}]`).join('')}</span>}
+                                        {check.explanation && <span>: {check.explanation}</span>}
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                )}
+                {fallacies.length > 0 && (
+                    <ul className="mt-2 space-y-1 text-xs bg-yellow-50 border border-yellow-300 text-yellow-900 rounded-lg p-2">
+                        {fallacies.map((f, index) => (
+                            <li key={index}>
+                                <span className="font-bold">{fallacyLabel(f.type)}</span> ({Math.round(f.confidence * 100)}%)
+                                {f.span && <span className="italic"> &ldquo;{f.span}&rdquo;</span>}
+                                {f.explanation && <span>: {f.explanation}</span>}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+                <p className="text-xs opacity-70 mt-1 text-right">
+                    {message.timestamp?.toDate ? message.timestamp.toDate().toLocaleTimeString() : 'Sending...'}
+                </p>
+            </div>
+        </div>
+    );
+};
+
+export default MessageItem;
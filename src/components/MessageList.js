@@ -0,0 +1,141 @@
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback, useMemo } from 'react';
+import { itemOffsets, itemIndexAt, visibleRange } from '../virtualWindow';
+import LoadingSpinner from './LoadingSpinner';
+import MessageItem from './MessageItem';
+
+// Used until a message has been rendered and measured.
+const ESTIMATED_MESSAGE_HEIGHT = 100;
+// Within this many pixels of the bottom, the list follows new messages.
+const FOLLOW_THRESHOLD_PX = 80;
+// Within this many pixels of the top, earlier messages start loading.
+const LOAD_EARLIER_THRESHOLD_PX = 200;
+
+// --- Message List ---
+// Only the messages near the viewport are rendered. While the reader is at the bottom the list
+// follows new messages; once they scroll up it keeps the message they are reading in place, even
+// as earlier pages load above it, and offers a button to jump to anything new.
+const MessageList = ({
+    messages,
+    currentUserId,
+    debateFormat,
+    sideLabels,
+    hasEarlier = false,
+    isLoadingEarlier = false,
+    onLoadEarlier = null,
+    className = 'flex-grow mb-4 h-[calc(100vh-350px)] md:h-[calc(100vh-300px)]',
+}) => {
+    const scrollRef = useRef(null);
+    const listRef = useRef(null);
+    const isFollowingRef = useRef(true);
+    // The message at the top of the view and how far into it the reader has scrolled.
+    const anchorRef = useRef(null);
+    const lastIdRef = useRef(null);
+    // Measured heights by message ID.
+    const [heights, setHeights] = useState(() => new Map());
+    const [viewport, setViewport] = useState({ top: 0, height: 0 });
+    const [hasUnseen, setHasUnseen] = useState(false);
+
+    const offsets = useMemo(
+        () => itemOffsets(messages.map(msg => heights.get(msg.id) ?? ESTIMATED_MESSAGE_HEIGHT)),
+        [messages, heights]
+    );
+    const { start, end } = visibleRange(offsets, viewport.top, viewport.height || window.innerHeight);
+    const offsetsRef = useRef(offsets);
+    offsetsRef.current = offsets;
+    const messagesRef = useRef(messages);
+    messagesRef.current = messages;
+
+    // Records where the reader is. Returns the scroll position relative to the first message.
+    const readScroll = useCallback(() => {
+        const scrollEl = scrollRef.current;
+        const top = scrollEl.scrollTop - listRef.current.offsetTop;
+        isFollowingRef.current = scrollEl.scrollHeight - scrollEl.scrollTop - scrollEl.clientHeight < FOLLOW_THRESHOLD_PX;
+        const index = itemIndexAt(offsetsRef.current, top);
+        const anchorMessage = messagesRef.current[index];
+        anchorRef.current = anchorMessage ? { id: anchorMessage.id, delta: top - offsetsRef.current[index] } : null;
+        setViewport(current => (current.top === top && current.height === scrollEl.clientHeight ? current : { top, height: scrollEl.clientHeight }));
+        return top;
+    }, []);
+
+    // Whenever the messages or the rendered window change: measure the rendered messages, then
+    // either follow the bottom or put the anchored message back where the reader left it.
+    useLayoutEffect(() => {
+        const scrollEl = scrollRef.current;
+        const newHeights = [];
+        listRef.current.querySelectorAll('[data-message-id]').forEach(node => {
+            const height = node.offsetHeight;
+            if (height && heights.get(node.dataset.messageId) !== height) newHeights.push([node.dataset.messageId, height]);
+        });
+        if (newHeights.length) {
+            setHeights(current => new Map([...current, ...newHeights]));
+            return;
+        }
+
+        const lastMessage = messages[messages.length - 1];
+        const hasNewLast = !!lastMessage && lastMessage.id !== lastIdRef.current;
+        const isFirstMessages = lastIdRef.current === null;
+        lastIdRef.current = lastMessage?.id ?? null;
+        if (hasNewLast && lastMessage.senderId === currentUserId) isFollowingRef.current = true;
+
+        if (isFollowingRef.current) {
+            scrollEl.scrollTop = scrollEl.scrollHeight;
+        } else {
+            if (hasNewLast && !isFirstMessages) setHasUnseen(true);
+            const anchor = anchorRef.current;
+            const index = anchor ? messages.findIndex(msg => msg.id === anchor.id) : -1;
+            if (index >= 0) {
+                const target = listRef.current.offsetTop + offsets[index] + anchor.delta;
+                if (Math.abs(scrollEl.scrollTop - target) > 1) scrollEl.scrollTop = target;
+            }
+        }
+        readScroll();
+    }, [messages, heights, offsets, start, end, currentUserId, readScroll]);
+
+    useEffect(() => {
+        window.addEventListener('resize', readScroll);
+        return () => window.removeEventListener('resize', readScroll);
+    }, [readScroll]);
+
+    const handleScroll = () => {
+        const top = readScroll();
+        if (isFollowingRef.current) setHasUnseen(false);
+        if (top < LOAD_EARLIER_THRESHOLD_PX && hasEarlier && !isLoadingEarlier && onLoadEarlier) onLoadEarlier();
+    };
+
+    const handleJumpToLatest = () => {
+        isFollowingRef.current = true;
+        setHasUnseen(false);
+        scrollRef.current.scrollTop = scrollRef.current.scrollHeight;
+    };
+
+    return (
+        <div ref={scrollRef} onScroll={handleScroll} className={`relative p-4 overflow-y-auto bg-gray-50 rounded-lg ${className}`}>
+            {hasEarlier && (
+                <div className="mb-3 text-center">
+                    {isLoadingEarlier ? (
+                        <LoadingSpinner text="Loading earlier messages..." />
+                    ) : (
+                        onLoadEarlier && <button onClick={onLoadEarlier} className="text-sm text-blue-600 hover:underline">Load earlier messages</button>
+                    )}
+                </div>
+            )}
+            <div ref={listRef} style={{ paddingTop: offsets[start], paddingBottom: offsets[messages.length] - offsets[end] }}>
+                {messages.slice(start, end).map(msg => (
+                    <div key={msg.id} data-message-id={msg.id} className="flow-root">
+                        <MessageItem message={msg} currentUserId={currentUserId} debateFormat={debateFormat} sideLabels={sideLabels} />
+                    </div>
+                ))}
+            </div>
+            {hasUnseen && (
+                <button
+                    onClick={handleJumpToLatest}
+                    className="sticky bottom-2 block mx-auto px-3 py-1 rounded-full shadow bg-blue-600 text-white text-sm hover:bg-blue-700"
+                >
+                    New messages &darr;
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default MessageList;
@@ -0,0 +1,107 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { db } from '../firebase';
+import { useUserProfiles } from '../profiles';
+import { participantLabel } from '../debate/sides';
+import { debateStats, debateResult, debateTimeMs, conclusionLabel } from '../debate/userStats';
+import { subscribeToUserDebates } from '../services/rooms';
+import BarChart from './BarChart';
+import ErrorMessage from './ErrorMessage';
+import LoadingSpinner from './LoadingSpinner';
+
+const RESULT_LABELS = { won: 'Won', lost: 'Lost', draw: 'Draw' };
+
+const StatCard = ({ label, value, detail }) => (
+    <div className="bg-white p-4 rounded-lg shadow-lg border border-gray-200">
+        <p className="text-sm text-gray-500">{label}</p>
+        <p className="text-2xl font-bold text-gray-800">{value}</p>
+        {detail && <p className="text-xs text-gray-500">{detail}</p>}
+    </div>
+);
+
+// --- My Debates View ---
+const MyDebatesView = ({ user, onSelectDebate, onOpenDebate }) => {
+    const [debates, setDebates] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const { nameOf } = useUserProfiles(debates.flatMap(debate => debate.participants || []));
+    const stats = useMemo(() => debateStats(debates, user?.uid), [debates, user]);
+
+    useEffect(() => {
+        if (!db || !user) {
+            setError("Database not available. Your debates cannot be loaded.");
+            setIsLoading(false);
+            return;
+        }
+        const unsubscribe = subscribeToUserDebates(db, user.uid, (debatesData) => {
+            setDebates(debatesData);
+            setIsLoading(false);
+        }, (err) => {
+            console.error("Error fetching user's debates:", err);
+            setError("Failed to load your debates.");
+            setIsLoading(false);
+        });
+
+        return () => unsubscribe();
+    }, [user]);
+
+    if (isLoading) return <LoadingSpinner text="Loading Your Debates..." />;
+    if (error) return <ErrorMessage message={error} />;
+
+    const { results } = stats;
+
+    return (
+        <div className="container mx-auto px-4 py-8 space-y-6">
+            <h2 className="text-3xl font-bold text-gray-800">My Debates</h2>
+            {debates.length === 0 ? (
+                <p className="text-gray-600 text-center py-10">You have not debated yet. Join a topic to get started.</p>
+            ) : (
+                <>
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                        <StatCard label="Debates played" value={stats.played} detail={`${results.won}W / ${results.lost}L / ${results.draw}D, ${results.unjudged} unjudged`} />
+                        <StatCard label="Average words per reply" value={stats.averageWordsPerReply ?? '—'} />
+                        <StatCard label="Fallacies flagged against you" value={stats.fallacyTotal} />
+                        <StatCard label="@gemini questions asked" value={stats.geminiQuestions} />
+                    </div>
+                    <div className="grid md:grid-cols-2 gap-4">
+                        <BarChart title="Debates per month" bars={stats.months.map(month => ({ key: month.key, label: month.label, value: month.played }))} />
+                        <BarChart
+                            title="Average words per reply by month"
+                            bars={stats.months.map(month => ({ key: month.key, label: month.label, value: month.averageWordsPerReply }))}
+                            barClassName="bg-green-500"
+                        />
+                        <BarChart title="How your debates ended" bars={stats.outcomes} barClassName="bg-indigo-500" />
+                        <BarChart title="Fallacies flagged against you" bars={stats.fallaciesByType} barClassName="bg-red-500" emptyText="No fallacies flagged. Nice work!" />
+                    </div>
+                    <div className="space-y-4">
+                        {debates.map(debate => {
+                            const isActive = debate.status === 'active';
+                            const result = debateResult(debate, user.uid);
+                            const debatedAt = debateTimeMs(debate);
+                            return (
+                                <div key={debate.id} className="bg-white p-4 rounded-lg shadow-lg border border-gray-200 flex flex-wrap justify-between items-center gap-2">
+                                    <div>
+                                        <h3 className="text-lg font-semibold text-blue-700">{debate.topicName}</h3>
+                                        <p className="text-sm text-gray-600">
+                                            {debate.participants?.filter(p => p !== user.uid).map(p => `vs. ${participantLabel(debate, p, nameOf)}`).join(', ')}
+                                            {' · '}{isActive ? 'In progress' : conclusionLabel(debate.status)}
+                                            {result && ` · ${RESULT_LABELS[result]}`}
+                                        </p>
+                                        {debatedAt > 0 && <p className="text-xs text-gray-500">{new Date(debatedAt).toLocaleDateString()}</p>}
+                                    </div>
+                                    <button
+                                        onClick={() => (isActive ? onOpenDebate(debate.id) : onSelectDebate(debate.id))}
+                                        className="py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+                                    >
+                                        {isActive ? 'Return to Debate' : 'View Debate'}
+                                    </button>
+                                </div>
+                            );
+                        })}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default MyDebatesView;
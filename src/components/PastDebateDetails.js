@@ -0,0 +1,68 @@
+import React from 'react';
+import { participantLabel, sideLabelsFor } from '../debate/sides';
+import { fallacyLabel } from '../debate/fallacies';
+import { ratingChangeLabel } from '../debate/ratings';
+import AudiencePollResults from './AudiencePollResults';
+import MessageList from './MessageList';
+import TopicBriefs from './TopicBriefs';
+import VerdictCard from './VerdictCard';
+
+// --- Past Debate Details ---
+// The summary and transcript of a finished debate, whether loaded from Firestore or imported
+// from a transcript file. actions sit beside the title; children go at the end of the summary.
+// Rooms loaded a page at a time pass the paging props on to the transcript's MessageList.
+const PastDebateDetails = ({
+    debateRoom,
+    messages,
+    nameOf,
+    hasEarlierMessages = false,
+    isLoadingEarlierMessages = false,
+    onLoadEarlierMessages = null,
+    actions = null,
+    children = null,
+}) => (
+    <>
+        <div className="mb-4 p-4 bg-white shadow-lg rounded-lg border border-gray-200">
+            <div className="flex flex-wrap justify-between items-start gap-2">
+                <h2 className="text-2xl font-bold text-gray-800">{debateRoom.topicName}</h2>
+                {actions}
+            </div>
+            <p className="text-sm text-gray-600">Status: {debateRoom.status?.replace(/_/g, ' ')}</p>
+            <p className="text-sm text-gray-600">Participants: {debateRoom.participants?.map(p => participantLabel(debateRoom, p, nameOf)).join(', ') || 'N/A'}</p>
+            {Object.entries(debateRoom.participantInfo || {}).map(([uid, info]) => (
+                <p key={uid} className="text-sm text-gray-500">
+                    {nameOf(uid)} words used: {info.wordsUsed}
+                    {debateRoom.ratingChanges?.[uid] && <span> &middot; rating {ratingChangeLabel(debateRoom.ratingChanges[uid])}</span>}
+                    {debateRoom.fallacyCounts?.[uid] && (
+                        <span> &middot; fallacies flagged: {Object.entries(debateRoom.fallacyCounts[uid]).map(([type, count]) => `${fallacyLabel(type)} ×${count}`).join(', ')}</span>
+                    )}
+                </p>
+            ))}
+            <div className="mt-2">
+                <TopicBriefs briefs={debateRoom.topicBriefs} />
+            </div>
+            <VerdictCard verdict={debateRoom.verdict} participants={debateRoom.participants} />
+            <AudiencePollResults poll={debateRoom.audiencePoll} />
+            {children}
+        </div>
+        <div className="bg-gray-50 p-4 rounded-lg shadow">
+            <h3 className="text-xl font-semibold mb-3 text-gray-700">Debate Transcript</h3>
+            {messages.length === 0 ? (
+                <p className="text-gray-500">No messages in this debate.</p>
+            ) : (
+                <MessageList
+                    messages={messages}
+                    currentUserId={null}
+                    debateFormat={debateRoom.format}
+                    sideLabels={sideLabelsFor(debateRoom)}
+                    hasEarlier={hasEarlierMessages}
+                    isLoadingEarlier={isLoadingEarlierMessages}
+                    onLoadEarlier={onLoadEarlierMessages}
+                    className="max-h-[60vh]"
+                />
+            )}
+        </div>
+    </>
+);
+
+export default PastDebateDetails;
@@ -0,0 +1,235 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { db } from '../firebase';
+import { useUserProfiles } from '../profiles';
+import { participantLabel } from '../debate/sides';
+import { ratingChangeLabel } from '../debate/ratings';
+import { verdictWinnerLabel } from '../debate/judge';
+import { parseTranscript } from '../debate/transcript';
+import { CONCLUSION_LABELS, conclusionLabel } from '../debate/userStats';
+import { fetchPastDebatesPage } from '../services/rooms';
+import ErrorMessage from './ErrorMessage';
+import ImportedDebateView from './ImportedDebateView';
+import LoadingSpinner from './LoadingSpinner';
+
+const NO_FILTERS = { search: '', status: '', from: '', to: '', sort: 'newest', topic: null };
+
+// 'YYYY-MM-DD' from a date input -> local midnight; days later to make "to" inclusive.
+const dateFromInput = (value, days = 0) => {
+    if (!value) return null;
+    const date = new Date(`${value}T00:00:00`);
+    date.setDate(date.getDate() + days);
+    return date;
+};
+
+const pageQuery = ({ search, status, from, to, sort, topic }, cursor) => ({
+    search,
+    status,
+    sort,
+    cursor,
+    topicId: topic?.id,
+    from: dateFromInput(from),
+    until: dateFromInput(to, 1),
+});
+
+// --- Past Debates List View ---
+// Pages through the archive with one-off queries; unlike the live lists it keeps no listener open.
+const PastDebatesListView = ({ onSelectDebate }) => {
+    const [pastDebates, setPastDebates] = useState([]);
+    const [filters, setFilters] = useState(NO_FILTERS);
+    const [searchText, setSearchText] = useState('');
+    const [cursor, setCursor] = useState(null);
+    const [hasMore, setHasMore] = useState(false);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [importedTranscript, setImportedTranscript] = useState(null);
+    const [importError, setImportError] = useState(null);
+    // Bumped by every fetch and on unmount; a page whose fetch is no longer the latest is dropped,
+    // so a "Load More" page that lands after the filters changed never mixes into the new results.
+    const requestIdRef = useRef(0);
+    const { nameOf } = useUserProfiles(pastDebates.flatMap(debate => debate.participants || []));
+
+    // Starts again from the first page whenever the filters change.
+    useEffect(() => {
+        if (!db) {
+            setError("Database not available. Past debates cannot be loaded.");
+            setIsLoading(false);
+            return;
+        }
+        const requestId = ++requestIdRef.current;
+        const isCurrent = () => requestIdRef.current === requestId;
+        setIsLoading(true);
+        setError(null);
+        fetchPastDebatesPage(db, pageQuery(filters, null)).then((page) => {
+            if (!isCurrent()) return;
+            setPastDebates(page.debates);
+            setCursor(page.cursor);
+            setHasMore(page.hasMore);
+        }).catch((err) => {
+            console.error("Error fetching past debates:", err);
+            if (isCurrent()) setError("Failed to load past debates.");
+        }).finally(() => {
+            if (isCurrent()) setIsLoading(false);
+        });
+
+        return () => { requestIdRef.current += 1; };
+    }, [filters]);
+
+    const handleLoadMore = async () => {
+        const requestId = ++requestIdRef.current;
+        const isCurrent = () => requestIdRef.current === requestId;
+        setIsLoading(true);
+        setError(null);
+        try {
+            const page = await fetchPastDebatesPage(db, pageQuery(filters, cursor));
+            if (!isCurrent()) return;
+            setPastDebates(debates => [...debates, ...page.debates]);
+            setCursor(page.cursor);
+            setHasMore(page.hasMore);
+        } catch (err) {
+            console.error("Error fetching more past debates:", err);
+            if (isCurrent()) setError("Failed to load more past debates.");
+        } finally {
+            if (isCurrent()) setIsLoading(false);
+        }
+    };
+
+    const updateFilter = (field, value) => setFilters(current => ({ ...current, [field]: value }));
+
+    const handleSearch = (e) => {
+        e.preventDefault();
+        updateFilter('search', searchText.trim());
+    };
+
+    const handleClearFilters = () => {
+        setSearchText('');
+        setFilters(NO_FILTERS);
+    };
+
+    // Transcripts exported from ViewPastDebateView open here without touching Firestore.
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        setImportError(null);
+        try {
+            setImportedTranscript(parseTranscript(await file.text()));
+        } catch (err) {
+            console.error("Error importing transcript:", err);
+            setImportError(err.message || "Failed to read the transcript file.");
+        }
+    };
+
+    const hasFilters = Object.keys(NO_FILTERS).some(field => filters[field] !== NO_FILTERS[field]);
+
+    if (importedTranscript) return <ImportedDebateView transcript={importedTranscript} onBack={() => setImportedTranscript(null)} />;
+
+    return (
+        <div className="container mx-auto px-4 py-8">
+            <div className="flex flex-wrap justify-between items-center gap-2 mb-6">
+                <h2 className="text-3xl font-bold text-gray-800">Past Debates</h2>
+                <label className="py-2 px-4 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50 cursor-pointer">
+                    Import Transcript (JSON)
+                    <input type="file" accept=".json,application/json" onChange={handleImport} className="sr-only" />
+                </label>
+            </div>
+            {importError && <ErrorMessage message={importError} />}
+            <div className="mb-6 p-4 bg-white rounded-lg shadow border border-gray-200 space-y-3">
+                <form onSubmit={handleSearch} className="flex space-x-2">
+                    <input
+                        type="search"
+                        value={searchText}
+                        onChange={(e) => setSearchText(e.target.value)}
+                        placeholder="Search topic names"
+                        aria-label="Search topic names"
+                        className="flex-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                    />
+                    <button type="submit" className="py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700">Search</button>
+                </form>
+                <div className="flex flex-wrap items-end gap-3 text-sm">
+                    <label className="flex flex-col text-gray-700">
+                        Ended
+                        <select value={filters.status} onChange={(e) => updateFilter('status', e.target.value)} className="mt-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm">
+                            <option value="">Any way</option>
+                            {Object.entries(CONCLUSION_LABELS).map(([status, label]) => (
+                                <option key={status} value={status}>{label}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label className="flex flex-col text-gray-700">
+                        From
+                        <input type="date" value={filters.from} max={filters.to || undefined} onChange={(e) => updateFilter('from', e.target.value)} className="mt-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm" />
+                    </label>
+                    <label className="flex flex-col text-gray-700">
+                        To
+                        <input type="date" value={filters.to} min={filters.from || undefined} onChange={(e) => updateFilter('to', e.target.value)} className="mt-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm" />
+                    </label>
+                    <label className="flex flex-col text-gray-700">
+                        Sort
+                        <select value={filters.sort} onChange={(e) => updateFilter('sort', e.target.value)} className="mt-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm">
+                            <option value="newest">Newest first</option>
+                            <option value="oldest">Oldest first</option>
+                        </select>
+                    </label>
+                    {hasFilters && (
+                        <button type="button" onClick={handleClearFilters} className="py-2 text-blue-600 hover:underline">Clear filters</button>
+                    )}
+                </div>
+                {filters.topic && (
+                    <p className="text-sm text-gray-700">
+                        Topic: <span className="font-semibold">{filters.topic.name}</span>
+                        <button type="button" onClick={() => updateFilter('topic', null)} className="ml-2 text-blue-600 hover:underline">Any topic</button>
+                    </p>
+                )}
+            </div>
+            {error && <ErrorMessage message={error} />}
+            {pastDebates.length === 0 && !hasMore && !isLoading && !error && (
+                <p className="text-gray-600 text-center py-10">No past debates found.</p>
+            )}
+            <div className="space-y-4">
+                {pastDebates.map(debate => (
+                    <div key={debate.id} className="bg-white p-6 rounded-lg shadow-lg border border-gray-200">
+                        <h3 className="text-xl font-semibold text-blue-700 mb-2">{debate.topicName}</h3>
+                        <p className="text-sm text-gray-600 mb-1">Ended: {conclusionLabel(debate.status)}</p>
+                        <p className="text-sm text-gray-600 mb-1">Participants: {debate.participants?.map(p => participantLabel(debate, p, nameOf)).join(', ') || 'N/A'}</p>
+                        {debate.verdict?.status === 'complete' && (
+                            <p className="text-sm text-purple-700 mb-1">Judge's verdict: {verdictWinnerLabel(debate.verdict, nameOf)}</p>
+                        )}
+                        {debate.ratingChanges && (
+                            <p className="text-sm text-gray-600 mb-1">
+                                Ratings: {Object.entries(debate.ratingChanges).map(([uid, change]) => `${nameOf(uid)} ${ratingChangeLabel(change)}`).join(', ')}
+                            </p>
+                        )}
+                        <p className="text-xs text-gray-500 mb-3">
+                            Concluded: {debate.concludedAt?.toDate ? debate.concludedAt.toDate().toLocaleDateString() : 'N/A'}
+                        </p>
+                        <button
+                            onClick={() => onSelectDebate(debate.id)}
+                            className="py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+                        >
+                            View Debate
+                        </button>
+                        {debate.topicId && debate.topicId !== filters.topic?.id && (
+                            <button
+                                onClick={() => updateFilter('topic', { id: debate.topicId, name: debate.topicName })}
+                                className="ml-3 text-sm text-blue-600 hover:underline"
+                            >
+                                More on this topic
+                            </button>
+                        )}
+                    </div>
+                ))}
+            </div>
+            {isLoading && <LoadingSpinner text="Loading Past Debates..." />}
+            {hasMore && !isLoading && (
+                <button
+                    onClick={handleLoadMore}
+                    className="mt-6 w-full py-2 px-4 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+                >
+                    Load More
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default PastDebatesListView;
@@ -0,0 +1,24 @@
+import React from 'react';
+import { currentPhaseFor, debateFormatFor } from '../debate/formats';
+
+// --- Phase Indicator ---
+const PhaseIndicator = ({ debateRoom }) => {
+    const debateFormat = debateFormatFor(debateRoom.format);
+    const phase = currentPhaseFor(debateRoom);
+    if (!phase) return <p>Format: {debateFormat.name}</p>;
+
+    return (
+        <>
+            <p>
+                Format: {debateFormat.name} &middot; Phase {(debateRoom.phaseIndex || 0) + 1} of {debateFormat.phases.length}:{' '}
+                <span className="font-semibold">{phase.name}</span>{' '}
+                (turn {(debateRoom.phaseTurn || 0) + 1} of {phase.turns.length}, up to {phase.maxWordsPerReply} words)
+            </p>
+            {phase.crossExamination && debateRoom.status === 'active' && (
+                <p className="text-indigo-700">Cross-examination: keep questions and answers short and direct.</p>
+            )}
+        </>
+    );
+};
+
+export default PhaseIndicator;
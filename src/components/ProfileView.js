@@ -0,0 +1,118 @@
+import React, { useState, useEffect } from 'react';
+import { db } from '../firebase';
+import { BIO_MAX_LENGTH, DISPLAY_NAME_MAX_LENGTH, displayNameFrom, useUserProfiles } from '../profiles';
+import { INITIAL_RATING } from '../debate/ratings';
+import { saveProfile } from '../services/users';
+import AccountPanel from './AccountPanel';
+import Avatar from './Avatar';
+import ErrorMessage from './ErrorMessage';
+import LoadingSpinner from './LoadingSpinner';
+
+// --- Profile View ---
+const ProfileView = ({ user }) => {
+    const { profiles } = useUserProfiles([user?.uid]);
+    const profile = profiles[user?.uid];
+    const [displayName, setDisplayName] = useState('');
+    const [avatarUrl, setAvatarUrl] = useState('');
+    const [bio, setBio] = useState('');
+    const [hasLoadedProfile, setHasLoadedProfile] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [notice, setNotice] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (hasLoadedProfile || profile === undefined) return;
+        setDisplayName(profile?.displayName || '');
+        setAvatarUrl(profile?.avatarUrl || '');
+        setBio(profile?.bio || '');
+        setHasLoadedProfile(true);
+    }, [profile, hasLoadedProfile]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!user || !db || !displayName.trim()) return;
+        if (avatarUrl.trim() && !avatarUrl.trim().startsWith('https://')) {
+            setError("The avatar must be an https:// image URL.");
+            return;
+        }
+        setIsSaving(true);
+        setError(null);
+        setNotice(null);
+
+        try {
+            await saveProfile(db, user.uid, { displayName, avatarUrl, bio });
+            setNotice("Profile saved.");
+        } catch (err) {
+            console.error("Error saving profile:", err);
+            setError("Failed to save your profile. Please try again.");
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    if (!user) return null;
+
+    return (
+        <div className="container mx-auto px-4 py-8 max-w-2xl space-y-6">
+            <div className="p-6 bg-white shadow-xl rounded-lg border border-gray-200">
+                <div className="flex items-center space-x-4 mb-4">
+                    <Avatar profile={{ ...profile, displayName, avatarUrl }} uid={user.uid} size="h-16 w-16" />
+                    <div>
+                        <h2 className="text-2xl font-semibold text-gray-800">{displayNameFrom({ displayName }, user.uid)}</h2>
+                        <p className="text-sm text-gray-500">
+                            Rating {profile?.rating ?? INITIAL_RATING} &middot; {profile?.wins || 0}W / {profile?.losses || 0}L / {profile?.draws || 0}D
+                        </p>
+                    </div>
+                </div>
+                {error && <ErrorMessage message={error} />}
+                {notice && <p className="mb-3 text-sm text-green-700">{notice}</p>}
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div>
+                        <label htmlFor="displayName" className="block text-sm font-medium text-gray-700">Display Name</label>
+                        <input
+                            type="text"
+                            id="displayName"
+                            value={displayName}
+                            onChange={(e) => setDisplayName(e.target.value)}
+                            maxLength={DISPLAY_NAME_MAX_LENGTH}
+                            required
+                            className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="avatarUrl" className="block text-sm font-medium text-gray-700">Avatar URL (Optional)</label>
+                        <input
+                            type="url"
+                            id="avatarUrl"
+                            value={avatarUrl}
+                            onChange={(e) => setAvatarUrl(e.target.value)}
+                            placeholder="https://..."
+                            className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                        />
+                    </div>
+                    <div>
+                        <label htmlFor="bio" className="block text-sm font-medium text-gray-700">Bio (Optional)</label>
+                        <textarea
+                            id="bio"
+                            value={bio}
+                            onChange={(e) => setBio(e.target.value)}
+                            maxLength={BIO_MAX_LENGTH}
+                            rows="3"
+                            className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                        ></textarea>
+                    </div>
+                    <button
+                        type="submit"
+                        disabled={isSaving || !displayName.trim() || !db}
+                        className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:bg-gray-400"
+                    >
+                        {isSaving ? <LoadingSpinner text="Saving..." /> : 'Save Profile'}
+                    </button>
+                </form>
+            </div>
+            <AccountPanel user={user} />
+        </div>
+    );
+};
+
+export default ProfileView;
@@ -0,0 +1,87 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { db } from '../firebase';
+import { useUserProfiles } from '../profiles';
+import { postSpectatorChat, subscribeToSpectatorChat } from '../services/audience';
+import ErrorMessage from './ErrorMessage';
+
+// --- Spectator Chat ---
+// A side channel for the audience, kept in its own subcollection so it never reaches the
+// debaters' messages, word counts or moderation. Debaters can read it once the debate is over.
+const SPECTATOR_CHAT_MAX_LENGTH = 500;
+const SPECTATOR_CHAT_HISTORY = 100;
+
+const SpectatorChat = ({ roomId, user, canPost }) => {
+    const [chatMessages, setChatMessages] = useState([]);
+    const [text, setText] = useState('');
+    const [isSending, setIsSending] = useState(false);
+    const [error, setError] = useState(null);
+    const { nameOf } = useUserProfiles(chatMessages.map(msg => msg.senderId));
+    const chatEndRef = useRef(null);
+
+    useEffect(() => {
+        if (!roomId || !db) return;
+        const unsubscribe = subscribeToSpectatorChat(db, roomId, SPECTATOR_CHAT_HISTORY, setChatMessages, (err) => {
+            console.error("Error fetching spectator chat:", err);
+            setError("Failed to load spectator chat.");
+        });
+        return () => unsubscribe();
+    }, [roomId]);
+
+    useEffect(() => {
+        chatEndRef.current?.scrollIntoView({ behavior: "smooth" });
+    }, [chatMessages]);
+
+    const handleSend = async (e) => {
+        e.preventDefault();
+        const messageText = text.trim();
+        if (!messageText || isSending || !db || !user) return;
+        setIsSending(true);
+        setError(null);
+        try {
+            await postSpectatorChat(db, { roomId, uid: user.uid, text: messageText });
+            setText('');
+        } catch (err) {
+            console.error("Error sending spectator chat message:", err);
+            setError("Failed to send your message. Please try again.");
+        } finally {
+            setIsSending(false);
+        }
+    };
+
+    return (
+        <div className="flex flex-col min-h-0">
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">Spectator Chat</h3>
+            {error && <ErrorMessage message={error} />}
+            <div className="flex-grow overflow-y-auto space-y-2 bg-gray-50 rounded-lg p-2 text-sm max-h-80">
+                {chatMessages.length === 0 && <p className="text-gray-500">No comments yet.</p>}
+                {chatMessages.map(msg => (
+                    <p key={msg.id}>
+                        <span className="font-semibold">{msg.senderId === user?.uid ? 'You' : nameOf(msg.senderId)}:</span> {msg.text}
+                    </p>
+                ))}
+                <div ref={chatEndRef} />
+            </div>
+            {canPost && (
+                <form onSubmit={handleSend} className="mt-2 flex space-x-2">
+                    <input
+                        type="text"
+                        value={text}
+                        onChange={(e) => setText(e.target.value)}
+                        maxLength={SPECTATOR_CHAT_MAX_LENGTH}
+                        placeholder="Say something to the audience..."
+                        className="flex-grow px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                    />
+                    <button
+                        type="submit"
+                        disabled={isSending || !text.trim()}
+                        className="px-3 py-1 bg-indigo-600 text-white rounded-md text-sm hover:bg-indigo-700 disabled:bg-gray-400"
+                    >
+                        Send
+                    </button>
+                </form>
+            )}
+        </div>
+    );
+};
+
+export default SpectatorChat;
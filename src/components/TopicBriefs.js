@@ -0,0 +1,25 @@
+import React from 'react';
+import { DEBATE_SIDES } from '../debate/sides';
+
+// --- Topic Briefs ---
+// Background for each side, copied from the topic onto the room (room.topicBriefs) when it opened.
+const TopicBriefs = ({ briefs, userSide }) => {
+    const sides = ['pro', 'con'].filter(side => briefs?.[side]);
+    if (!sides.length) return null;
+
+    return (
+        <details open className="mb-2 text-sm">
+            <summary className="cursor-pointer font-semibold text-gray-700">Background briefs</summary>
+            <div className="grid sm:grid-cols-2 gap-3 mt-2">
+                {sides.map(side => (
+                    <div key={side} className={`p-3 rounded-md border ${side === userSide ? 'border-blue-400 bg-blue-50' : 'border-gray-200 bg-gray-50'}`}>
+                        <p className="text-xs font-semibold text-gray-600 mb-1">{DEBATE_SIDES[side]}{side === userSide && ' (your side)'}</p>
+                        <p className="text-gray-700">{briefs[side]}</p>
+                    </div>
+                ))}
+            </div>
+        </details>
+    );
+};
+
+export default TopicBriefs;
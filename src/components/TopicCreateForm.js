@@ -0,0 +1,243 @@
+import React, { useState } from 'react';
+import { functions } from '../firebase';
+import { DEBATE_FORMATS, FREEFORM_FORMAT, debateFormatFor } from '../debate/formats';
+import { DEBATE_SIDES } from '../debate/sides';
+import { TOPIC_CATEGORIES, MAX_TOPIC_TAGS, MAX_BRIEF_LENGTH, parseTags } from '../debate/topics';
+import { callableErrorMessage } from '../services/callables';
+import { createTopic, suggestTopics, balanceMotion } from '../services/topics';
+import ErrorMessage from './ErrorMessage';
+import LoadingSpinner from './LoadingSpinner';
+
+const NO_BRIEFS = { pro: '', con: '' };
+
+// --- Topic Creation Form ---
+const TopicCreateForm = ({ user }) => {
+    const [topicName, setTopicName] = useState('');
+    const [description, setDescription] = useState('');
+    const [briefs, setBriefs] = useState(NO_BRIEFS);
+    const [format, setFormat] = useState(FREEFORM_FORMAT);
+    const [category, setCategory] = useState('other');
+    const [tagsText, setTagsText] = useState('');
+    const [suggestions, setSuggestions] = useState([]);
+    // 'create', 'suggest' or 'balance' while that request is in flight.
+    const [pendingAction, setPendingAction] = useState(null);
+    const [error, setError] = useState(null);
+    // Set when the screen thinks the topic repeats an existing one; the author may go ahead anyway.
+    const [isSimilarTopic, setIsSimilarTopic] = useState(false);
+
+    const tags = parseTags(tagsText);
+    const isLoading = pendingAction !== null;
+
+    const applyMotion = (motion) => {
+        setTopicName(motion.name);
+        setDescription(motion.description);
+        setBriefs(motion.briefs);
+        setSuggestions([]);
+        setIsSimilarTopic(false);
+    };
+
+    const submitTopic = async (allowSimilar) => {
+        if (!topicName.trim() || !user || !functions) return;
+        setPendingAction('create');
+        setError(null);
+        setIsSimilarTopic(false);
+
+        try {
+            await createTopic(functions, { name: topicName, description, format, category, tags, briefs, allowSimilar });
+            setTopicName('');
+            setDescription('');
+            setBriefs(NO_BRIEFS);
+            setFormat(FREEFORM_FORMAT);
+            setCategory('other');
+            setTagsText('');
+        } catch (err) {
+            console.error("Error creating topic:", err);
+            setError(callableErrorMessage(err, "Failed to create topic. Please try again."));
+            setIsSimilarTopic(err?.code === 'functions/already-exists' && err.details?.exact === false);
+        } finally {
+            setPendingAction(null);
+        }
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        submitTopic(false);
+    };
+
+    const handleSuggest = async () => {
+        if (!functions) return;
+        setPendingAction('suggest');
+        setError(null);
+        try {
+            setSuggestions(await suggestTopics(functions, { category }));
+        } catch (err) {
+            console.error("Error suggesting topics:", err);
+            setError(callableErrorMessage(err, "Gemini could not suggest topics right now. Please try again."));
+        } finally {
+            setPendingAction(null);
+        }
+    };
+
+    // Replaces the draft with Gemini's neutral rewording and briefs; the author can still edit them.
+    const handleBalance = async () => {
+        if (!topicName.trim() || !functions) return;
+        setPendingAction('balance');
+        setError(null);
+        try {
+            applyMotion(await balanceMotion(functions, { name: topicName, description }));
+        } catch (err) {
+            console.error("Error rewording topic:", err);
+            setError(callableErrorMessage(err, "Gemini could not reword this topic right now. Please try again."));
+        } finally {
+            setPendingAction(null);
+        }
+    };
+
+    return (
+        <div className="my-6 p-6 bg-white shadow-xl rounded-lg border border-gray-200">
+            <h2 className="text-2xl font-semibold mb-4 text-gray-800">Create New Debate Topic</h2>
+            {error && <ErrorMessage message={error} />}
+            {isSimilarTopic && (
+                <button
+                    type="button"
+                    onClick={() => submitTopic(true)}
+                    disabled={isLoading}
+                    className="mb-4 w-full py-2 px-4 border border-blue-600 rounded-md text-sm font-medium text-blue-700 hover:bg-blue-50 disabled:text-gray-400 disabled:border-gray-300"
+                >
+                    It's a different debate, create it anyway
+                </button>
+            )}
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div>
+                    <label htmlFor="category" className="block text-sm font-medium text-gray-700">Category</label>
+                    <div className="mt-1 flex space-x-2">
+                        <select
+                            id="category"
+                            value={category}
+                            onChange={(e) => setCategory(e.target.value)}
+                            className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                        >
+                            {Object.entries(TOPIC_CATEGORIES).map(([categoryId, label]) => (
+                                <option key={categoryId} value={categoryId}>{label}</option>
+                            ))}
+                        </select>
+                        <button
+                            type="button"
+                            onClick={handleSuggest}
+                            disabled={isLoading || !functions}
+                            className="whitespace-nowrap py-2 px-3 border border-purple-600 rounded-md text-sm font-medium text-purple-700 hover:bg-purple-50 disabled:text-gray-400 disabled:border-gray-300"
+                        >
+                            {pendingAction === 'suggest' ? <LoadingSpinner text="Thinking..." /> : 'Suggest Topics'}
+                        </button>
+                    </div>
+                </div>
+                {suggestions.length > 0 && (
+                    <ul className="space-y-2">
+                        {suggestions.map(motion => (
+                            <li key={motion.name} className="p-3 bg-purple-50 border border-purple-200 rounded-md flex justify-between items-start">
+                                <div className="mr-2">
+                                    <p className="text-sm font-semibold text-gray-800">{motion.name}</p>
+                                    {motion.description && <p className="text-xs text-gray-600">{motion.description}</p>}
+                                </div>
+                                <button
+                                    type="button"
+                                    onClick={() => applyMotion(motion)}
+                                    className="text-sm text-purple-700 font-medium hover:underline"
+                                >
+                                    Use
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+                <div>
+                    <label htmlFor="topicName" className="block text-sm font-medium text-gray-700">Topic Name</label>
+                    <input
+                        type="text"
+                        id="topicName"
+                        value={topicName}
+                        onChange={(e) => setTopicName(e.target.value)}
+                        placeholder="e.g., Universal Basic Income"
+                        required
+                        className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                    />
+                </div>
+                <div>
+                    <label htmlFor="description" className="block text-sm font-medium text-gray-700">Description (Optional)</label>
+                    <textarea
+                        id="description"
+                        value={description}
+                        onChange={(e) => setDescription(e.target.value)}
+                        rows="3"
+                        placeholder="Briefly describe the debate topic"
+                        className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                    ></textarea>
+                    <button
+                        type="button"
+                        onClick={handleBalance}
+                        disabled={isLoading || !topicName.trim() || !functions}
+                        className="mt-1 text-sm text-purple-700 font-medium hover:underline disabled:text-gray-400 disabled:no-underline"
+                    >
+                        {pendingAction === 'balance' ? <LoadingSpinner text="Rewording..." /> : 'Reword as a balanced motion with Gemini'}
+                    </button>
+                </div>
+                <div className="grid sm:grid-cols-2 gap-4">
+                    {['pro', 'con'].map(side => (
+                        <div key={side}>
+                            <label htmlFor={`brief-${side}`} className="block text-sm font-medium text-gray-700">Background for "{DEBATE_SIDES[side]}" (Optional)</label>
+                            <textarea
+                                id={`brief-${side}`}
+                                value={briefs[side]}
+                                onChange={(e) => setBriefs({ ...briefs, [side]: e.target.value })}
+                                rows="3"
+                                maxLength={MAX_BRIEF_LENGTH}
+                                placeholder="Shown to both debaters when the room opens"
+                                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                            ></textarea>
+                        </div>
+                    ))}
+                </div>
+                <div>
+                    <label htmlFor="format" className="block text-sm font-medium text-gray-700">Debate Format</label>
+                    <select
+                        id="format"
+                        value={format}
+                        onChange={(e) => setFormat(e.target.value)}
+                        className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                    >
+                        {Object.entries(DEBATE_FORMATS).map(([formatId, debateFormat]) => (
+                            <option key={formatId} value={formatId}>{debateFormat.name}</option>
+                        ))}
+                    </select>
+                    <p className="mt-1 text-xs text-gray-500">{debateFormatFor(format).description}</p>
+                </div>
+                <div>
+                    <label htmlFor="tags" className="block text-sm font-medium text-gray-700">Tags (Optional, comma-separated)</label>
+                    <input
+                        type="text"
+                        id="tags"
+                        value={tagsText}
+                        onChange={(e) => setTagsText(e.target.value)}
+                        placeholder="e.g., welfare, automation"
+                        className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                    />
+                    {tags.length > 0 && (
+                        <p className={`mt-1 text-xs ${tags.length > MAX_TOPIC_TAGS ? 'text-red-600' : 'text-gray-500'}`}>
+                            {tags.map(tag => `#${tag}`).join(' ')}
+                            {tags.length > MAX_TOPIC_TAGS && ` (at most ${MAX_TOPIC_TAGS} tags)`}
+                        </p>
+                    )}
+                </div>
+                <button
+                    type="submit"
+                    disabled={isLoading || !topicName.trim() || tags.length > MAX_TOPIC_TAGS || !functions}
+                    className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:bg-gray-400"
+                >
+                    {pendingAction === 'create' ? <LoadingSpinner text="Creating..." /> : 'Create Topic'}
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default TopicCreateForm;
@@ -0,0 +1,215 @@
+import React, { useState } from 'react';
+import { functions } from '../firebase';
+import { useUserProfiles } from '../profiles';
+import { debateFormatFor } from '../debate/formats';
+import { DEBATE_SIDES, sideLabel, sidesCompatible } from '../debate/sides';
+import { AI_DIFFICULTIES, AI_OPPONENT_NAME, AI_PERSONAS } from '../debate/aiOpponent';
+import { TOPIC_CATEGORIES, TOPIC_STATUSES, topicCategory, topicStatus } from '../debate/topics';
+import { callableErrorMessage } from '../services/callables';
+import { setTopicStatus, startAIDebate } from '../services/topics';
+import { joinMatchmaking, leaveMatchmaking } from '../services/matchmaking';
+import ErrorMessage from './ErrorMessage';
+import LoadingSpinner from './LoadingSpinner';
+
+// --- Topic Item ---
+const TopicItem = ({ topic, user, onJoinDebate, onSelectTag }) => {
+    const [isJoining, setIsJoining] = useState(false);
+    const [error, setError] = useState(null);
+    const [side, setSide] = useState(topic.interestedSides?.[user?.uid] || 'either');
+    const [aiDifficulty, setAiDifficulty] = useState('medium');
+    const [aiPersona, setAiPersona] = useState('scholar');
+    const { nameOf } = useUserProfiles([topic.createdBy]);
+
+    // Joining here moves the user off any other topic they were waiting on.
+    const handleSignalInterest = async () => {
+        if (!user || !topic.id || !functions) return; 
+        setIsJoining(true);
+        setError(null);
+
+        try {
+            const roomId = await joinMatchmaking(functions, { topicId: topic.id, side });
+            if (roomId) onJoinDebate(roomId);
+        } catch (err) {
+            console.error("Error signaling interest or creating debate room:", err);
+            setError(callableErrorMessage(err, "Failed to join. Please try again."));
+        } finally {
+            setIsJoining(false);
+        }
+    };
+
+    const handleStopWaiting = async () => {
+        if (!functions) return;
+        setIsJoining(true);
+        setError(null);
+        try {
+            await leaveMatchmaking(functions);
+        } catch (err) {
+            console.error("Error leaving matchmaking:", err);
+            setError("Failed to stop waiting. Please try again.");
+        } finally {
+            setIsJoining(false);
+        }
+    };
+
+    // Starts a debate right away against the AI, which takes the opposite side.
+    const handleDebateAI = async () => {
+        if (!user || !topic.id || !functions) return;
+        setIsJoining(true);
+        setError(null);
+        try {
+            const roomId = await startAIDebate(functions, { topicId: topic.id, side, difficulty: aiDifficulty, persona: aiPersona });
+            onJoinDebate(roomId);
+        } catch (err) {
+            console.error("Error starting a debate against the AI:", err);
+            setError(callableErrorMessage(err, "Could not start a debate against the AI. Please try again."));
+        } finally {
+            setIsJoining(false);
+        }
+    };
+
+    // Only the creator sees these. Closing or archiving ends everyone's wait on the topic.
+    const handleSetStatus = async (status) => {
+        if (!functions) return;
+        setIsJoining(true);
+        setError(null);
+        try {
+            await setTopicStatus(functions, { topicId: topic.id, status });
+        } catch (err) {
+            console.error("Error changing topic status:", err);
+            setError(callableErrorMessage(err, "Failed to update the topic. Please try again."));
+        } finally {
+            setIsJoining(false);
+        }
+    };
+
+    const status = topicStatus(topic);
+    const isOpen = status === 'open';
+    const isCreator = user?.uid === topic.createdBy;
+    const waitingUsers = topic.interestedUsers || [];
+    const waitingSide = (uid) => topic.interestedSides?.[uid] || 'either';
+    const isUserInterested = waitingUsers.includes(user?.uid);
+    const hasCompatiblePartner = waitingUsers.some(uid => uid !== user?.uid && sidesCompatible(side, waitingSide(uid)));
+    const isWaitingAsChosen = isUserInterested && !hasCompatiblePartner && waitingSide(user?.uid) === side;
+
+    let buttonLabel = 'Signal Interest / Join Debate';
+    if (isWaitingAsChosen) buttonLabel = 'Waiting for Partner...';
+    else if (isUserInterested && !hasCompatiblePartner) buttonLabel = 'Change Side';
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow-lg border border-gray-200 hover:shadow-2xl transition-shadow duration-300">
+            <div className="flex items-start justify-between mb-2">
+                <h3 className="text-xl font-semibold text-blue-700">{topic.name}</h3>
+                {!isOpen && <span className="ml-2 px-2 py-0.5 rounded-full bg-gray-200 text-gray-700 text-xs font-semibold">{TOPIC_STATUSES[status]}</span>}
+            </div>
+            {topic.description && <p className="text-gray-600 mb-3 text-sm">{topic.description}</p>}
+            {(topic.tags || []).length > 0 && (
+                <div className="flex flex-wrap gap-1 mb-3">
+                    {topic.tags.map(tag => (
+                        <button key={tag} onClick={() => onSelectTag(tag)} className="px-2 py-0.5 rounded-full bg-blue-50 text-blue-700 text-xs hover:bg-blue-100">
+                            #{tag}
+                        </button>
+                    ))}
+                </div>
+            )}
+            <p className="text-xs text-gray-500 mb-1">Category: {TOPIC_CATEGORIES[topicCategory(topic)]}</p>
+            <p className="text-xs text-gray-500 mb-1">Format: {debateFormatFor(topic.format).name}</p>
+            <p className="text-xs text-gray-500 mb-1">Created by: {nameOf(topic.createdBy)}</p>
+            <p className="text-xs text-gray-500 mb-3">
+                Waiting: {waitingUsers.length} user(s)
+                {waitingUsers.length > 0 && (
+                    <span> ({Object.entries(DEBATE_SIDES).map(([sideId, label]) => `${label}: ${waitingUsers.filter(uid => waitingSide(uid) === sideId).length}`).join(', ')})</span>
+                )}
+                {isUserInterested && <span className="ml-2 text-green-600 font-semibold">(You are waiting: {sideLabel(waitingSide(user?.uid))})</span>}
+            </p>
+            {error && <ErrorMessage message={error} />}
+            {isOpen ? (
+                <>
+                    <div className="flex space-x-2 mb-3" role="radiogroup" aria-label="Your side">
+                        {Object.entries(DEBATE_SIDES).map(([sideId, label]) => (
+                            <label key={sideId} className={`flex-1 text-center text-sm py-1 rounded-md border cursor-pointer ${side === sideId ? 'bg-blue-100 border-blue-500 text-blue-800 font-semibold' : 'border-gray-300 text-gray-600'}`}>
+                                <input
+                                    type="radio"
+                                    name={`side-${topic.id}`}
+                                    value={sideId}
+                                    checked={side === sideId}
+                                    onChange={() => setSide(sideId)}
+                                    className="sr-only"
+                                />
+                                {label}
+                            </label>
+                        ))}
+                    </div>
+                    <button
+                        onClick={handleSignalInterest}
+                        disabled={isJoining || isWaitingAsChosen || !functions} 
+                        className="w-full py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:bg-gray-400"
+                    >
+                        {isJoining ? <LoadingSpinner text="Joining..." /> : buttonLabel}
+                    </button>
+                    {isUserInterested && (
+                        <button
+                            onClick={handleStopWaiting}
+                            disabled={isJoining || !functions}
+                            className="w-full mt-2 py-1 px-4 border border-gray-300 rounded-md text-sm text-gray-600 hover:bg-gray-50 disabled:text-gray-400"
+                        >
+                            Stop Waiting
+                        </button>
+                    )}
+                    {!hasCompatiblePartner && (
+                        <div className="mt-3 pt-3 border-t border-gray-200">
+                            <p className="text-xs text-gray-500 mb-2">No one to debate? Start now against {AI_OPPONENT_NAME}:</p>
+                            <div className="flex space-x-2 mb-2">
+                                <select
+                                    value={aiDifficulty}
+                                    onChange={(e) => setAiDifficulty(e.target.value)}
+                                    aria-label="AI difficulty"
+                                    className="flex-1 text-sm p-1 border border-gray-300 rounded-md"
+                                >
+                                    {Object.entries(AI_DIFFICULTIES).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+                                </select>
+                                <select
+                                    value={aiPersona}
+                                    onChange={(e) => setAiPersona(e.target.value)}
+                                    aria-label="AI persona"
+                                    className="flex-1 text-sm p-1 border border-gray-300 rounded-md"
+                                >
+                                    {Object.entries(AI_PERSONAS).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+                                </select>
+                            </div>
+                            <button
+                                onClick={handleDebateAI}
+                                disabled={isJoining || !functions}
+                                className="w-full py-2 px-4 border border-purple-600 rounded-md text-sm font-medium text-purple-700 hover:bg-purple-50 disabled:text-gray-400 disabled:border-gray-300"
+                            >
+                                Debate {AI_OPPONENT_NAME}
+                            </button>
+                        </div>
+                    )}
+                </>
+            ) : (
+                <p className="text-sm text-gray-500 italic">{status === 'closed' ? 'This topic is closed to new debates.' : 'This topic has been archived.'}</p>
+            )}
+            {isCreator && (
+                <div className="flex space-x-2 mt-3 pt-3 border-t border-gray-200">
+                    {status !== 'open' && (
+                        <button onClick={() => handleSetStatus('open')} disabled={isJoining || !functions} className="flex-1 py-1 px-2 border border-gray-300 rounded-md text-xs text-gray-600 hover:bg-gray-50 disabled:text-gray-400">
+                            Reopen
+                        </button>
+                    )}
+                    {status === 'open' && (
+                        <button onClick={() => handleSetStatus('closed')} disabled={isJoining || !functions} className="flex-1 py-1 px-2 border border-gray-300 rounded-md text-xs text-gray-600 hover:bg-gray-50 disabled:text-gray-400">
+                            Close to New Debates
+                        </button>
+                    )}
+                    {status !== 'archived' && (
+                        <button onClick={() => handleSetStatus('archived')} disabled={isJoining || !functions} className="flex-1 py-1 px-2 border border-gray-300 rounded-md text-xs text-gray-600 hover:bg-gray-50 disabled:text-gray-400">
+                            Archive
+                        </button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TopicItem;
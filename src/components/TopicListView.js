@@ -0,0 +1,96 @@
+import React, { useState, useEffect } from 'react';
+import { db } from '../firebase';
+import { TOPIC_CATEGORIES, filterTopics } from '../debate/topics';
+import { subscribeToTopics } from '../services/topics';
+import ErrorMessage from './ErrorMessage';
+import LoadingSpinner from './LoadingSpinner';
+import TopicCreateForm from './TopicCreateForm';
+import TopicItem from './TopicItem';
+
+// --- Topic List View ---
+const TopicListView = ({ user, onJoinDebate }) => {
+    const [topics, setTopics] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [search, setSearch] = useState('');
+    const [category, setCategory] = useState('');
+    const [tag, setTag] = useState('');
+    const [showArchived, setShowArchived] = useState(false);
+
+    useEffect(() => {
+        if (!db) {
+            setError("Database not available. Topics cannot be loaded.");
+            setIsLoading(false);
+            return;
+        }
+        const unsubscribe = subscribeToTopics(db, (topicsData) => {
+            setTopics(topicsData);
+            setIsLoading(false);
+        }, (err) => {
+            console.error("Error fetching topics:", err);
+            setError("Failed to load topics.");
+            setIsLoading(false);
+        });
+
+        return () => unsubscribe();
+    }, []);
+
+    if (isLoading) return <LoadingSpinner text="Loading Topics..." />;
+    if (error) return <ErrorMessage message={error} />;
+
+    const visibleTopics = filterTopics(topics, { search, category, tag, showArchived });
+
+    return (
+        <div className="container mx-auto px-4 py-8">
+            {user && <TopicCreateForm user={user} />}
+            <h2 className="text-3xl font-bold mb-6 text-gray-800">Available Debate Topics</h2>
+            {topics.length === 0 && !isLoading && (
+                <p className="text-gray-600 text-center py-10">No topics available yet. Why not create one?</p>
+            )}
+            {topics.length > 0 && (
+                <div className="flex flex-wrap items-center gap-3 mb-6">
+                    <input
+                        type="search"
+                        value={search}
+                        onChange={(e) => setSearch(e.target.value)}
+                        placeholder="Search topics"
+                        aria-label="Search topics"
+                        className="flex-1 min-w-[12rem] px-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                    />
+                    <select
+                        value={category}
+                        onChange={(e) => setCategory(e.target.value)}
+                        aria-label="Category"
+                        className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+                    >
+                        <option value="">All categories</option>
+                        {Object.entries(TOPIC_CATEGORIES).map(([categoryId, label]) => <option key={categoryId} value={categoryId}>{label}</option>)}
+                    </select>
+                    {tag && (
+                        <button
+                            onClick={() => setTag('')}
+                            className="px-3 py-1 rounded-full bg-blue-100 text-blue-800 text-sm hover:bg-blue-200"
+                            title="Clear tag filter"
+                        >
+                            #{tag} ✕
+                        </button>
+                    )}
+                    <label className="flex items-center text-sm text-gray-600">
+                        <input type="checkbox" checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} className="mr-1" />
+                        Show archived
+                    </label>
+                </div>
+            )}
+            {topics.length > 0 && visibleTopics.length === 0 && (
+                <p className="text-gray-600 text-center py-10">No topics match your search.</p>
+            )}
+            <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6">
+                {visibleTopics.map(topic => (
+                    <TopicItem key={topic.id} topic={topic} user={user} onJoinDebate={onJoinDebate} onSelectTag={setTag} />
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default TopicListView;
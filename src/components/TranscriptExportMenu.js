@@ -0,0 +1,48 @@
+import React, { useState } from 'react';
+import { downloadFile, printDocument } from '../browserFiles';
+import { buildTranscript, transcriptFileName, transcriptToMarkdown, transcriptToPrintHTML } from '../debate/transcript';
+import ErrorMessage from './ErrorMessage';
+import LoadingSpinner from './LoadingSpinner';
+
+// --- Transcript Export Menu ---
+// loadMessages resolves to every message in the debate; views only hold the pages read so far.
+const TranscriptExportMenu = ({ debateRoom, loadMessages, nameOf }) => {
+    const [isExporting, setIsExporting] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleExport = async (format) => {
+        setIsExporting(true);
+        setError(null);
+        try {
+            const transcript = buildTranscript(debateRoom, await loadMessages(), nameOf);
+            if (format === 'markdown') {
+                downloadFile(transcriptFileName(transcript, 'md'), transcriptToMarkdown(transcript), 'text/markdown');
+            } else if (format === 'json') {
+                downloadFile(transcriptFileName(transcript, 'json'), JSON.stringify(transcript, null, 2), 'application/json');
+            } else if (!printDocument(transcriptToPrintHTML(transcript))) {
+                setError("Allow pop-ups for this site to print or save the transcript as a PDF.");
+            }
+        } catch (err) {
+            console.error("Error exporting transcript:", err);
+            setError("Failed to export the transcript. Please try again.");
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    const buttonClass = "py-1 px-3 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50";
+    return (
+        <div>
+            <div className="flex space-x-2" role="group" aria-label="Export transcript">
+                <span className="text-sm text-gray-500 self-center">Export:</span>
+                <button onClick={() => handleExport('markdown')} disabled={isExporting} className={buttonClass}>Markdown</button>
+                <button onClick={() => handleExport('json')} disabled={isExporting} className={buttonClass}>JSON</button>
+                <button onClick={() => handleExport('pdf')} disabled={isExporting} className={buttonClass}>Print / PDF</button>
+                {isExporting && <LoadingSpinner text="Preparing..." />}
+            </div>
+            {error && <ErrorMessage message={error} />}
+        </div>
+    );
+};
+
+export default TranscriptExportMenu;
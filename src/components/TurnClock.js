@@ -0,0 +1,74 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { functions } from '../firebase';
+import { useUserProfiles } from '../profiles';
+import { checkTurnClock } from '../services/rooms';
+
+// --- Turn Clock ---
+// The clock itself is kept by functions/turnClock.js; this only counts down to the stored
+// deadline and asks the server to settle the turn once it passes.
+// Mirrors DEADLINE_GRACE_MS in functions/turnClock.js: the server only times a turn out after it.
+const DEADLINE_GRACE_MS = 5000;
+
+const formatSeconds = (totalSeconds) => {
+    const seconds = Math.max(0, Math.ceil(totalSeconds));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+const TurnClock = ({ debateRoom, user }) => {
+    const [now, setNow] = useState(Date.now());
+    const checkedDeadlineRef = useRef(null);
+    const clock = debateRoom.clock;
+    const participants = debateRoom.participants || [];
+    const { nameOf } = useUserProfiles(participants);
+    const isActive = debateRoom.status === 'active' && !!clock?.turnDeadline;
+    const isParticipant = participants.includes(user?.uid);
+
+    useEffect(() => {
+        if (!isActive) return;
+        const interval = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(interval);
+    }, [isActive]);
+
+    const deadlineMs = clock?.turnDeadline?.toMillis() || 0;
+    const isExpired = isActive && now >= deadlineMs + DEADLINE_GRACE_MS;
+
+    useEffect(() => {
+        if (!isExpired || !isParticipant || !functions || checkedDeadlineRef.current === deadlineMs) return;
+        checkedDeadlineRef.current = deadlineMs;
+        checkTurnClock(functions, debateRoom.id).catch(err => {
+            console.error("Error checking turn clock:", err);
+        });
+    }, [isExpired, isParticipant, deadlineMs, debateRoom.id]);
+
+    if (!clock) return null;
+
+    const bankRemaining = (pId) => {
+        const bank = clock.bankSeconds?.[pId] || 0;
+        if (!isActive || debateRoom.turn !== pId || !clock.turnStartedAt) return bank;
+        return bank - (now - clock.turnStartedAt.toMillis()) / 1000;
+    };
+    const labelOf = (pId) => (pId === user?.uid ? 'You' : nameOf(pId));
+    const turnRemaining = (deadlineMs - now) / 1000;
+
+    return (
+        <div className="mt-1">
+            {isActive && (
+                <p className={turnRemaining <= 30 ? 'text-red-600 font-semibold' : ''}>
+                    {debateRoom.turn === user?.uid ? 'Your' : `${nameOf(debateRoom.turn)}'s`} turn: {formatSeconds(turnRemaining)} left
+                </p>
+            )}
+            <p>
+                Time bank: {participants.map(pId => `${labelOf(pId)} ${formatSeconds(bankRemaining(pId))}`).join(' · ')}
+                {' '}&middot; missed turns: {participants.map(pId => `${labelOf(pId)} ${clock.timeouts?.[pId] || 0}`).join(', ')}
+            </p>
+            {debateRoom.skippedTurn && (
+                <p className="text-orange-600">{labelOf(debateRoom.skippedTurn)} could not reply, so that turn was skipped.</p>
+            )}
+            {debateRoom.timedOut && (
+                <p className="text-red-500">{labelOf(debateRoom.timedOut)} ran out of time.</p>
+            )}
+        </div>
+    );
+};
+
+export default TurnClock;
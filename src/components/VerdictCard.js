@@ -0,0 +1,45 @@
+import React from 'react';
+import { useUserProfiles } from '../profiles';
+import { JUDGE_RUBRIC, JUDGE_SCORE_MAX, verdictWinnerLabel } from '../debate/judge';
+
+// --- Verdict Card ---
+const VerdictCard = ({ verdict, participants = [] }) => {
+    const { nameOf } = useUserProfiles(participants);
+    if (!verdict) return null;
+    if (verdict.status === 'pending') {
+        return <p className="text-sm text-purple-600">The AI judge is reviewing this debate...</p>;
+    }
+    if (verdict.status !== 'complete') {
+        return <p className="text-sm text-gray-500">{verdict.reasoning || 'No verdict available.'}</p>;
+    }
+
+    return (
+        <div className="mt-3 p-4 bg-purple-50 border border-purple-200 rounded-lg">
+            <h3 className="text-lg font-semibold text-purple-800 mb-1">AI Judge Verdict</h3>
+            <p className="text-sm font-semibold text-gray-800 mb-2">Winner: {verdictWinnerLabel(verdict, nameOf)}</p>
+            {verdict.reasoning && <p className="text-sm text-gray-700 mb-3">{verdict.reasoning}</p>}
+            <table className="w-full text-sm text-left">
+                <thead>
+                    <tr className="text-gray-600">
+                        <th className="py-1">Debater</th>
+                        {JUDGE_RUBRIC.map(criterion => <th key={criterion} className="py-1 capitalize">{criterion}</th>)}
+                        <th className="py-1">Fallacies</th>
+                        <th className="py-1">Total</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {participants.filter(pId => verdict.scores?.[pId]).map(pId => (
+                        <tr key={pId} className={pId === verdict.winner ? 'font-semibold text-purple-800' : 'text-gray-700'}>
+                            <td className="py-1">{nameOf(pId)}</td>
+                            {JUDGE_RUBRIC.map(criterion => <td key={criterion} className="py-1">{verdict.scores[pId][criterion]}/{JUDGE_SCORE_MAX}</td>)}
+                            <td className="py-1">{verdict.scores[pId].fallacyCount}</td>
+                            <td className="py-1">{verdict.scores[pId].total}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default VerdictCard;
@@ -0,0 +1,80 @@
+import React, { useState, useEffect } from 'react';
+import { db } from '../firebase';
+import { useUserProfiles } from '../profiles';
+import { useDebateMessages } from '../debateMessages';
+import { subscribeToRoom } from '../services/rooms';
+import { fetchAllMessages } from '../services/messages';
+import AudiencePoll from './AudiencePoll';
+import ErrorMessage from './ErrorMessage';
+import LoadingSpinner from './LoadingSpinner';
+import PastDebateDetails from './PastDebateDetails';
+import SpectatorChat from './SpectatorChat';
+import TranscriptExportMenu from './TranscriptExportMenu';
+
+// --- View Past Debate View ---
+const ViewPastDebateView = ({ debateId, user, onBack }) => {
+    const [debateRoom, setDebateRoom] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const { nameOf } = useUserProfiles(debateRoom?.participants);
+    const { messages, isLoading: isLoadingMessages, error: messagesError, hasEarlier, isLoadingEarlier, loadEarlier } = useDebateMessages(debateId);
+
+    useEffect(() => {
+        if (!debateId || !db) {
+            setError("Debate ID or Database not available for viewing past debate.");
+            setIsLoading(false);
+            return;
+        }
+        const unsubscribeRoom = subscribeToRoom(db, debateId, (room) => {
+            if (room) setDebateRoom(room);
+            else setError("Past debate room not found.");
+            setIsLoading(false);
+        }, (err) => {
+            console.error("Error fetching past debate room:", err);
+            setError("Failed to load past debate room details.");
+            setIsLoading(false); 
+        });
+
+        return () => unsubscribeRoom();
+    }, [debateId]);
+
+    if (isLoading || isLoadingMessages) return <LoadingSpinner text="Loading Past Debate..." />;
+    if (error) return <ErrorMessage message={error} />;
+    if (!debateRoom && !isLoading) return <div className="p-8 text-center">Past debate not found.</div>; 
+    
+    return (
+        <div className="container mx-auto px-4 py-8">
+            <button
+                onClick={onBack}
+                className="mb-6 py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-gray-600 hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-500"
+            >
+                &larr; Back to Past Debates
+            </button>
+            {messagesError && <ErrorMessage message={messagesError} />}
+            {debateRoom && ( 
+                <>
+                    <PastDebateDetails
+                        debateRoom={debateRoom}
+                        messages={messages}
+                        nameOf={nameOf}
+                        hasEarlierMessages={hasEarlier}
+                        isLoadingEarlierMessages={isLoadingEarlier}
+                        onLoadEarlierMessages={loadEarlier}
+                        actions={debateRoom.status !== 'active' && (
+                            <TranscriptExportMenu debateRoom={debateRoom} loadMessages={() => fetchAllMessages(db, debateRoom.id)} nameOf={nameOf} />
+                        )}
+                    >
+                        <div className="mt-3">
+                            <AudiencePoll debateRoom={debateRoom} user={user} />
+                        </div>
+                    </PastDebateDetails>
+                    <div className="mt-4 bg-white p-4 rounded-lg shadow">
+                        <SpectatorChat roomId={debateRoom.id} user={user} canPost={false} />
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default ViewPastDebateView;
@@ -0,0 +1,22 @@
+// --- AI Opponent ---
+// Mirrors functions/aiOpponent.js. Rooms against the AI are created by the startAIDebate
+// function, record room.aiOpponent { difficulty, persona } and are not rated.
+export const AI_OPPONENT_ID = 'ai-opponent';
+export const AI_OPPONENT_NAME = 'Gemini AI';
+export const AI_DIFFICULTIES = {
+    easy: 'Casual',
+    medium: 'Competitive',
+    hard: 'Champion',
+};
+export const AI_PERSONAS = {
+    scholar: 'The Scholar',
+    advocate: 'The Advocate',
+    socratic: 'The Socratic',
+    pundit: 'The Pundit',
+};
+
+// "The Scholar, Competitive" for rooms against the AI, otherwise null.
+export const aiPersonaLabel = (debateRoom) => {
+    const { difficulty, persona } = debateRoom?.aiOpponent || {};
+    return AI_PERSONAS[persona] ? `${AI_PERSONAS[persona]}, ${AI_DIFFICULTIES[difficulty] || AI_DIFFICULTIES.medium}` : null;
+};
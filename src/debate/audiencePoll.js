@@ -0,0 +1,27 @@
+// --- Audience Poll ---
+// Spectators vote before the debate and again once it ends; functions/audience.js tallies the
+// votes onto room.audiencePoll. As in Oxford-style debates, the side whose share of the
+// audience grows the most between the two polls wins the room.
+export const POLL_CHOICES = {
+    pro: 'For',
+    con: 'Against',
+    undecided: 'Undecided',
+};
+
+export const pollTotal = (tally = {}) => Object.keys(POLL_CHOICES).reduce((sum, choice) => sum + (tally[choice] || 0), 0);
+
+export const pollShare = (tally = {}, choice) => {
+    const total = pollTotal(tally);
+    return total ? ((tally[choice] || 0) / total) * 100 : 0;
+};
+
+// Percentage-point swing for each side, and the side that gained most ('draw' on a tie).
+export const pollSwing = (poll) => {
+    if (!pollTotal(poll?.pre) || !pollTotal(poll?.post)) return null;
+    const pro = pollShare(poll.post, 'pro') - pollShare(poll.pre, 'pro');
+    const con = pollShare(poll.post, 'con') - pollShare(poll.pre, 'con');
+    let winner = 'draw';
+    if (pro > con) winner = 'pro';
+    else if (con > pro) winner = 'con';
+    return { pro, con, winner };
+};
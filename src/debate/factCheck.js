@@ -0,0 +1,14 @@
+// --- Fact Checks ---
+// Display labels and badge colours for the verdicts the fact checker (functions/factCheck.js)
+// gives each claim.
+export const FACT_CHECK_VERDICTS = {
+    supported: 'Supported',
+    disputed: 'Disputed',
+    unverifiable: 'Unverifiable',
+};
+export const FACT_CHECK_VERDICT_STYLES = {
+    supported: 'bg-green-100 text-green-800 border-green-300',
+    disputed: 'bg-red-100 text-red-800 border-red-300',
+    unverifiable: 'bg-gray-100 text-gray-700 border-gray-300',
+};
+export const factCheckVerdictLabel = (verdict) => FACT_CHECK_VERDICTS[verdict] || verdict;
@@ -0,0 +1,19 @@
+// --- Fallacy Taxonomy ---
+// Display labels for the fallacy types the moderator (functions/fallacies.js) may report.
+export const FALLACY_TAXONOMY = {
+    ad_hominem: 'Ad Hominem',
+    strawman: 'Straw Man',
+    red_herring: 'Red Herring',
+    false_dilemma: 'False Dilemma',
+    slippery_slope: 'Slippery Slope',
+    hasty_generalization: 'Hasty Generalization',
+    false_cause: 'False Cause',
+    circular_reasoning: 'Circular Reasoning',
+    appeal_to_authority: 'Appeal to Authority',
+    appeal_to_emotion: 'Appeal to Emotion',
+    appeal_to_popularity: 'Appeal to Popularity',
+    tu_quoque: 'Tu Quoque',
+    equivocation: 'Equivocation',
+    moving_the_goalposts: 'Moving the Goalposts',
+};
+export const fallacyLabel = (type) => FALLACY_TAXONOMY[type] || type;
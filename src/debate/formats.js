@@ -0,0 +1,54 @@
+// --- Debate Formats ---
+// Mirrors functions/debateFormats.js, which decides phase progression and per-phase limits.
+export const FREEFORM_FORMAT = 'freeform';
+export const DEBATE_FORMATS = {
+    [FREEFORM_FORMAT]: {
+        name: 'Free-form',
+        description: 'Open alternating turns until both sides run out of words.',
+        phases: null,
+    },
+    three_round: {
+        name: 'Three Rounds',
+        description: 'Opening statements, rebuttals and closing statements, one turn each.',
+        phases: [
+            { id: 'opening', name: 'Opening Statements', turns: ['first', 'second'], maxWordsPerReply: 300 },
+            { id: 'rebuttal', name: 'Rebuttals', turns: ['first', 'second'], maxWordsPerReply: 300 },
+            { id: 'closing', name: 'Closing Statements', turns: ['first', 'second'], maxWordsPerReply: 200 },
+        ],
+    },
+    oxford: {
+        name: 'Oxford-style',
+        description: 'Openings, two rounds of rebuttals, a cross-examination and closings.',
+        phases: [
+            { id: 'opening', name: 'Opening Statements', turns: ['first', 'second'], maxWordsPerReply: 400 },
+            { id: 'rebuttal', name: 'Rebuttals', turns: ['first', 'second', 'first', 'second'], maxWordsPerReply: 250 },
+            { id: 'cross_examination', name: 'Cross-Examination', crossExamination: true, turns: ['second', 'first', 'first', 'second'], maxWordsPerReply: 60 },
+            { id: 'closing', name: 'Closing Statements', turns: ['second', 'first'], maxWordsPerReply: 200 },
+        ],
+    },
+    lincoln_douglas: {
+        name: 'Lincoln-Douglas',
+        description: 'Affirmative and negative constructives with cross-examinations and uneven rebuttals.',
+        phases: [
+            { id: 'affirmative_constructive', name: 'Affirmative Constructive', turns: ['first'], maxWordsPerReply: 450 },
+            { id: 'negative_cross_examination', name: 'Cross-Examination by Negative', crossExamination: true, turns: ['second', 'first', 'second', 'first'], maxWordsPerReply: 60 },
+            { id: 'negative_constructive', name: 'Negative Constructive', turns: ['second'], maxWordsPerReply: 450 },
+            { id: 'affirmative_cross_examination', name: 'Cross-Examination by Affirmative', crossExamination: true, turns: ['first', 'second', 'first', 'second'], maxWordsPerReply: 60 },
+            { id: 'first_affirmative_rebuttal', name: 'First Affirmative Rebuttal', turns: ['first'], maxWordsPerReply: 250 },
+            { id: 'negative_rebuttal', name: 'Negative Rebuttal', turns: ['second'], maxWordsPerReply: 350 },
+            { id: 'second_affirmative_rebuttal', name: 'Second Affirmative Rebuttal', turns: ['first'], maxWordsPerReply: 200 },
+        ],
+    },
+};
+
+export const debateFormatFor = (formatId) => DEBATE_FORMATS[formatId] || DEBATE_FORMATS[FREEFORM_FORMAT];
+
+export const currentPhaseFor = (debateRoom) => {
+    const { phases } = debateFormatFor(debateRoom?.format);
+    return phases ? phases[debateRoom.phaseIndex || 0] || null : null;
+};
+
+export const phaseNameFor = (formatId, phaseId) => {
+    const { phases } = debateFormatFor(formatId);
+    return phases?.find(phase => phase.id === phaseId)?.name || null;
+};
@@ -0,0 +1,9 @@
+// --- AI Judge ---
+// Scoring happens in functions/judge.js; these mirror its rubric for the scorecard.
+export const JUDGE_RUBRIC = ['evidence', 'rebuttal', 'clarity'];
+export const JUDGE_SCORE_MAX = 10;
+
+export const verdictWinnerLabel = (verdict, nameOf) => {
+    if (verdict.winner === 'draw') return 'Draw';
+    return verdict.winner ? nameOf(verdict.winner) : 'No winner';
+};
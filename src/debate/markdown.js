@@ -0,0 +1,138 @@
+// --- Message Markdown ---
+// The Markdown debaters may use: paragraphs, "-" / "1." lists, "> " quotes, **strong**, *emphasis*
+// or _emphasis_, `code`, [links](https://...) and [n] references to the message's citations.
+// Text is parsed into plain objects, never HTML, and every text node keeps its offsets in the
+// source so fallacy highlights (which point into the raw text) still line up.
+//   blocks: { type: 'paragraph' | 'quote', lines: [inline nodes][] }
+//         | { type: 'list', ordered, start, items: [inline nodes][] }
+//   inline: { type: 'text' | 'code', start, end } | { type: 'strong' | 'em', children }
+//         | { type: 'link', href, children } | { type: 'cite', number, start, end }
+
+const QUOTE_MARKER = /^ {0,3}> ?/;
+const BULLET_MARKER = /^ {0,3}[-*+][ \t]+/;
+const ORDERED_MARKER = /^ {0,3}(\d{1,9})[.)][ \t]+/;
+const CITATION_REF = /^\[(\d{1,2})\]/;
+const LINK = /^\[([^\]\n]*)\]\(([^)\s]*)\)/;
+
+// Links only ever point at http(s) URLs; anything else stays plain text.
+export const safeUrl = (url) => {
+    try {
+        const parsed = new URL(url);
+        return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.href : null;
+    } catch {
+        return null;
+    }
+};
+
+const isWordChar = (char) => !!char && /[\p{L}\p{N}]/u.test(char);
+
+// Where the closing delimiter of a run starting at from is, or -1. Emphasis cannot open or
+// close next to a space, and "_" only counts at word boundaries so snake_case stays as is.
+const closingDelimiter = (text, delimiter, from, end) => {
+    for (let i = text.indexOf(delimiter, from); i !== -1 && i + delimiter.length <= end; i = text.indexOf(delimiter, i + 1)) {
+        if (i === from || /\s/.test(text[i - 1]) || text[i - 1] === delimiter[0]) continue;
+        if (delimiter[0] === '_' && isWordChar(text[i + delimiter.length])) continue;
+        if (delimiter.length === 1 && text[i + 1] === delimiter) { i += 1; continue; }
+        return i;
+    }
+    return -1;
+};
+
+// Inline nodes for text[start, end).
+export const parseInline = (text, start = 0, end = text.length) => {
+    const nodes = [];
+    const pushText = (from, to) => {
+        if (to <= from) return;
+        const last = nodes[nodes.length - 1];
+        if (last?.type === 'text' && last.end === from) last.end = to;
+        else nodes.push({ type: 'text', start: from, end: to });
+    };
+
+    let i = start;
+    while (i < end) {
+        const char = text[i];
+
+        if (char === '`') {
+            const close = text.indexOf('`', i + 1);
+            if (close !== -1 && close < end && close > i + 1) {
+                nodes.push({ type: 'code', start: i + 1, end: close });
+                i = close + 1;
+                continue;
+            }
+        }
+
+        if ((char === '*' || char === '_') && !/\s/.test(text[i + 1] || ' ') && !(char === '_' && isWordChar(text[i - 1]))) {
+            const delimiter = text[i + 1] === char ? char + char : char;
+            const contentStart = i + delimiter.length;
+            const close = /\s/.test(text[contentStart] || ' ') ? -1 : closingDelimiter(text, delimiter, contentStart, end);
+            if (close !== -1) {
+                nodes.push({ type: delimiter.length === 2 ? 'strong' : 'em', children: parseInline(text, contentStart, close) });
+                i = close + delimiter.length;
+                continue;
+            }
+        }
+
+        if (char === '[') {
+            const rest = text.slice(i, end);
+            const link = rest.match(LINK);
+            const href = link && safeUrl(link[2]);
+            if (href) {
+                nodes.push({ type: 'link', href, children: parseInline(text, i + 1, i + 1 + link[1].length) });
+                i += link[0].length;
+                continue;
+            }
+            const ref = rest.match(CITATION_REF);
+            if (ref) {
+                nodes.push({ type: 'cite', number: Number(ref[1]), start: i, end: i + ref[0].length });
+                i += ref[0].length;
+                continue;
+            }
+        }
+
+        pushText(i, i + 1);
+        i += 1;
+    }
+    return nodes;
+};
+
+// Lines of text with their offsets.
+const sourceLines = (text) => {
+    const lines = [];
+    let start = 0;
+    text.split('\n').forEach(line => {
+        lines.push({ line, start });
+        start += line.length + 1;
+    });
+    return lines;
+};
+
+export const parseMarkdown = (text) => {
+    const blocks = [];
+    let current = null;
+
+    sourceLines(text).forEach(({ line, start }) => {
+        if (!line.trim()) {
+            current = null;
+            return;
+        }
+        const inlineAfter = (marker) => parseInline(text, start + marker.length, start + line.length);
+
+        const quote = line.match(QUOTE_MARKER);
+        const bullet = line.match(BULLET_MARKER);
+        const ordered = line.match(ORDERED_MARKER);
+        if (quote) {
+            if (current?.type !== 'quote') blocks.push(current = { type: 'quote', lines: [] });
+            current.lines.push(inlineAfter(quote[0]));
+        } else if (bullet || ordered) {
+            const isOrdered = !!ordered;
+            if (current?.type !== 'list' || current.ordered !== isOrdered) {
+                blocks.push(current = { type: 'list', ordered: isOrdered, start: isOrdered ? Number(ordered[1]) : 1, items: [] });
+            }
+            current.items.push(inlineAfter((ordered || bullet)[0]));
+        } else {
+            if (current?.type !== 'paragraph') blocks.push(current = { type: 'paragraph', lines: [] });
+            current.lines.push(inlineAfter(''));
+        }
+    });
+    return blocks;
+};
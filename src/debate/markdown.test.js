@@ -0,0 +1,59 @@
+import { parseInline, parseMarkdown, safeUrl } from './markdown';
+
+// Inline nodes with their source text filled in, for readable expectations.
+const withText = (text, nodes) => nodes.map(node => {
+    if (node.children) return { ...node, children: withText(text, node.children) };
+    return node.type === 'cite' ? { type: 'cite', number: node.number } : { type: node.type, text: text.slice(node.start, node.end) };
+});
+
+const inline = (text) => withText(text, parseInline(text));
+
+describe('parseInline', () => {
+    test('parses emphasis, strong, code, links and citation references', () => {
+        const text = '**Taxes** are _theft_, see `GDP` and [the study](https://example.org/a) [1].';
+        expect(inline(text)).toEqual([
+            { type: 'strong', children: [{ type: 'text', text: 'Taxes' }] },
+            { type: 'text', text: ' are ' },
+            { type: 'em', children: [{ type: 'text', text: 'theft' }] },
+            { type: 'text', text: ', see ' },
+            { type: 'code', text: 'GDP' },
+            { type: 'text', text: ' and ' },
+            { type: 'link', href: 'https://example.org/a', children: [{ type: 'text', text: 'the study' }] },
+            { type: 'text', text: ' ' },
+            { type: 'cite', number: 1 },
+            { type: 'text', text: '.' },
+        ]);
+    });
+
+    test('keeps stray markup, snake_case and unsafe links as text', () => {
+        expect(inline('2 * 3 = 6 and snake_case_name')).toEqual([{ type: 'text', text: '2 * 3 = 6 and snake_case_name' }]);
+        expect(inline('[click](javascript:alert(1))')).toEqual([{ type: 'text', text: '[click](javascript:alert(1))' }]);
+    });
+
+    test('nests strong inside emphasis', () => {
+        expect(inline('*a **b** c*')).toEqual([{
+            type: 'em',
+            children: [{ type: 'text', text: 'a ' }, { type: 'strong', children: [{ type: 'text', text: 'b' }] }, { type: 'text', text: ' c' }],
+        }]);
+    });
+});
+
+describe('parseMarkdown', () => {
+    test('splits paragraphs, lists and quotes, keeping source offsets', () => {
+        const text = 'Three reasons:\n- cost\n- *fairness*\n\n> a quote\n> goes on\n\n2. second\n3. third';
+        const blocks = parseMarkdown(text);
+
+        expect(blocks.map(block => block.type)).toEqual(['paragraph', 'list', 'quote', 'list']);
+        expect(withText(text, blocks[1].items[0])).toEqual([{ type: 'text', text: 'cost' }]);
+        expect(blocks[2].lines.map(line => withText(text, line)[0].text)).toEqual(['a quote', 'goes on']);
+        expect(blocks[3]).toMatchObject({ ordered: true, start: 2 });
+        expect(blocks[1].items[0][0].start).toBe(text.indexOf('cost'));
+    });
+});
+
+test('safeUrl only allows http and https', () => {
+    expect(safeUrl('https://example.org/x?y=1')).toBe('https://example.org/x?y=1');
+    expect(safeUrl('data:text/html,<b>hi</b>')).toBeNull();
+    expect(safeUrl('ftp://example.org/file')).toBeNull();
+    expect(safeUrl('not a url')).toBeNull();
+});
@@ -0,0 +1,7 @@
+// --- Ratings ---
+// Elo ratings are updated by the rateJudgedDebate function (functions/ratings.js) once the judge
+// has ruled. Matchmaking (functions/matchmaking.js) prefers the waiting opponent with the closest rating.
+export const INITIAL_RATING = 1200;
+export const LEADERBOARD_SIZE = 50;
+
+export const ratingChangeLabel = ({ before, after }) => `${before} → ${after} (${after >= before ? '+' : ''}${after - before})`;
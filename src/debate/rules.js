@@ -0,0 +1,56 @@
+import { currentPhaseFor } from './formats';
+import { safeUrl } from './markdown';
+
+// --- Debate Limits ---
+// Enforced by functions/debateRules.js; the client only uses them to guide the UI.
+export const MAX_WORDS_PER_REPLY = 500;
+export const MAX_WORDS_PER_DEBATE_TOTAL = 2000;
+export const MAX_CITATIONS = 5;
+export const MAX_CITATION_URL_LENGTH = 500;
+export const MAX_CITATION_QUOTE_LENGTH = 300;
+
+// Markdown markup is not counted as words. Mirrors countWords in functions/debateRules.js.
+const stripMarkup = (str) => str
+    .replace(/\[([^\]\n]*)\]\([^)\s]*\)/g, '$1')
+    .replace(/\[\d{1,2}\]/g, '')
+    .replace(/^[ \t]*(?:>[ \t]?)+/gm, '')
+    .replace(/^[ \t]*(?:[-*+]|\d{1,9}[.)])[ \t]+/gm, '')
+    .replace(/[*`]+/g, '')
+    .replace(/(^|[^\p{L}\p{N}])_+|_+(?=[^\p{L}\p{N}]|$)/gu, '$1');
+
+export const countWords = (str) => {
+    if (!str || typeof str !== 'string') return 0;
+    return stripMarkup(str).trim().split(/\s+/).filter(Boolean).length;
+};
+
+// Why these citations ([{ url, quote }]) would be rejected, or null. Mirrors validateCitations.
+export const citationsProblem = (citations) => {
+    if (citations.length > MAX_CITATIONS) return `A message can cite at most ${MAX_CITATIONS} sources.`;
+    for (const citation of citations) {
+        const url = citation.url.trim();
+        if (!url || url.length > MAX_CITATION_URL_LENGTH || !safeUrl(url)) return "Each citation needs a valid http(s) URL.";
+        if ((citation.quote || '').trim().length > MAX_CITATION_QUOTE_LENGTH) return `Quoted excerpts are limited to ${MAX_CITATION_QUOTE_LENGTH} characters.`;
+    }
+    return null;
+};
+
+export const maxWordsPerReplyFor = (debateRoom) => {
+    const phase = currentPhaseFor(debateRoom);
+    return phase ? Math.min(phase.maxWordsPerReply, MAX_WORDS_PER_REPLY) : MAX_WORDS_PER_REPLY;
+};
+
+// Why uid cannot send this draft right now, or null if they can. Mirrors validateMessage in
+// functions/debateRules.js so the send button matches what submitMessage will accept.
+export const draftProblem = (debateRoom, uid, text, citations = []) => {
+    const info = debateRoom?.participantInfo?.[uid];
+    if (!info) return "You are not a participant in this debate.";
+    if (debateRoom.status !== 'active') return "This debate has concluded.";
+    if (info.hasExited) return "You have exited this debate.";
+    if (debateRoom.turn !== uid) return "It is not your turn.";
+    const wordCount = countWords(text);
+    if (wordCount <= 0) return "Message cannot be empty.";
+    const maxWordsPerReply = maxWordsPerReplyFor(debateRoom);
+    if (wordCount > maxWordsPerReply) return `Reply exceeds ${maxWordsPerReply} words.`;
+    if ((info.wordsUsed || 0) + wordCount > MAX_WORDS_PER_DEBATE_TOTAL) return "Exceeds total debate word limit.";
+    return citationsProblem(citations);
+};
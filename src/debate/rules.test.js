@@ -0,0 +1,78 @@
+import { countWords, maxWordsPerReplyFor, draftProblem, MAX_WORDS_PER_REPLY, MAX_WORDS_PER_DEBATE_TOTAL } from './rules';
+
+const words = (n) => Array(n).fill('word').join(' ');
+
+const room = (overrides = {}) => ({
+    participants: ['alice', 'bob'],
+    participantInfo: {
+        alice: { wordsUsed: 0, hasExited: false },
+        bob: { wordsUsed: 0, hasExited: false },
+    },
+    status: 'active',
+    turn: 'alice',
+    ...overrides,
+});
+
+describe('countWords', () => {
+    test('counts whitespace-separated words', () => {
+        expect(countWords('  The   quick\nbrown\tfox ')).toBe(4);
+    });
+
+    test('treats empty and non-string input as no words', () => {
+        expect(countWords('')).toBe(0);
+        expect(countWords('   ')).toBe(0);
+        expect(countWords(null)).toBe(0);
+        expect(countWords(42)).toBe(0);
+    });
+
+    test('does not count Markdown markup, link targets or citation references', () => {
+        expect(countWords('> Quoted claim\n\n- **first** point [1]\n2. second point [2]')).toBe(6);
+        expect(countWords('See [the study](https://example.org/a/long/path) and _snake_case_ here')).toBe(6);
+    });
+});
+
+describe('maxWordsPerReplyFor', () => {
+    test('uses the global limit for free-form rooms', () => {
+        expect(maxWordsPerReplyFor(room())).toBe(MAX_WORDS_PER_REPLY);
+    });
+
+    test("uses the current phase's limit for formatted rooms", () => {
+        expect(maxWordsPerReplyFor(room({ format: 'oxford', phaseIndex: 2 }))).toBe(60);
+    });
+});
+
+describe('draftProblem', () => {
+    test('accepts a reply within both budgets', () => {
+        expect(draftProblem(room(), 'alice', 'A reasonable opening.')).toBeNull();
+    });
+
+    test('rejects empty drafts', () => {
+        expect(draftProblem(room(), 'alice', '   ')).toBe("Message cannot be empty.");
+    });
+
+    test('rejects replies over the per-reply limit', () => {
+        expect(draftProblem(room(), 'alice', words(MAX_WORDS_PER_REPLY + 1))).toBe(`Reply exceeds ${MAX_WORDS_PER_REPLY} words.`);
+        expect(draftProblem(room({ format: 'oxford', phaseIndex: 2 }), 'alice', words(61))).toBe("Reply exceeds 60 words.");
+    });
+
+    test('rejects unsafe or oversized citations', () => {
+        expect(draftProblem(room(), 'alice', 'Growth fell [1].', [{ url: 'https://example.org', quote: '' }])).toBeNull();
+        expect(draftProblem(room(), 'alice', 'Growth fell [1].', [{ url: 'ftp://example.org/file' }])).toBe("Each citation needs a valid http(s) URL.");
+        expect(draftProblem(room(), 'alice', 'Growth fell [1].', [{ url: 'https://example.org', quote: 'x'.repeat(301) }]))
+            .toBe("Quoted excerpts are limited to 300 characters.");
+    });
+
+    test('counts words already used against the debate total', () => {
+        const nearlySpent = room({ participantInfo: { alice: { wordsUsed: MAX_WORDS_PER_DEBATE_TOTAL - 10 }, bob: {} } });
+
+        expect(draftProblem(nearlySpent, 'alice', words(10))).toBeNull();
+        expect(draftProblem(nearlySpent, 'alice', words(11))).toBe("Exceeds total debate word limit.");
+    });
+
+    test('rejects drafts out of turn, after exiting, or once the debate ends', () => {
+        expect(draftProblem(room(), 'bob', 'My turn?')).toBe("It is not your turn.");
+        expect(draftProblem(room({ participantInfo: { alice: { hasExited: true }, bob: {} } }), 'alice', 'Back again')).toBe("You have exited this debate.");
+        expect(draftProblem(room({ status: 'concluded_one_exited' }), 'alice', 'Too late')).toBe("This debate has concluded.");
+        expect(draftProblem(room(), 'mallory', 'Let me in')).toBe("You are not a participant in this debate.");
+    });
+});
@@ -0,0 +1,30 @@
+import { AI_OPPONENT_ID, aiPersonaLabel } from './aiOpponent';
+
+// --- Debate Sides ---
+// Users pick a side when signalling interest. 'either' is only a matchmaking preference: rooms
+// record 'pro' or 'con' in participantInfo, and the pro debater speaks first, as in formal debate.
+export const DEBATE_SIDES = {
+    pro: 'For',
+    con: 'Against',
+    either: 'Either',
+};
+
+export const sideLabel = (side) => DEBATE_SIDES[side] || null;
+
+// Mirrors sidesCompatible in functions/matchmaking.js, which does the pairing.
+export const sidesCompatible = (sideA = 'either', sideB = 'either') => sideA === 'either' || sideB === 'either' || sideA !== sideB;
+
+// Side labels by participant ID. Rooms created before sides existed have none.
+export const sideLabelsFor = (debateRoom) => {
+    const labels = {};
+    Object.entries(debateRoom?.participantInfo || {}).forEach(([uid, info]) => {
+        if (sideLabel(info.side)) labels[uid] = sideLabel(info.side);
+    });
+    return labels;
+};
+
+export const participantLabel = (debateRoom, uid, nameOf) => {
+    const side = sideLabelsFor(debateRoom)[uid];
+    const persona = uid === AI_OPPONENT_ID ? aiPersonaLabel(debateRoom) : null;
+    return `${nameOf(uid)}${persona ? ` · ${persona}` : ''}${side ? ` (${side})` : ''}`;
+};
@@ -0,0 +1,75 @@
+// --- Topics ---
+// Mirrors functions/topics.js, which creates topics and changes their status. Topics from
+// before categories existed count as 'other'.
+export const TOPIC_CATEGORIES = {
+    politics: 'Politics & Government',
+    economics: 'Economics',
+    science: 'Science & Health',
+    technology: 'Technology',
+    society: 'Society & Culture',
+    philosophy: 'Philosophy & Ethics',
+    sports: 'Sports & Entertainment',
+    other: 'Other',
+};
+export const TOPIC_STATUSES = {
+    open: 'Open',
+    closed: 'Closed',
+    archived: 'Archived',
+};
+export const MAX_TOPIC_TAGS = 5;
+export const MAX_BRIEF_LENGTH = 600;
+
+export const topicCategory = (topic) => (TOPIC_CATEGORIES[topic.category] ? topic.category : 'other');
+export const topicStatus = (topic) => (TOPIC_STATUSES[topic.status] ? topic.status : 'open');
+
+// Same rules as normalizeTag in functions/topics.js: "#Climate Change" -> "climate-change".
+export const normalizeTag = (tag) => tag.toLowerCase().trim()
+    .replace(/^#+/, '')
+    .replace(/[\s_]+/g, '-')
+    .replace(/[^a-z0-9-]/g, '')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+
+// Comma-separated input -> unique normalized tags.
+export const parseTags = (text) => [...new Set(text.split(',').map(normalizeTag).filter(Boolean))];
+
+// Lowercase words with accents stripped, so "Café" matches "cafe".
+const searchWords = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+// Every word of the search has to start a word of the topic's name, description, tags or category.
+export const topicMatchesSearch = (topic, search) => {
+    const terms = searchWords(search);
+    if (!terms.length) return true;
+    const words = searchWords([topic.name, topic.description, ...(topic.tags || []), TOPIC_CATEGORIES[topicCategory(topic)]].filter(Boolean).join(' '));
+    return terms.every(term => words.some(word => word.startsWith(term)));
+};
+
+// Rooms store every word prefix of their topic's name up to this length (topicSearchTerms in
+// functions/topics.js), so the past debates archive can narrow its query by one search word.
+export const MAX_SEARCH_TERM_LENGTH = 20;
+
+// The search word to query rooms by: the longest, as it narrows the results most. Null for no search.
+export const roomSearchTerm = (search) => {
+    const terms = searchWords(search);
+    if (!terms.length) return null;
+    return terms.reduce((longest, term) => (term.length > longest.length ? term : longest)).slice(0, MAX_SEARCH_TERM_LENGTH);
+};
+
+// Every word of the search has to start a word of the topic name.
+export const topicNameMatchesSearch = (name, search) => {
+    const terms = searchWords(search);
+    const words = searchWords(name || '');
+    return terms.every(term => words.some(word => word.startsWith(term)));
+};
+
+const STATUS_ORDER = ['open', 'closed', 'archived'];
+const createdAtMs = (topic) => topic.createdAt?.toMillis?.() ?? Number.MAX_SAFE_INTEGER;
+
+// The topics to list for the given filters: open topics first, then newest first. Archived
+// topics only appear with showArchived.
+export const filterTopics = (topics, { search = '', category = '', tag = '', showArchived = false } = {}) => topics
+    .filter(topic => showArchived || topicStatus(topic) !== 'archived')
+    .filter(topic => !category || topicCategory(topic) === category)
+    .filter(topic => !tag || (topic.tags || []).includes(tag))
+    .filter(topic => topicMatchesSearch(topic, search))
+    .sort((a, b) => STATUS_ORDER.indexOf(topicStatus(a)) - STATUS_ORDER.indexOf(topicStatus(b)) || createdAtMs(b) - createdAtMs(a));
@@ -0,0 +1,46 @@
+import { parseTags, topicMatchesSearch, filterTopics } from './topics';
+
+const at = (millis) => ({ toMillis: () => millis });
+
+const topics = [
+    { id: 'ubi', name: 'Universal Basic Income', description: 'Should every adult get a stipend?', category: 'economics', tags: ['welfare'], status: 'open', createdAt: at(1) },
+    { id: 'cafe', name: 'Café culture', description: '', category: 'society', tags: ['city-life'], status: 'closed', createdAt: at(3) },
+    { id: 'ai', name: 'AI in schools', description: 'Should students use chatbots?', category: 'technology', tags: ['education'], status: 'open', createdAt: at(2) },
+    { id: 'old', name: 'Daylight saving time', description: '', status: 'archived', createdAt: at(4) },
+];
+
+const ids = (list) => list.map(topic => topic.id);
+
+describe('parseTags', () => {
+    test('normalizes and dedupes comma-separated tags', () => {
+        expect(parseTags('#Climate Change, climate-change,  , Energy!')).toEqual(['climate-change', 'energy']);
+    });
+});
+
+describe('topicMatchesSearch', () => {
+    test('matches word prefixes across name, description, tags and category', () => {
+        expect(topicMatchesSearch(topics[0], 'basic inc')).toBe(true);
+        expect(topicMatchesSearch(topics[0], 'stipend')).toBe(true);
+        expect(topicMatchesSearch(topics[0], 'welf')).toBe(true);
+        expect(topicMatchesSearch(topics[0], 'economics')).toBe(true);
+        expect(topicMatchesSearch(topics[0], 'income tax')).toBe(false);
+    });
+
+    test('ignores case and accents', () => {
+        expect(topicMatchesSearch(topics[1], 'CAFE')).toBe(true);
+    });
+});
+
+describe('filterTopics', () => {
+    test('lists open topics first, newest first, and hides archived ones', () => {
+        expect(ids(filterTopics(topics))).toEqual(['ai', 'ubi', 'cafe']);
+        expect(ids(filterTopics(topics, { showArchived: true }))).toEqual(['ai', 'ubi', 'cafe', 'old']);
+    });
+
+    test('filters by category, tag and search together', () => {
+        expect(ids(filterTopics(topics, { category: 'technology' }))).toEqual(['ai']);
+        expect(ids(filterTopics(topics, { category: 'other', showArchived: true }))).toEqual(['old']);
+        expect(ids(filterTopics(topics, { tag: 'welfare' }))).toEqual(['ubi']);
+        expect(ids(filterTopics(topics, { search: 'should' }))).toEqual(['ai', 'ubi']);
+    });
+});
@@ -0,0 +1,339 @@
+import { debateFormatFor, phaseNameFor } from './formats';
+import { DEBATE_SIDES } from './sides';
+import { fallacyLabel } from './fallacies';
+import { factCheckVerdictLabel } from './factCheck';
+import { JUDGE_RUBRIC, JUDGE_SCORE_MAX, verdictWinnerLabel } from './judge';
+import { POLL_CHOICES, pollShare, pollTotal } from './audiencePoll';
+import { aiPersonaLabel } from './aiOpponent';
+import { safeUrl } from './markdown';
+
+// --- Debate Transcripts ---
+// A concluded debate as a self-contained JSON document, so it can be archived and reviewed offline
+// without Firestore. Timestamps are ISO 8601 strings and names are resolved at export time.
+// Markdown and the printable HTML are rendered from the same document.
+//
+// {
+//   schema: TRANSCRIPT_SCHEMA, version: TRANSCRIPT_VERSION, exportedAt,
+//   debate: { id, topicId, topicName, topicDescription, topicBriefs, format, status, createdAt,
+//             concludedAt, aiOpponent, verdict, audiencePoll, fallacyCounts, ratingChanges },
+//   participants: [{ uid, name, side, wordsUsed, hasExited }],
+//   messages: [{ id, senderId, senderName, role: 'debater' | 'moderator', text, sentAt, phase,
+//                wordCount, citations: [{ url, quote }],
+//                annotations: { kind, fallacies: [{ type, confidence, span, explanation }],
+//                               factChecks: [{ claim, verdict, citations, explanation }] | null } }],
+// }
+//
+// Message text is the Markdown the debater wrote. factChecks is null for messages that were not
+// fact-checked; it and citations may be missing from older exports.
+//
+// annotations.kind is 'fallacy_alert', 'qa_response' or 'clock_notice' for moderator messages
+// of those kinds, otherwise null.
+export const TRANSCRIPT_SCHEMA = 'geminijoust/debate-transcript';
+export const TRANSCRIPT_VERSION = 1;
+
+const MESSAGE_KINDS = {
+    fallacy_alert: 'isFallacyAlert',
+    qa_response: 'isGeminiResponse',
+    clock_notice: 'isClockNotice',
+};
+const MESSAGE_KIND_LABELS = {
+    fallacy_alert: 'Fallacy alert',
+    qa_response: 'Q&A response',
+    clock_notice: "Time's up",
+};
+const MODERATOR_ID = 'gemini';
+const MODERATOR_NAME = 'Gemini AI';
+
+const isoFrom = (timestamp) => (timestamp?.toDate ? timestamp.toDate().toISOString() : null);
+
+// Firestore values as plain JSON: Timestamps become ISO strings.
+const plainData = (value) => {
+    if (value?.toDate) return isoFrom(value);
+    if (Array.isArray(value)) return value.map(plainData);
+    if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, plainData(v)]));
+    return value ?? null;
+};
+
+const exportedMessage = (msg, nameOf) => {
+    const kind = Object.keys(MESSAGE_KINDS).find(key => msg[MESSAGE_KINDS[key]]) || null;
+    return {
+        id: msg.id,
+        senderId: msg.senderId,
+        senderName: msg.senderId === MODERATOR_ID ? MODERATOR_NAME : nameOf(msg.senderId),
+        role: msg.senderId === MODERATOR_ID ? 'moderator' : 'debater',
+        text: msg.text || '',
+        sentAt: isoFrom(msg.timestamp),
+        phase: msg.phase || null,
+        wordCount: msg.wordCount ?? null,
+        citations: (msg.citations || []).map(({ url, quote }) => ({ url, quote: quote || '' })),
+        annotations: {
+            kind,
+            fallacies: (msg.fallacies || []).map(({ type, confidence, span, explanation }) => ({
+                type,
+                confidence: confidence ?? null,
+                span: span || '',
+                explanation: explanation || '',
+            })),
+            factChecks: msg.factChecks
+                ? msg.factChecks.map(({ claim, verdict, citations, explanation }) => ({ claim, verdict, citations: citations || [], explanation: explanation || '' }))
+                : null,
+        },
+    };
+};
+
+export const buildTranscript = (debateRoom, messages, nameOf, exportedAt = new Date()) => ({
+    schema: TRANSCRIPT_SCHEMA,
+    version: TRANSCRIPT_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    debate: {
+        id: debateRoom.id,
+        topicId: debateRoom.topicId || null,
+        topicName: debateRoom.topicName || '',
+        topicDescription: debateRoom.topicDescription || '',
+        topicBriefs: debateRoom.topicBriefs || null,
+        format: debateRoom.format || null,
+        status: debateRoom.status || null,
+        createdAt: isoFrom(debateRoom.createdAt),
+        concludedAt: debateRoom.status === 'active' ? null : isoFrom(debateRoom.concludedAt),
+        aiOpponent: debateRoom.aiOpponent || null,
+        verdict: plainData(debateRoom.verdict),
+        audiencePoll: plainData(debateRoom.audiencePoll),
+        fallacyCounts: debateRoom.fallacyCounts || null,
+        ratingChanges: debateRoom.ratingChanges || null,
+    },
+    participants: (debateRoom.participants || []).map(uid => {
+        const info = debateRoom.participantInfo?.[uid] || {};
+        return { uid, name: nameOf(uid), side: info.side || null, wordsUsed: info.wordsUsed || 0, hasExited: !!info.hasExited };
+    }),
+    messages: messages.map(msg => exportedMessage(msg, nameOf)),
+});
+
+const isString = (value) => typeof value === 'string';
+
+// Parses and checks an exported transcript. Throws an Error whose message can be shown as is.
+export const parseTranscript = (text) => {
+    let transcript;
+    try {
+        transcript = JSON.parse(text);
+    } catch (err) {
+        throw new Error("This file is not valid JSON.");
+    }
+    if (transcript?.schema !== TRANSCRIPT_SCHEMA) throw new Error("This file is not a GeminiJoust debate transcript.");
+    if (!Number.isInteger(transcript.version) || transcript.version > TRANSCRIPT_VERSION) {
+        throw new Error("This transcript was exported by a newer version of the app.");
+    }
+    const { debate, participants, messages } = transcript;
+    const isValid = isString(transcript.exportedAt) && debate && isString(debate.topicName)
+        && Array.isArray(participants) && participants.every(p => isString(p?.uid) && isString(p.name))
+        && Array.isArray(messages) && messages.every(msg => isString(msg?.senderId) && isString(msg.text) && Array.isArray(msg.annotations?.fallacies)
+            && (msg.citations === undefined || (Array.isArray(msg.citations) && msg.citations.every(c => isString(c?.url))))
+            && (msg.annotations.factChecks == null || (Array.isArray(msg.annotations.factChecks) && msg.annotations.factChecks.every(c => isString(c?.claim) && isString(c.verdict)))));
+    if (!isValid) throw new Error("This transcript is incomplete or damaged.");
+    return transcript;
+};
+
+const timestampFrom = (iso) => (iso ? { toDate: () => new Date(iso), toMillis: () => Date.parse(iso) } : null);
+
+// The transcript in the shapes the debate views expect: a room, its messages and the profiles
+// (just display names) of everyone in it.
+export const transcriptToRoom = (transcript) => {
+    const { debate, participants, messages } = transcript;
+    const participantInfo = {};
+    const profiles = {};
+    participants.forEach(({ uid, name, side, wordsUsed, hasExited }) => {
+        participantInfo[uid] = { side, wordsUsed, hasExited };
+        profiles[uid] = { displayName: name };
+    });
+
+    return {
+        debateRoom: {
+            ...debate,
+            createdAt: timestampFrom(debate.createdAt),
+            concludedAt: timestampFrom(debate.concludedAt),
+            participants: participants.map(p => p.uid),
+            participantInfo,
+        },
+        messages: messages.map(msg => {
+            const restored = {
+                id: msg.id,
+                senderId: msg.senderId,
+                text: msg.text,
+                timestamp: timestampFrom(msg.sentAt),
+                phase: msg.phase,
+                wordCount: msg.wordCount,
+                fallacies: msg.annotations.fallacies,
+                citations: msg.citations || [],
+                factChecks: msg.annotations.factChecks ?? null,
+            };
+            Object.entries(MESSAGE_KINDS).forEach(([kind, flag]) => { restored[flag] = msg.annotations.kind === kind; });
+            return restored;
+        }),
+        profiles,
+    };
+};
+
+// --- Rendering ---
+const statusLabel = (status) => (status || 'unknown').replace(/_/g, ' ');
+const dateLabel = (iso) => (iso ? new Date(iso).toLocaleString() : 'unknown');
+const sideName = (side) => DEBATE_SIDES[side] || null;
+
+const participantName = (transcript, uid) => transcript.participants.find(p => p.uid === uid)?.name || uid;
+
+const participantSummary = (participant) => [participant.name, sideName(participant.side)].filter(Boolean).join(', ');
+
+const messageHeading = (transcript, msg) => [
+    msg.role === 'moderator' ? `${msg.senderName} (moderator)` : msg.senderName,
+    sideName(transcript.participants.find(p => p.uid === msg.senderId)?.side),
+    msg.phase ? phaseNameFor(transcript.debate.format, msg.phase) : null,
+    MESSAGE_KIND_LABELS[msg.annotations.kind] || null,
+].filter(Boolean).join(' · ');
+
+const factCheckSources = (c) => (c.citations?.length ? ` ${c.citations.map(n => `[${n}]`).join('')}` : '');
+
+const fallacyNote = (f) => `${fallacyLabel(f.type)}${f.confidence !== null ? ` (${Math.round(f.confidence * 100)}%)` : ''}`;
+
+const verdictRows = (transcript) => {
+    const { verdict } = transcript.debate;
+    if (verdict?.status !== 'complete') return [];
+    return transcript.participants.filter(p => verdict.scores?.[p.uid]).map(p => {
+        const score = verdict.scores[p.uid];
+        return [p.name, ...JUDGE_RUBRIC.map(criterion => `${score[criterion]}/${JUDGE_SCORE_MAX}`), String(score.fallacyCount), String(score.total)];
+    });
+};
+const VERDICT_HEADINGS = ['Debater', ...JUDGE_RUBRIC.map(criterion => criterion[0].toUpperCase() + criterion.slice(1)), 'Fallacies', 'Total'];
+
+const pollRows = (poll) => {
+    if (!pollTotal(poll?.pre) && !pollTotal(poll?.post)) return [];
+    return Object.entries(POLL_CHOICES).map(([choice, label]) => [
+        label,
+        `${Math.round(pollShare(poll.pre, choice))}%`,
+        pollTotal(poll.post) ? `${Math.round(pollShare(poll.post, choice))}%` : '-',
+    ]);
+};
+
+const summaryFacts = (transcript) => {
+    const { debate } = transcript;
+    return [
+        ['Format', debateFormatFor(debate.format).name],
+        ['Status', statusLabel(debate.status)],
+        ['Started', dateLabel(debate.createdAt)],
+        ['Concluded', dateLabel(debate.concludedAt)],
+        ['Participants', transcript.participants.map(participantSummary).join('; ') || 'none'],
+        ...(aiPersonaLabel(debate) ? [['AI opponent', aiPersonaLabel(debate)]] : []),
+    ];
+};
+
+const markdownTable = (headings, rows) => [
+    `| ${headings.join(' | ')} |`,
+    `| ${headings.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(cell => cell.replace(/\|/g, '\\|')).join(' | ')} |`),
+].join('\n');
+
+export const transcriptToMarkdown = (transcript) => {
+    const { debate } = transcript;
+    const nameOf = (uid) => participantName(transcript, uid);
+    const sections = [`# ${debate.topicName}`];
+    if (debate.topicDescription) sections.push(debate.topicDescription);
+    sections.push(summaryFacts(transcript).map(([label, value]) => `- **${label}:** ${value}`).join('\n'));
+
+    if (debate.topicBriefs?.pro || debate.topicBriefs?.con) {
+        sections.push('## Background briefs');
+        ['pro', 'con'].filter(side => debate.topicBriefs[side]).forEach(side => sections.push(`**${DEBATE_SIDES[side]}:** ${debate.topicBriefs[side]}`));
+    }
+
+    sections.push('## Transcript');
+    if (!transcript.messages.length) sections.push('_No messages._');
+    transcript.messages.forEach(msg => {
+        const lines = [`### ${messageHeading(transcript, msg)}`];
+        if (msg.sentAt) lines.push(`_${dateLabel(msg.sentAt)}_`);
+        lines.push('', msg.text);
+        if (msg.citations?.length) {
+            lines.push('', '**Sources:**', ...msg.citations.map((c, index) => `- [${index + 1}] <${c.url}>${c.quote ? ` "${c.quote}"` : ''}`));
+        }
+        msg.annotations.fallacies.forEach(f => {
+            lines.push('', `> **Fallacy: ${fallacyNote(f)}**${f.span ? ` "${f.span}"` : ''}${f.explanation ? `: ${f.explanation}` : ''}`);
+        });
+        (msg.annotations.factChecks || []).forEach(c => {
+            lines.push('', `> **Fact check: ${factCheckVerdictLabel(c.verdict)}** "${c.claim}"${factCheckSources(c)}${c.explanation ? `: ${c.explanation}` : ''}`);
+        });
+        sections.push(lines.join('\n'));
+    });
+
+    if (debate.verdict?.status === 'complete') {
+        sections.push('## AI judge verdict', `**Winner:** ${verdictWinnerLabel(debate.verdict, nameOf)}`);
+        if (debate.verdict.reasoning) sections.push(debate.verdict.reasoning);
+        sections.push(markdownTable(VERDICT_HEADINGS, verdictRows(transcript)));
+    }
+
+    const poll = pollRows(debate.audiencePoll);
+    if (poll.length) sections.push('## Audience poll', markdownTable(['Vote', 'Before', 'After'], poll));
+
+    return `${sections.join('\n\n')}\n`;
+};
+
+const escapeHTML = (text) => String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+
+const htmlTable = (headings, rows) => `<table><thead><tr>${headings.map(h => `<th>${escapeHTML(h)}</th>`).join('')}</tr></thead><tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHTML(cell)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+
+const PRINT_STYLES = `
+body { font-family: Georgia, 'Times New Roman', serif; color: #111; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+h1 { font-size: 1.6rem; margin-bottom: 0.25rem; }
+h2 { font-size: 1.2rem; border-bottom: 1px solid #999; margin-top: 2rem; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.1rem 1rem; font-size: 0.9rem; }
+dt { font-weight: bold; }
+.message { margin: 1rem 0; page-break-inside: avoid; }
+.message h3 { font-size: 0.95rem; margin: 0; }
+.message .time { font-size: 0.8rem; color: #555; }
+.message p { white-space: pre-wrap; margin: 0.25rem 0; }
+.moderator { border-left: 3px solid #7c3aed; padding-left: 0.75rem; }
+.sources { font-size: 0.85rem; margin: 0.25rem 0; padding-left: 1.5rem; }
+.factcheck { font-size: 0.85rem; background: #f3f4f6; border-left: 3px solid #4b5563; padding: 0.25rem 0.5rem; margin: 0.25rem 0; }
+.fallacy { font-size: 0.85rem; background: #fef9c3; border-left: 3px solid #ca8a04; padding: 0.25rem 0.5rem; margin: 0.25rem 0; }
+table { border-collapse: collapse; font-size: 0.9rem; }
+th, td { border: 1px solid #999; padding: 0.2rem 0.5rem; text-align: left; }
+@media print { body { margin: 0; } a { color: inherit; } }
+`;
+
+// A standalone, print-ready HTML page; printing it to PDF gives the PDF export.
+export const transcriptToPrintHTML = (transcript) => {
+    const { debate } = transcript;
+    const nameOf = (uid) => participantName(transcript, uid);
+    const parts = [`<h1>${escapeHTML(debate.topicName)}</h1>`];
+    if (debate.topicDescription) parts.push(`<p>${escapeHTML(debate.topicDescription)}</p>`);
+    parts.push(`<dl>${summaryFacts(transcript).map(([label, value]) => `<dt>${escapeHTML(label)}</dt><dd>${escapeHTML(value)}</dd>`).join('')}</dl>`);
+
+    if (debate.topicBriefs?.pro || debate.topicBriefs?.con) {
+        parts.push('<h2>Background briefs</h2>');
+        ['pro', 'con'].filter(side => debate.topicBriefs[side]).forEach(side => parts.push(`<p><strong>${DEBATE_SIDES[side]}:</strong> ${escapeHTML(debate.topicBriefs[side])}</p>`));
+    }
+
+    parts.push('<h2>Transcript</h2>');
+    if (!transcript.messages.length) parts.push('<p><em>No messages.</em></p>');
+    transcript.messages.forEach(msg => {
+        const sources = (msg.citations || []).map(c => {
+            const href = safeUrl(c.url);
+            const link = href ? `<a href="${escapeHTML(href)}">${escapeHTML(c.url)}</a>` : escapeHTML(c.url);
+            return `<li>${link}${c.quote ? ` &ldquo;${escapeHTML(c.quote)}&rdquo;` : ''}</li>`;
+        }).join('');
+        const fallacies = msg.annotations.fallacies.map(f => `<div class="fallacy"><strong>Fallacy: ${escapeHTML(fallacyNote(f))}</strong>${f.span ? ` &ldquo;${escapeHTML(f.span)}&rdquo;` : ''}${f.explanation ? `: ${escapeHTML(f.explanation)}` : ''}</div>`).join('');
+        const factChecks = (msg.annotations.factChecks || []).map(c => `<div class="factcheck"><strong>Fact check: ${escapeHTML(factCheckVerdictLabel(c.verdict))}</strong> &ldquo;${escapeHTML(c.claim)}&rdquo;${escapeHTML(factCheckSources(c))}${c.explanation ? `: ${escapeHTML(c.explanation)}` : ''}</div>`).join('');
+        parts.push(`<div class="message${msg.role === 'moderator' ? ' moderator' : ''}"><h3>${escapeHTML(messageHeading(transcript, msg))}</h3>${msg.sentAt ? `<div class="time">${escapeHTML(dateLabel(msg.sentAt))}</div>` : ''}<p>${escapeHTML(msg.text)}</p>${sources ? `<ol class="sources">${sources}</ol>` : ''}${fallacies}${factChecks}</div>`);
+    });
+
+    if (debate.verdict?.status === 'complete') {
+        parts.push('<h2>AI judge verdict</h2>', `<p><strong>Winner:</strong> ${escapeHTML(verdictWinnerLabel(debate.verdict, nameOf))}</p>`);
+        if (debate.verdict.reasoning) parts.push(`<p>${escapeHTML(debate.verdict.reasoning)}</p>`);
+        parts.push(htmlTable(VERDICT_HEADINGS, verdictRows(transcript)));
+    }
+
+    const poll = pollRows(debate.audiencePoll);
+    if (poll.length) parts.push('<h2>Audience poll</h2>', htmlTable(['Vote', 'Before', 'After'], poll));
+
+    return `<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><title>${escapeHTML(debate.topicName)} - Debate Transcript</title><style>${PRINT_STYLES}</style></head><body>${parts.join('\n')}</body></html>`;
+};
+
+// "debate-universal-basic-income-room1.md"
+export const transcriptFileName = (transcript, extension) => {
+    const slug = transcript.debate.topicName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'untitled';
+    return `debate-${slug}-${transcript.debate.id || 'export'}.${extension}`;
+};
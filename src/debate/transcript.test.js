@@ -0,0 +1,146 @@
+import { FakeTimestamp } from '../testing/fakeFirestore';
+import {
+    TRANSCRIPT_SCHEMA,
+    buildTranscript,
+    parseTranscript,
+    transcriptToRoom,
+    transcriptToMarkdown,
+    transcriptToPrintHTML,
+    transcriptFileName,
+} from './transcript';
+
+const at = (iso) => new FakeTimestamp(Date.parse(iso));
+
+const debateRoom = {
+    id: 'room1',
+    topicId: 'topic1',
+    topicName: 'Universal Basic Income',
+    topicDescription: 'Should every adult get a stipend?',
+    topicBriefs: { pro: 'Automation is displacing jobs.', con: 'It would cost trillions.' },
+    format: 'oxford',
+    status: 'concluded_by_exit',
+    participants: ['alice', 'bob'],
+    participantInfo: {
+        alice: { side: 'pro', wordsUsed: 12, hasExited: false },
+        bob: { side: 'con', wordsUsed: 7, hasExited: true },
+    },
+    createdAt: at('2026-03-01T10:00:00Z'),
+    concludedAt: at('2026-03-01T10:30:00Z'),
+    verdict: {
+        status: 'complete',
+        winner: 'alice',
+        reasoning: 'Alice engaged <directly>.',
+        scores: {
+            alice: { evidence: 7, rebuttal: 8, clarity: 6, fallacyCount: 0, total: 21 },
+            bob: { evidence: 5, rebuttal: 4, clarity: 6, fallacyCount: 1, total: 14 },
+        },
+        judgedAt: at('2026-03-01T10:31:00Z'),
+    },
+};
+
+const messages = [
+    {
+        id: 'm1', senderId: 'alice', text: 'Machines are taking jobs [1].', wordCount: 4, phase: 'opening', timestamp: at('2026-03-01T10:01:00Z'), isFallacyAlert: false, isGeminiResponse: false,
+        citations: [{ url: 'https://example.org/jobs?a=1&b=2', quote: 'Automation <displaced> workers.' }],
+        factChecks: [{ claim: 'Machines are taking jobs', start: 0, end: 24, verdict: 'disputed', citations: [1], explanation: 'Net employment <rose>.' }],
+    },
+    {
+        id: 'm2', senderId: 'bob', text: 'You just want free money.', wordCount: 5, phase: 'opening', timestamp: at('2026-03-01T10:02:00Z'),
+        fallacies: [{ type: 'ad_hominem', confidence: 0.9, span: 'You just want free money', explanation: 'Attacks the person.' }],
+    },
+    { id: 'm3', senderId: 'gemini', text: 'Please address the argument.', timestamp: at('2026-03-01T10:02:30Z'), isFallacyAlert: true },
+];
+
+const names = { alice: 'Alice', bob: 'Bob' };
+const nameOf = (uid) => names[uid];
+const exportedAt = new Date('2026-04-01T09:00:00Z');
+
+describe('buildTranscript', () => {
+    test('captures room metadata, participants and annotated messages as plain JSON', () => {
+        const transcript = buildTranscript(debateRoom, messages, nameOf, exportedAt);
+
+        expect(transcript).toMatchObject({
+            schema: TRANSCRIPT_SCHEMA,
+            version: 1,
+            exportedAt: '2026-04-01T09:00:00.000Z',
+            debate: { id: 'room1', topicName: 'Universal Basic Income', concludedAt: '2026-03-01T10:30:00.000Z' },
+        });
+        expect(transcript.debate.verdict.judgedAt).toBe('2026-03-01T10:31:00.000Z');
+        expect(transcript.participants).toEqual([
+            { uid: 'alice', name: 'Alice', side: 'pro', wordsUsed: 12, hasExited: false },
+            { uid: 'bob', name: 'Bob', side: 'con', wordsUsed: 7, hasExited: true },
+        ]);
+        expect(transcript.messages[1]).toMatchObject({
+            senderName: 'Bob',
+            role: 'debater',
+            sentAt: '2026-03-01T10:02:00.000Z',
+            annotations: { kind: null, fallacies: [{ type: 'ad_hominem', confidence: 0.9 }] },
+        });
+        expect(transcript.messages[0].annotations.factChecks).toEqual([
+            { claim: 'Machines are taking jobs', verdict: 'disputed', citations: [1], explanation: 'Net employment <rose>.' },
+        ]);
+        expect(transcript.messages[1].annotations.factChecks).toBeNull();
+        expect(transcript.messages[0].citations).toEqual([{ url: 'https://example.org/jobs?a=1&b=2', quote: 'Automation <displaced> workers.' }]);
+        expect(transcript.messages[2]).toMatchObject({ senderName: 'Gemini AI', role: 'moderator', citations: [], annotations: { kind: 'fallacy_alert', fallacies: [] } });
+    });
+});
+
+describe('parseTranscript', () => {
+    test('round-trips an export back into a room the views can show', () => {
+        const json = JSON.stringify(buildTranscript(debateRoom, messages, nameOf, exportedAt));
+
+        const { debateRoom: room, messages: restored, profiles } = transcriptToRoom(parseTranscript(json));
+
+        expect(room.participants).toEqual(['alice', 'bob']);
+        expect(room.participantInfo.bob).toEqual({ side: 'con', wordsUsed: 7, hasExited: true });
+        expect(room.concludedAt.toDate().toISOString()).toBe('2026-03-01T10:30:00.000Z');
+        expect(profiles.alice.displayName).toBe('Alice');
+        expect(restored[2]).toMatchObject({ senderId: 'gemini', isFallacyAlert: true, isGeminiResponse: false, isClockNotice: false });
+        expect(restored[1].fallacies[0].type).toBe('ad_hominem');
+        expect(restored[0].citations[0].url).toBe('https://example.org/jobs?a=1&b=2');
+        expect(restored[0].factChecks[0].verdict).toBe('disputed');
+        expect(restored[1].factChecks).toBeNull();
+    });
+
+    test('rejects files that are not transcripts', () => {
+        expect(() => parseTranscript('not json')).toThrow('not valid JSON');
+        expect(() => parseTranscript('{"schema": "something-else"}')).toThrow('not a GeminiJoust debate transcript');
+        expect(() => parseTranscript(JSON.stringify({ schema: TRANSCRIPT_SCHEMA, version: 99 }))).toThrow('newer version');
+        expect(() => parseTranscript(JSON.stringify({ schema: TRANSCRIPT_SCHEMA, version: 1, exportedAt: '', debate: { topicName: 'x' } }))).toThrow('incomplete or damaged');
+    });
+});
+
+describe('rendering', () => {
+    const transcript = buildTranscript(debateRoom, messages, nameOf, exportedAt);
+
+    test('Markdown has the summary, briefs, annotated transcript and verdict', () => {
+        const markdown = transcriptToMarkdown(transcript);
+
+        expect(markdown).toMatch(/^# Universal Basic Income\n/);
+        expect(markdown).toContain('- **Participants:** Alice, For; Bob, Against');
+        expect(markdown).toContain('**For:** Automation is displacing jobs.');
+        expect(markdown).toContain('### Bob · Against · ');
+        expect(markdown).toContain('> **Fallacy: ');
+        expect(markdown).toContain('> **Fact check: Disputed** "Machines are taking jobs" [1]: Net employment <rose>.');
+        expect(markdown).toContain('- [1] <https://example.org/jobs?a=1&b=2> "Automation <displaced> workers."');
+        expect(markdown).toContain('### Gemini AI (moderator) · Fallacy alert');
+        expect(markdown).toContain('**Winner:** Alice');
+        expect(markdown).toContain('| Alice | 7/10 | 8/10 | 6/10 | 0 | 21 |');
+    });
+
+    test('the print layout escapes debate content', () => {
+        const html = transcriptToPrintHTML(transcript);
+
+        expect(html).toMatch(/^<!DOCTYPE html>/);
+        expect(html).toContain('Alice engaged &lt;directly&gt;.');
+        expect(html).not.toContain('<directly>');
+        expect(html).toContain('<a href="https://example.org/jobs?a=1&amp;b=2">');
+        expect(html).toContain('Automation &lt;displaced&gt; workers.');
+        expect(html).toContain('<strong>Fact check: Disputed</strong>');
+        expect(html).toContain('Net employment &lt;rose&gt;.');
+    });
+
+    test('file names come from the topic and room', () => {
+        expect(transcriptFileName(transcript, 'md')).toBe('debate-universal-basic-income-room1.md');
+    });
+});
@@ -0,0 +1,89 @@
+import { fallacyLabel } from './fallacies';
+
+// --- Debate Stats ---
+// Per-user numbers for the My Debates dashboard, computed from the user's rooms. Reply and
+// @gemini question counts are kept per debater by functions/debateRules.js; rooms from before
+// they were counted are left out of those figures.
+export const CONCLUSION_LABELS = {
+    concluded_word_limit: 'Word limit reached',
+    concluded_format_complete: 'Format completed',
+    concluded_one_exited: 'One debater left',
+    concluded_both_exited: 'Both debaters left',
+    concluded_one_exit_one_limit: 'One left, one out of words',
+    concluded_timeout: 'Turn timed out',
+};
+
+export const isConcludedStatus = (status) => typeof status === 'string' && status.startsWith('concluded_');
+
+export const conclusionLabel = (status) => CONCLUSION_LABELS[status] || status?.replace(/^concluded_/, '').replace(/_/g, ' ') || 'Unknown';
+
+const timeOf = (timestamp) => timestamp?.toMillis?.() ?? 0;
+
+// When the debate ended, or started if it is still going.
+export const debateTimeMs = (debate) => (isConcludedStatus(debate.status) ? timeOf(debate.concludedAt) : 0) || timeOf(debate.createdAt);
+
+const monthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+const monthLabel = (date) => date.toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+
+// 'won', 'lost', 'draw' or null while unjudged.
+export const debateResult = (debate, uid) => {
+    if (debate.verdict?.status !== 'complete' || !debate.verdict.winner) return null;
+    if (debate.verdict.winner === 'draw') return 'draw';
+    return debate.verdict.winner === uid ? 'won' : 'lost';
+};
+
+const countsToBars = (counts, labelFor) => Object.entries(counts)
+    .map(([key, value]) => ({ key, label: labelFor(key), value }))
+    .sort((a, b) => b.value - a.value || a.label.localeCompare(b.label));
+
+// Stats over uid's concluded debates. Months run oldest first and only include months with debates.
+export const debateStats = (debates, uid) => {
+    const concluded = debates
+        .filter(debate => isConcludedStatus(debate.status) && debate.participantInfo?.[uid])
+        .sort((a, b) => debateTimeMs(a) - debateTimeMs(b));
+
+    const outcomes = {};
+    const results = { won: 0, lost: 0, draw: 0, unjudged: 0 };
+    const fallacies = {};
+    const months = new Map();
+    let countedWords = 0;
+    let countedReplies = 0;
+    let geminiQuestions = 0;
+
+    concluded.forEach(debate => {
+        const info = debate.participantInfo[uid];
+        outcomes[debate.status] = (outcomes[debate.status] || 0) + 1;
+        results[debateResult(debate, uid) || 'unjudged'] += 1;
+        geminiQuestions += info.geminiQuestionCount || 0;
+
+        const date = new Date(debateTimeMs(debate));
+        const key = monthKey(date);
+        if (!months.has(key)) months.set(key, { key, label: monthLabel(date), played: 0, words: 0, replies: 0, fallacies: 0 });
+        const month = months.get(key);
+        month.played += 1;
+
+        if (info.replyCount) {
+            countedWords += info.wordsUsed || 0;
+            countedReplies += info.replyCount;
+            month.words += info.wordsUsed || 0;
+            month.replies += info.replyCount;
+        }
+        Object.entries(debate.fallacyCounts?.[uid] || {}).forEach(([type, count]) => {
+            fallacies[type] = (fallacies[type] || 0) + count;
+            month.fallacies += count;
+        });
+    });
+
+    const averageOf = (words, replies) => (replies ? Math.round(words / replies) : null);
+    return {
+        played: concluded.length,
+        results,
+        outcomes: countsToBars(outcomes, conclusionLabel),
+        fallaciesByType: countsToBars(fallacies, fallacyLabel),
+        fallacyTotal: Object.values(fallacies).reduce((sum, count) => sum + count, 0),
+        averageWordsPerReply: averageOf(countedWords, countedReplies),
+        geminiQuestions,
+        months: [...months.values()].map(({ words, replies, ...month }) => ({ ...month, averageWordsPerReply: averageOf(words, replies) })),
+    };
+};
@@ -0,0 +1,68 @@
+import { FakeTimestamp } from '../testing/fakeFirestore';
+import { debateStats, debateResult, conclusionLabel } from './userStats';
+
+const at = (iso) => new FakeTimestamp(Date.parse(iso));
+
+const debate = (status, aliceInfo, overrides = {}) => ({
+    status,
+    participants: ['alice', 'bob'],
+    participantInfo: { alice: aliceInfo, bob: { wordsUsed: 100, replyCount: 2 } },
+    createdAt: at('2026-03-10T12:00:00Z'),
+    concludedAt: at('2026-03-10T12:30:00Z'),
+    ...overrides,
+});
+
+const debates = [
+    debate('concluded_word_limit', { wordsUsed: 300, replyCount: 3, geminiQuestionCount: 2 }, {
+        verdict: { status: 'complete', winner: 'alice' },
+        fallacyCounts: { alice: { strawman: 2 }, bob: { ad_hominem: 5 } },
+    }),
+    debate('concluded_one_exited', { wordsUsed: 100, replyCount: 1 }, {
+        concludedAt: at('2026-04-15T12:00:00Z'),
+        verdict: { status: 'complete', winner: 'draw' },
+        fallacyCounts: { alice: { strawman: 1, ad_hominem: 1 } },
+    }),
+    // From before replies were counted: it still counts as played but not towards words per reply.
+    debate('concluded_word_limit', { wordsUsed: 900 }, { concludedAt: at('2026-04-20T12:00:00Z') }),
+    debate('active', { wordsUsed: 50, replyCount: 1 }),
+];
+
+describe('debateStats', () => {
+    const stats = debateStats(debates, 'alice');
+
+    test('counts concluded debates by outcome and result', () => {
+        expect(stats.played).toBe(3);
+        expect(stats.results).toEqual({ won: 1, lost: 0, draw: 1, unjudged: 1 });
+        expect(stats.outcomes).toEqual([
+            { key: 'concluded_word_limit', label: 'Word limit reached', value: 2 },
+            { key: 'concluded_one_exited', label: 'One debater left', value: 1 },
+        ]);
+    });
+
+    test("averages words per reply and totals the user's fallacies and @gemini questions", () => {
+        expect(stats.averageWordsPerReply).toBe(100);
+        expect(stats.geminiQuestions).toBe(2);
+        expect(stats.fallacyTotal).toBe(4);
+        expect(stats.fallaciesByType).toEqual([
+            { key: 'strawman', label: 'Straw Man', value: 3 },
+            { key: 'ad_hominem', label: 'Ad Hominem', value: 1 },
+        ]);
+    });
+
+    test('groups debates by the month they ended, oldest first', () => {
+        expect(stats.months.map(({ key, played, fallacies, averageWordsPerReply }) => ({ key, played, fallacies, averageWordsPerReply }))).toEqual([
+            { key: '2026-03', played: 1, fallacies: 2, averageWordsPerReply: 100 },
+            { key: '2026-04', played: 2, fallacies: 2, averageWordsPerReply: 100 },
+        ]);
+    });
+
+    test('is empty for a user with no finished debates', () => {
+        expect(debateStats([debates[3]], 'alice')).toMatchObject({ played: 0, averageWordsPerReply: null, outcomes: [], months: [] });
+    });
+});
+
+test('debateResult and conclusionLabel read the room', () => {
+    expect(debateResult(debates[0], 'bob')).toBe('lost');
+    expect(debateResult(debates[2], 'alice')).toBeNull();
+    expect(conclusionLabel('concluded_by_judge_order')).toBe('by judge order');
+});
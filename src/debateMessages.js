@@ -0,0 +1,66 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { db } from './firebase';
+import { MESSAGE_PAGE_SIZE, subscribeToLatestMessages, fetchMessagesBefore } from './services/messages';
+
+// --- Debate Messages ---
+// A room's latest MESSAGE_PAGE_SIZE messages stay live; loadEarlier fetches the page before the
+// earliest one loaded. Messages that slide out of the live window as the debate goes on are
+// kept, so nothing the reader has scrolled past disappears.
+const NO_MESSAGES = { byId: {}, cursor: null, hasEarlier: false };
+
+const timeOf = (message) => message.timestamp?.toMillis?.() ?? Number.MAX_SAFE_INTEGER;
+
+const withMessages = (byId, messages) => ({ ...byId, ...Object.fromEntries(messages.map(msg => [msg.id, msg])) });
+
+// Returns { messages, isLoading, error, hasEarlier, isLoadingEarlier, loadEarlier }, messages oldest first.
+export const useDebateMessages = (roomId) => {
+    const [loaded, setLoaded] = useState(NO_MESSAGES);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isLoadingEarlier, setIsLoadingEarlier] = useState(false);
+    const [error, setError] = useState(null);
+    // Scrolling can ask for the same page several times before the state above updates.
+    const isFetchingRef = useRef(false);
+
+    useEffect(() => {
+        setLoaded(NO_MESSAGES);
+        setError(null);
+        if (!roomId || !db) {
+            setError("Room ID or Database not available for fetching messages.");
+            setIsLoading(false);
+            return;
+        }
+        setIsLoading(true);
+        const unsubscribe = subscribeToLatestMessages(db, roomId, MESSAGE_PAGE_SIZE, (page) => {
+            // Once earlier pages are loaded, they hold the cursor for the next one.
+            setLoaded(current => (current.cursor
+                ? { ...current, byId: withMessages(current.byId, page.messages) }
+                : { byId: withMessages(current.byId, page.messages), cursor: page.cursor, hasEarlier: page.hasEarlier }));
+            setIsLoading(false);
+        }, (err) => {
+            console.error("Error fetching messages:", err);
+            setError("Failed to load messages.");
+            setIsLoading(false);
+        });
+
+        return () => unsubscribe();
+    }, [roomId]);
+
+    const loadEarlier = useCallback(async () => {
+        if (!loaded.hasEarlier || !loaded.cursor || isFetchingRef.current) return;
+        isFetchingRef.current = true;
+        setIsLoadingEarlier(true);
+        try {
+            const page = await fetchMessagesBefore(db, roomId, loaded.cursor);
+            setLoaded(current => ({ byId: withMessages(current.byId, page.messages), cursor: page.cursor || current.cursor, hasEarlier: page.hasEarlier }));
+        } catch (err) {
+            console.error("Error fetching earlier messages:", err);
+            setError("Failed to load earlier messages.");
+        } finally {
+            isFetchingRef.current = false;
+            setIsLoadingEarlier(false);
+        }
+    }, [roomId, loaded]);
+
+    const messages = useMemo(() => Object.values(loaded.byId).sort((a, b) => timeOf(a) - timeOf(b)), [loaded.byId]);
+    return { messages, isLoading, error, hasEarlier: loaded.hasEarlier, isLoadingEarlier, loadEarlier };
+};
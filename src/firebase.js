@@ -0,0 +1,55 @@
+import { initializeApp } from 'firebase/app';
+import { getAuth, connectAuthEmulator } from 'firebase/auth';
+import { getFirestore, setLogLevel as setFirestoreLogLevel, connectFirestoreEmulator } from 'firebase/firestore';
+import { getFunctions, connectFunctionsEmulator } from 'firebase/functions';
+
+// --- Firebase Configuration & Initialization ---
+let app;
+let auth;
+let db;
+let functions;
+let effectiveFirebaseConfig;
+
+// Default/hardcoded Firebase configuration for local deployment
+// It will read values from .env.local via process.env
+const defaultFirebaseConfig = {
+  apiKey: process.env.REACT_APP_API_KEY,
+  authDomain: process.env.REACT_APP_AUTH_DOMAIN,
+  projectId: process.env.REACT_APP_PROJECT_ID,
+  storageBucket: process.env.REACT_APP_STORAGE_BUCKET,
+  messagingSenderId: process.env.REACT_APP_MESSAGING_SENDER_ID,
+  appId: process.env.REACT_APP_APP_ID
+};
+
+effectiveFirebaseConfig = defaultFirebaseConfig;
+console.log("Initializing with Firebase config for local deployment. Project ID:", effectiveFirebaseConfig.projectId);
+
+try {
+    // Check if all required Firebase config keys are present
+    if (
+        !effectiveFirebaseConfig.apiKey ||
+        !effectiveFirebaseConfig.authDomain ||
+        !effectiveFirebaseConfig.projectId ||
+        !effectiveFirebaseConfig.storageBucket ||
+        !effectiveFirebaseConfig.messagingSenderId ||
+        !effectiveFirebaseConfig.appId
+    ) {
+        throw new Error("One or more Firebase config values are missing. Check your .env.local file and ensure all REACT_APP_... variables are set.");
+    }
+    app = initializeApp(effectiveFirebaseConfig);
+    auth = getAuth(app);
+    db = getFirestore(app);
+    functions = getFunctions(app);
+    // Set REACT_APP_USE_FIREBASE_EMULATORS=true in .env.local to run against `firebase emulators:start`.
+    if (process.env.REACT_APP_USE_FIREBASE_EMULATORS === 'true') {
+        connectAuthEmulator(auth, 'http://127.0.0.1:9099');
+        connectFirestoreEmulator(db, '127.0.0.1', 8080);
+        connectFunctionsEmulator(functions, '127.0.0.1', 5001);
+    }
+    setFirestoreLogLevel('debug'); 
+} catch (error) {
+    console.error("CRITICAL: Error initializing Firebase with effective config:", error);
+    // The App component will show an error message if `auth` or `db` is null/undefined due to this.
+}
+
+export { auth, db, functions, effectiveFirebaseConfig };
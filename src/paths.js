@@ -0,0 +1,16 @@
+// --- Firestore Paths ---
+// Mirrors functions/paths.js.
+// Static appId for local deployment
+const appId = 'geminijoust-app';
+
+export const topicsCollectionPath = () => `/artifacts/${appId}/public/data/topics`;
+export const topicDocPath = (topicId) => `/artifacts/${appId}/public/data/topics/${topicId}`;
+export const debateRoomsCollectionPath = () => `/artifacts/${appId}/public/data/debateRooms`;
+export const debateRoomDocPath = (roomId) => `/artifacts/${appId}/public/data/debateRooms/${roomId}`;
+export const messagesCollectionPath = (roomId) => `/artifacts/${appId}/public/data/debateRooms/${roomId}/messages`;
+export const spectatorDocPath = (roomId, uid) => `/artifacts/${appId}/public/data/debateRooms/${roomId}/spectators/${uid}`;
+export const audienceVoteDocPath = (roomId, uid) => `/artifacts/${appId}/public/data/debateRooms/${roomId}/audienceVotes/${uid}`;
+export const spectatorChatCollectionPath = (roomId) => `/artifacts/${appId}/public/data/debateRooms/${roomId}/spectatorChat`;
+export const usersCollectionPath = () => `/artifacts/${appId}/public/data/users`;
+export const userDocPath = (uid) => `/artifacts/${appId}/public/data/users/${uid}`;
+export const queueEntryDocPath = (uid) => `/artifacts/${appId}/public/data/matchmaking/${uid}`;
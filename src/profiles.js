@@ -0,0 +1,63 @@
+import React, { useState, useEffect, useRef, useCallback, useMemo, createContext, useContext } from 'react';
+import { db } from './firebase';
+import { subscribeToUser } from './services/users';
+import { AI_OPPONENT_ID, AI_OPPONENT_NAME } from './debate/aiOpponent';
+
+// --- User Profiles ---
+// Profiles (display name, avatar, bio) live on users/{uid} next to ratings. Components ask for
+// the profiles they show through useUserProfiles; ProfilesProvider subscribes to each one once
+// and shares it with every component that displays that user.
+export const DISPLAY_NAME_MAX_LENGTH = 40;
+export const BIO_MAX_LENGTH = 500;
+export const EMAIL_FOR_SIGN_IN_KEY = 'emailForSignIn';
+
+export const displayNameFrom = (profile, uid) => {
+    if (uid === AI_OPPONENT_ID) return AI_OPPONENT_NAME;
+    return profile?.displayName || (uid ? `User ${uid.substring(0, 6)}` : 'Unknown user');
+};
+
+const ProfilesContext = createContext({ profiles: {}, watchProfiles: () => {} });
+
+export const ProfilesProvider = ({ children }) => {
+    const [profiles, setProfiles] = useState({});
+    const subscriptionsRef = useRef({});
+
+    const watchProfiles = useCallback((uids) => {
+        if (!db) return;
+        uids.forEach(uid => {
+            if (subscriptionsRef.current[uid]) return;
+            subscriptionsRef.current[uid] = subscribeToUser(db, uid, (profile) => {
+                setProfiles(prev => ({ ...prev, [uid]: profile }));
+            }, (err) => {
+                console.error(`Error fetching profile for ${uid}:`, err);
+            });
+        });
+    }, []);
+
+    useEffect(() => {
+        const subscriptions = subscriptionsRef.current;
+        return () => Object.values(subscriptions).forEach(unsubscribe => unsubscribe());
+    }, []);
+
+    const value = useMemo(() => ({ profiles, watchProfiles }), [profiles, watchProfiles]);
+    return <ProfilesContext.Provider value={value}>{children}</ProfilesContext.Provider>;
+};
+
+// Serves fixed profiles, such as the names saved in an imported transcript, without Firestore.
+export const StaticProfilesProvider = ({ profiles, children }) => {
+    const value = useMemo(() => ({ profiles, watchProfiles: () => {} }), [profiles]);
+    return <ProfilesContext.Provider value={value}>{children}</ProfilesContext.Provider>;
+};
+
+// Returns the loaded profiles and a nameOf(uid) helper for the given user IDs.
+export const useUserProfiles = (uids = []) => {
+    const { profiles, watchProfiles } = useContext(ProfilesContext);
+    const uidsKey = [...new Set(uids.filter(uid => uid && uid !== 'gemini' && uid !== AI_OPPONENT_ID))].join(',');
+
+    useEffect(() => {
+        if (uidsKey) watchProfiles(uidsKey.split(','));
+    }, [uidsKey, watchProfiles]);
+
+    const nameOf = (uid) => displayNameFrom(profiles[uid], uid);
+    return { profiles, nameOf };
+};
@@ -0,0 +1,72 @@
+import { useState, useEffect, useCallback } from 'react';
+
+// --- Routing ---
+// Views live in the URL hash (#/debates/<roomId>, #/past/<debateId>, ...) so pages survive a
+// refresh, can be shared, and work on GitHub Pages, which cannot serve index.html for any path.
+const ROUTE_PATHS = {
+    topicList: '/topics',
+    liveDebates: '/live',
+    debateRoom: '/debates',
+    pastDebates: '/past',
+    viewPastDebate: '/past',
+    myDebates: '/mine',
+    leaderboard: '/leaderboard',
+    profile: '/profile',
+};
+
+// The hash's path segments, decoded, or null if any of them is not valid percent-encoding.
+const hashSegments = (hash) => {
+    try {
+        return hash.replace(/^#?\/?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+    } catch {
+        return null;
+    }
+};
+
+// '#/past/abc' -> { view: 'viewPastDebate', id: 'abc' }. Unknown or malformed hashes go to the
+// topic list.
+export const parseRoute = (hash) => {
+    const [section = '', id = null] = hashSegments(hash) || [];
+    switch (section) {
+        case 'live':
+            return { view: 'liveDebates', id: null };
+        case 'debates':
+            return id ? { view: 'debateRoom', id } : { view: 'liveDebates', id: null };
+        case 'past':
+            return id ? { view: 'viewPastDebate', id } : { view: 'pastDebates', id: null };
+        case 'mine':
+            return { view: 'myDebates', id: null };
+        case 'leaderboard':
+            return { view: 'leaderboard', id: null };
+        case 'profile':
+            return { view: 'profile', id: null };
+        default:
+            return { view: 'topicList', id: null };
+    }
+};
+
+export const routeHref = (view, id = null) => `#${ROUTE_PATHS[view] || ROUTE_PATHS.topicList}${id ? `/${encodeURIComponent(id)}` : ''}`;
+
+// The current route plus navigate(view, id). Navigation pushes a history entry, so the browser's
+// back and forward buttons move between views; { replace: true } swaps the current entry instead.
+export const useHashRoute = () => {
+    const [route, setRoute] = useState(() => parseRoute(window.location.hash));
+
+    useEffect(() => {
+        const handleHashChange = () => setRoute(parseRoute(window.location.hash));
+        window.addEventListener('hashchange', handleHashChange);
+        return () => window.removeEventListener('hashchange', handleHashChange);
+    }, []);
+
+    const navigate = useCallback((view, id = null, { replace = false } = {}) => {
+        const href = routeHref(view, id);
+        if (replace) {
+            window.history.replaceState(null, '', href);
+            setRoute(parseRoute(href));
+        } else {
+            window.location.hash = href;
+        }
+    }, []);
+
+    return [route, navigate];
+};
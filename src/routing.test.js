@@ -0,0 +1,15 @@
+import { parseRoute, routeHref } from './routing';
+
+describe('parseRoute', () => {
+    test('reads the view and a decoded id from the hash', () => {
+        expect(parseRoute('#/debates/room%201')).toEqual({ view: 'debateRoom', id: 'room 1' });
+        expect(parseRoute('#/past')).toEqual({ view: 'pastDebates', id: null });
+        expect(parseRoute(routeHref('viewPastDebate', 'a/b'))).toEqual({ view: 'viewPastDebate', id: 'a/b' });
+    });
+
+    test('sends unknown and malformed hashes to the topic list', () => {
+        expect(parseRoute('')).toEqual({ view: 'topicList', id: null });
+        expect(parseRoute('#/nowhere')).toEqual({ view: 'topicList', id: null });
+        expect(parseRoute('#/debates/%E0%A4')).toEqual({ view: 'topicList', id: null });
+    });
+});
@@ -0,0 +1,47 @@
+import {
+    collection,
+    addDoc,
+    doc,
+    setDoc,
+    updateDoc,
+    onSnapshot,
+    query,
+    orderBy,
+    limitToLast,
+    serverTimestamp,
+} from 'firebase/firestore';
+import { audienceVoteDocPath, spectatorChatCollectionPath } from '../paths';
+
+// --- Audience ---
+// Spectators' poll votes and side chat. Both stay out of the debate itself: functions/audience.js
+// tallies the votes onto the room, and the chat never reaches the debaters' messages.
+
+// Calls onVote with uid's vote document ({ pre, post, ... }) or null.
+export const subscribeToAudienceVote = (db, roomId, uid, onVote, onError) => onSnapshot(doc(db, audienceVoteDocPath(roomId, uid)), (docSnap) => {
+    onVote(docSnap.exists() ? docSnap.data() : null);
+}, onError);
+
+// Records uid's vote for round ('pre' or 'post'). hasVoted says whether their vote document exists.
+export const castAudienceVote = (db, { roomId, uid, round, choice, hasVoted }) => {
+    const voteRef = doc(db, audienceVoteDocPath(roomId, uid));
+    const voteData = { [round]: choice, [`${round}At`]: serverTimestamp() };
+    return hasVoted ? updateDoc(voteRef, voteData) : setDoc(voteRef, voteData);
+};
+
+// Calls onMessages with the latest historySize chat messages, oldest first.
+export const subscribeToSpectatorChat = (db, roomId, historySize, onMessages, onError) => {
+    const q = query(collection(db, spectatorChatCollectionPath(roomId)), orderBy('timestamp'), limitToLast(historySize));
+    return onSnapshot(q, (querySnapshot) => {
+        const messages = [];
+        querySnapshot.forEach((msgDoc) => {
+            messages.push({ id: msgDoc.id, ...msgDoc.data() });
+        });
+        onMessages(messages);
+    }, onError);
+};
+
+export const postSpectatorChat = (db, { roomId, uid, text }) => addDoc(collection(db, spectatorChatCollectionPath(roomId)), {
+    senderId: uid,
+    text: text.trim(),
+    timestamp: serverTimestamp(),
+});
@@ -0,0 +1,15 @@
+import { httpsCallable } from 'firebase/functions';
+
+// --- Callable Functions ---
+// Callable functions reject with user-facing messages for rule violations; anything else
+// (network, internal) gets the fallback text.
+export const callableErrorMessage = (err, fallback) => {
+    const userFacingCodes = ['functions/invalid-argument', 'functions/failed-precondition', 'functions/permission-denied', 'functions/not-found', 'functions/already-exists', 'functions/deadline-exceeded'];
+    return userFacingCodes.includes(err?.code) ? err.message : fallback;
+};
+
+// Calls the named Cloud Function (functions/index.js) and resolves to its result data.
+export const callFunction = async (functions, name, data) => {
+    const result = await httpsCallable(functions, name)(data);
+    return result.data;
+};
@@ -0,0 +1,25 @@
+import { doc, updateDoc, onSnapshot, serverTimestamp } from 'firebase/firestore';
+import { queueEntryDocPath } from '../paths';
+import { callFunction } from './callables';
+
+// --- Matchmaking ---
+// Pairing happens in the joinMatchmaking function (functions/matchmaking.js), which keeps one
+// queue entry per user. While waiting, the client refreshes the entry's lastSeenAt; waiters
+// that stop are dropped from the queue after a couple of minutes.
+export const QUEUE_HEARTBEAT_MS = 30 * 1000;
+
+// Waits on topicId, or pairs with a compatible waiter. Resolves to the new room's ID, or null
+// if the user is now waiting.
+export const joinMatchmaking = async (functions, { topicId, side }) => {
+    const { roomId } = await callFunction(functions, 'joinMatchmaking', { topicId, side });
+    return roomId;
+};
+
+export const leaveMatchmaking = (functions) => callFunction(functions, 'leaveMatchmaking', {});
+
+// Calls onEntry with uid's queue entry ({ status: 'waiting' | 'matched', topicId, side, ... }) or null.
+export const subscribeToQueueEntry = (db, uid, onEntry, onError) => onSnapshot(doc(db, queueEntryDocPath(uid)), (docSnap) => {
+    onEntry(docSnap.exists() ? docSnap.data() : null);
+}, onError);
+
+export const markQueuePresence = (db, uid) => updateDoc(doc(db, queueEntryDocPath(uid)), { lastSeenAt: serverTimestamp() });
@@ -0,0 +1,74 @@
+import { createFakeDb, docData, FakeTimestamp } from '../testing/fakeFirestore';
+import { queueEntryDocPath } from '../paths';
+import { joinMatchmaking, leaveMatchmaking, subscribeToQueueEntry, markQueuePresence } from './matchmaking';
+
+jest.mock('firebase/firestore', () => require('../testing/fakeFirestore'));
+jest.mock('firebase/functions', () => ({ httpsCallable: jest.fn() }));
+
+const { httpsCallable } = require('firebase/functions');
+
+const mockCallable = (data) => {
+    const callable = jest.fn().mockResolvedValue({ data });
+    httpsCallable.mockReturnValue(callable);
+    return callable;
+};
+
+describe('joinMatchmaking', () => {
+    test('resolves to the room when the user is paired straight away', async () => {
+        const callable = mockCallable({ roomId: 'room1' });
+        const functions = {};
+
+        await expect(joinMatchmaking(functions, { topicId: 'topic1', side: 'pro' })).resolves.toBe('room1');
+        expect(httpsCallable).toHaveBeenCalledWith(functions, 'joinMatchmaking');
+        expect(callable).toHaveBeenCalledWith({ topicId: 'topic1', side: 'pro' });
+    });
+
+    test('resolves to null while the user waits', async () => {
+        mockCallable({ roomId: null });
+
+        await expect(joinMatchmaking({}, { topicId: 'topic1', side: 'either' })).resolves.toBeNull();
+    });
+
+    test('rejects with the function error for a user already debating', async () => {
+        const error = Object.assign(new Error("Finish your current debate before joining another."), { code: 'functions/failed-precondition' });
+        httpsCallable.mockReturnValue(jest.fn().mockRejectedValue(error));
+
+        await expect(joinMatchmaking({}, { topicId: 'topic1', side: 'pro' })).rejects.toBe(error);
+    });
+});
+
+describe('leaveMatchmaking', () => {
+    test('calls the leaveMatchmaking function', async () => {
+        const callable = mockCallable({ left: true });
+
+        await expect(leaveMatchmaking({})).resolves.toEqual({ left: true });
+        expect(callable).toHaveBeenCalledWith({});
+    });
+});
+
+describe('queue presence', () => {
+    test('refreshes lastSeenAt on the waiting entry', async () => {
+        const db = createFakeDb({ [queueEntryDocPath('alice')]: { status: 'waiting', topicId: 'topic1', side: 'pro', lastSeenAt: new FakeTimestamp(0) } });
+
+        await markQueuePresence(db, 'alice');
+
+        const entry = docData(db, queueEntryDocPath('alice'));
+        expect(entry.lastSeenAt.toMillis()).toBeGreaterThan(0);
+        expect(entry.status).toBe('waiting');
+    });
+
+    test('fails once the entry has expired', async () => {
+        await expect(markQueuePresence(createFakeDb(), 'alice')).rejects.toThrow();
+    });
+
+    test('delivers the queue entry, or null when the user is not queued', () => {
+        const db = createFakeDb({ [queueEntryDocPath('alice')]: { status: 'matched', topicId: 'topic1', roomId: 'room1' } });
+        const onEntry = jest.fn();
+
+        subscribeToQueueEntry(db, 'alice', onEntry, jest.fn());
+        subscribeToQueueEntry(db, 'bob', onEntry, jest.fn());
+
+        expect(onEntry).toHaveBeenNthCalledWith(1, expect.objectContaining({ status: 'matched', roomId: 'room1' }));
+        expect(onEntry).toHaveBeenNthCalledWith(2, null);
+    });
+});
@@ -0,0 +1,49 @@
+import { collection, endBefore, getDocs, limitToLast, onSnapshot, orderBy, query } from 'firebase/firestore';
+import { messagesCollectionPath } from '../paths';
+import { callFunction } from './callables';
+
+// --- Messages ---
+// Debaters' turns go through the submitMessage function, which enforces turn order and word
+// budgets and then runs moderation (functions/moderation.js). Fallacy alerts and Gemini's
+// answers arrive as messages; anything moderation could not do comes back as warnings.
+export const MESSAGE_PAGE_SIZE = 30;
+
+const messagesQuery = (db, roomId, ...constraints) => query(collection(db, messagesCollectionPath(roomId)), orderBy('timestamp'), ...constraints);
+
+// docs holds up to pageSize + 1 messages, oldest first; the extra one only says there are earlier ones.
+const pageFrom = (docs, pageSize) => {
+    const pageDocs = docs.slice(-pageSize);
+    return {
+        messages: pageDocs.map(msgDoc => ({ id: msgDoc.id, ...msgDoc.data() })),
+        cursor: pageDocs[0] || null,
+        hasEarlier: docs.length > pageSize,
+    };
+};
+
+// Calls onPage with the latest pageSize messages, oldest first, as { messages, cursor, hasEarlier }.
+// Pass the cursor to fetchMessagesBefore for the page before. Returns the unsubscribe function.
+export const subscribeToLatestMessages = (db, roomId, pageSize, onPage, onError) => onSnapshot(
+    messagesQuery(db, roomId, limitToLast(pageSize + 1)),
+    (querySnapshot) => onPage(pageFrom(querySnapshot.docs, pageSize)),
+    onError
+);
+
+// Resolves to the pageSize messages before cursor, shaped like subscribeToLatestMessages' pages.
+export const fetchMessagesBefore = async (db, roomId, cursor, pageSize = MESSAGE_PAGE_SIZE) => {
+    const querySnapshot = await getDocs(messagesQuery(db, roomId, endBefore(cursor), limitToLast(pageSize + 1)));
+    return pageFrom(querySnapshot.docs, pageSize);
+};
+
+// Every message in the room, oldest first, for exporting the whole transcript.
+export const fetchAllMessages = async (db, roomId) => {
+    const querySnapshot = await getDocs(messagesQuery(db, roomId));
+    return querySnapshot.docs.map(msgDoc => ({ id: msgDoc.id, ...msgDoc.data() }));
+};
+
+// Resolves to { messageId, status, warnings }. Rule violations reject with the function's error.
+// citations is [{ url, quote }], checked again by the function. factCheck asks Gemini to rate the
+// message's factual claims; the results are added to the message as factChecks.
+export const submitMessage = async (functions, { roomId, text, citations = [], factCheck = false }) => {
+    const result = await callFunction(functions, 'submitMessage', { roomId, text: text.trim(), citations, factCheck });
+    return { ...result, warnings: result.warnings || [] };
+};
@@ -0,0 +1,90 @@
+import { createFakeDb, FakeTimestamp } from '../testing/fakeFirestore';
+import { messagesCollectionPath } from '../paths';
+import { submitMessage, subscribeToLatestMessages, fetchMessagesBefore, fetchAllMessages } from './messages';
+
+jest.mock('firebase/firestore', () => require('../testing/fakeFirestore'));
+jest.mock('firebase/functions', () => ({ httpsCallable: jest.fn() }));
+
+const { httpsCallable } = require('firebase/functions');
+
+const mockCallable = (implementation) => {
+    const callable = jest.fn(implementation);
+    httpsCallable.mockReturnValue(callable);
+    return callable;
+};
+
+describe('submitMessage', () => {
+    test('sends the trimmed text to the submitMessage function', async () => {
+        const callable = mockCallable(async () => ({ data: { messageId: 'm1', status: 'active', warnings: [] } }));
+        const functions = {};
+
+        const result = await submitMessage(functions, { roomId: 'room1', text: '  My opening argument.  ' });
+
+        expect(httpsCallable).toHaveBeenCalledWith(functions, 'submitMessage');
+        expect(callable).toHaveBeenCalledWith({ roomId: 'room1', text: 'My opening argument.', citations: [], factCheck: false });
+        expect(result).toEqual({ messageId: 'm1', status: 'active', warnings: [] });
+    });
+
+    test('sends attached citations and the fact-check request', async () => {
+        const callable = mockCallable(async () => ({ data: { messageId: 'm1', status: 'active', warnings: [] } }));
+        const citations = [{ url: 'https://example.org/study', quote: 'Growth fell by 2%.' }];
+
+        await submitMessage({}, { roomId: 'room1', text: 'Growth fell [1].', citations, factCheck: true });
+
+        expect(callable).toHaveBeenCalledWith({ roomId: 'room1', text: 'Growth fell [1].', citations, factCheck: true });
+    });
+
+    test('passes on moderation warnings and the new room status', async () => {
+        mockCallable(async () => ({ data: { messageId: 'm2', status: 'concluded_word_limit', warnings: ["Gemini could not answer your question right now."] } }));
+
+        const result = await submitMessage({}, { roomId: 'room1', text: '@gemini is that true?' });
+
+        expect(result.status).toBe('concluded_word_limit');
+        expect(result.warnings).toEqual(["Gemini could not answer your question right now."]);
+    });
+
+    test('defaults warnings to an empty list', async () => {
+        mockCallable(async () => ({ data: { messageId: 'm3', status: 'active' } }));
+
+        const result = await submitMessage({}, { roomId: 'room1', text: 'Rebuttal.' });
+
+        expect(result.warnings).toEqual([]);
+    });
+
+    test('rejects with the function error when a rule is broken', async () => {
+        const error = Object.assign(new Error("It is not your turn."), { code: 'functions/failed-precondition' });
+        mockCallable(async () => { throw error; });
+
+        await expect(submitMessage({}, { roomId: 'room1', text: 'Out of turn.' })).rejects.toBe(error);
+    });
+});
+
+describe('message pages', () => {
+    const message = (n) => ({ senderId: n % 2 ? 'alice' : 'bob', text: `Turn ${n}`, timestamp: new FakeTimestamp(n * 1000) });
+    const db = createFakeDb({
+        ...Object.fromEntries([3, 1, 5, 2, 4].map(n => [`${messagesCollectionPath('room1')}/m${n}`, message(n)])),
+        [`${messagesCollectionPath('room2')}/elsewhere`]: message(6),
+    });
+    const texts = ({ messages }) => messages.map(msg => msg.text);
+
+    test('delivers the latest page oldest first, then earlier pages from its cursor', async () => {
+        const onPage = jest.fn();
+        subscribeToLatestMessages(db, 'room1', 2, onPage, jest.fn());
+
+        const latest = onPage.mock.calls[0][0];
+        expect(texts(latest)).toEqual(['Turn 4', 'Turn 5']);
+        expect(latest.hasEarlier).toBe(true);
+
+        const earlier = await fetchMessagesBefore(db, 'room1', latest.cursor, 2);
+        expect(texts(earlier)).toEqual(['Turn 2', 'Turn 3']);
+        expect(earlier.hasEarlier).toBe(true);
+
+        const first = await fetchMessagesBefore(db, 'room1', earlier.cursor, 2);
+        expect(texts(first)).toEqual(['Turn 1']);
+        expect(first.hasEarlier).toBe(false);
+    });
+
+    test('fetches the whole transcript in order for export', async () => {
+        expect((await fetchAllMessages(db, 'room1')).map(msg => msg.id)).toEqual(['m1', 'm2', 'm3', 'm4', 'm5']);
+    });
+});
@@ -0,0 +1,110 @@
+import {
+    collection,
+    doc,
+    setDoc,
+    deleteDoc,
+    onSnapshot,
+    getDocs,
+    query,
+    where,
+    orderBy,
+    startAfter,
+    limit,
+    serverTimestamp,
+} from 'firebase/firestore';
+import { debateRoomsCollectionPath, debateRoomDocPath, spectatorDocPath } from '../paths';
+import { roomSearchTerm, topicNameMatchesSearch } from '../debate/topics';
+import { CONCLUSION_LABELS } from '../debate/userStats';
+import { callFunction } from './callables';
+
+export const PAST_DEBATES_PAGE_SIZE = 10;
+
+// --- Debate Rooms ---
+// Room status, turns and exits are written by Cloud Functions; the client reads rooms and keeps
+// its own spectator presence. Every function takes the Firestore (or Functions) instance to use.
+
+const roomsFrom = (querySnapshot) => {
+    const rooms = [];
+    querySnapshot.forEach((roomDoc) => {
+        rooms.push({ id: roomDoc.id, ...roomDoc.data() });
+    });
+    return rooms;
+};
+
+// Calls onRoom with the room, or null if it does not exist. Returns the unsubscribe function.
+export const subscribeToRoom = (db, roomId, onRoom, onError) => onSnapshot(doc(db, debateRoomDocPath(roomId)), (docSnap) => {
+    onRoom(docSnap.exists() ? { id: docSnap.id, ...docSnap.data() } : null);
+}, onError);
+
+// Calls onRoomId with the ID of the active debate uid is taking part in, or null.
+export const subscribeToActiveDebate = (db, uid, onRoomId, onError) => {
+    const q = query(
+        collection(db, debateRoomsCollectionPath()),
+        where("participants", "array-contains", uid),
+        where("status", "==", "active")
+    );
+    return onSnapshot(q, (snapshot) => onRoomId(snapshot.empty ? null : snapshot.docs[0].id), onError);
+};
+
+// Active debates, most watched first.
+export const subscribeToLiveDebates = (db, onDebates, onError) => {
+    const q = query(collection(db, debateRoomsCollectionPath()), where("status", "==", "active"));
+    return onSnapshot(q, (querySnapshot) => {
+        const debates = roomsFrom(querySnapshot);
+        debates.sort((a, b) => (b.spectatorCount || 0) - (a.spectatorCount || 0));
+        onDebates(debates);
+    }, onError);
+};
+
+// One page of concluded debates, ordered by when they ended ('newest' or 'oldest' first). Filters
+// are optional: topicId, status (one concluded_* status), from and until (Dates; until is
+// exclusive) and search, matched against word prefixes of the topic name. Pass the returned cursor
+// back for the next page. Resolves to { debates, cursor, hasMore }.
+export const fetchPastDebatesPage = async (db, { topicId, status, from, until, search = '', sort = 'newest', cursor = null, pageSize = PAST_DEBATES_PAGE_SIZE } = {}) => {
+    const constraints = [status ? where("status", "==", status) : where("status", "in", Object.keys(CONCLUSION_LABELS))];
+    if (topicId) constraints.push(where("topicId", "==", topicId));
+    // Firestore allows one array-contains filter, so the query narrows by one search word and
+    // the rest are checked here. Pages can come back short; hasMore still says whether to go on.
+    const searchTerm = roomSearchTerm(search);
+    if (searchTerm) constraints.push(where("topicSearchTerms", "array-contains", searchTerm));
+    if (from) constraints.push(where("concludedAt", ">=", from));
+    if (until) constraints.push(where("concludedAt", "<", until));
+    constraints.push(orderBy("concludedAt", sort === 'oldest' ? 'asc' : 'desc'));
+    if (cursor) constraints.push(startAfter(cursor));
+    constraints.push(limit(pageSize + 1));
+
+    const querySnapshot = await getDocs(query(collection(db, debateRoomsCollectionPath()), ...constraints));
+    const pageDocs = querySnapshot.docs.slice(0, pageSize);
+    return {
+        debates: pageDocs.map(roomDoc => ({ id: roomDoc.id, ...roomDoc.data() })).filter(debate => topicNameMatchesSearch(debate.topicName, search)),
+        cursor: pageDocs[pageDocs.length - 1] || null,
+        hasMore: querySnapshot.docs.length > pageSize,
+    };
+};
+
+// Every debate uid took part in, active or concluded, newest first. Used by the My Debates dashboard.
+export const subscribeToUserDebates = (db, uid, onDebates, onError) => {
+    const q = query(collection(db, debateRoomsCollectionPath()), where("participants", "array-contains", uid));
+    return onSnapshot(q, (querySnapshot) => {
+        const debates = roomsFrom(querySnapshot);
+        debates.sort((a, b) => (b.createdAt?.toMillis() || 0) - (a.createdAt?.toMillis() || 0));
+        onDebates(debates);
+    }, onError);
+};
+
+// Leaves the debate through the exitDebate function. Resolves to the room's new status.
+export const exitDebate = async (functions, roomId) => {
+    const { status } = await callFunction(functions, 'exitDebate', { roomId });
+    return status;
+};
+
+// Asks the server to settle a turn whose deadline has passed. Resolves to whether it timed out.
+export const checkTurnClock = async (functions, roomId) => {
+    const { timedOut } = await callFunction(functions, 'checkTurnClock', { roomId });
+    return timedOut;
+};
+
+// Spectator presence documents; functions/spectators.js counts them and prunes stale ones.
+export const markSpectatorPresence = (db, roomId, uid) => setDoc(doc(db, spectatorDocPath(roomId, uid)), { lastSeenAt: serverTimestamp() });
+
+export const clearSpectatorPresence = (db, roomId, uid) => deleteDoc(doc(db, spectatorDocPath(roomId, uid)));
@@ -0,0 +1,171 @@
+import { createFakeDb, docData, FakeTimestamp } from '../testing/fakeFirestore';
+import { debateRoomDocPath, spectatorDocPath } from '../paths';
+import {
+    subscribeToRoom,
+    subscribeToActiveDebate,
+    subscribeToUserDebates,
+    fetchPastDebatesPage,
+    exitDebate,
+    checkTurnClock,
+    markSpectatorPresence,
+    clearSpectatorPresence,
+} from './rooms';
+
+jest.mock('firebase/firestore', () => require('../testing/fakeFirestore'));
+jest.mock('firebase/functions', () => ({ httpsCallable: jest.fn() }));
+
+const { httpsCallable } = require('firebase/functions');
+
+const room = (overrides = {}) => ({
+    topicName: 'Universal Basic Income',
+    participants: ['alice', 'bob'],
+    participantInfo: {
+        alice: { wordsUsed: 0, hasExited: false },
+        bob: { wordsUsed: 0, hasExited: false },
+    },
+    status: 'active',
+    turn: 'alice',
+    ...overrides,
+});
+
+describe('exitDebate', () => {
+    test('calls the exitDebate function and resolves to the new status', async () => {
+        const callable = jest.fn().mockResolvedValue({ data: { status: 'concluded_one_exited' } });
+        httpsCallable.mockReturnValue(callable);
+        const functions = {};
+
+        const status = await exitDebate(functions, 'room1');
+
+        expect(status).toBe('concluded_one_exited');
+        expect(httpsCallable).toHaveBeenCalledWith(functions, 'exitDebate');
+        expect(callable).toHaveBeenCalledWith({ roomId: 'room1' });
+    });
+
+    test('rejects with the function error when the user already left', async () => {
+        const error = Object.assign(new Error("You have already exited this debate."), { code: 'functions/failed-precondition' });
+        httpsCallable.mockReturnValue(jest.fn().mockRejectedValue(error));
+
+        await expect(exitDebate({}, 'room1')).rejects.toBe(error);
+    });
+});
+
+describe('checkTurnClock', () => {
+    test('resolves to whether the turn timed out', async () => {
+        const callable = jest.fn().mockResolvedValue({ data: { timedOut: true } });
+        httpsCallable.mockReturnValue(callable);
+
+        await expect(checkTurnClock({}, 'room1')).resolves.toBe(true);
+        expect(callable).toHaveBeenCalledWith({ roomId: 'room1' });
+    });
+});
+
+describe('subscribeToRoom', () => {
+    test('delivers the room with its ID', () => {
+        const db = createFakeDb({ [debateRoomDocPath('room1')]: room() });
+        const onRoom = jest.fn();
+
+        subscribeToRoom(db, 'room1', onRoom, jest.fn());
+
+        expect(onRoom).toHaveBeenCalledWith(expect.objectContaining({ id: 'room1', status: 'active' }));
+    });
+
+    test('delivers null for a missing room', () => {
+        const onRoom = jest.fn();
+
+        subscribeToRoom(createFakeDb(), 'missing', onRoom, jest.fn());
+
+        expect(onRoom).toHaveBeenCalledWith(null);
+    });
+});
+
+describe('subscribeToActiveDebate', () => {
+    test("finds the user's active debate and ignores concluded ones", () => {
+        const db = createFakeDb({
+            [debateRoomDocPath('old')]: room({ status: 'concluded_word_limit' }),
+            [debateRoomDocPath('live')]: room({ participants: ['carol', 'alice'] }),
+            [debateRoomDocPath('other')]: room({ participants: ['carol', 'dave'] }),
+        });
+        const onRoomId = jest.fn();
+
+        subscribeToActiveDebate(db, 'alice', onRoomId, jest.fn());
+
+        expect(onRoomId).toHaveBeenCalledWith('live');
+    });
+
+    test('delivers null when the user is not debating', () => {
+        const db = createFakeDb({ [debateRoomDocPath('other')]: room({ participants: ['carol', 'dave'] }) });
+        const onRoomId = jest.fn();
+
+        subscribeToActiveDebate(db, 'alice', onRoomId, jest.fn());
+
+        expect(onRoomId).toHaveBeenCalledWith(null);
+    });
+});
+
+describe('subscribeToUserDebates', () => {
+    test("delivers the user's debates, newest first", () => {
+        const db = createFakeDb({
+            [debateRoomDocPath('old')]: room({ status: 'concluded_word_limit', createdAt: new FakeTimestamp(1000) }),
+            [debateRoomDocPath('new')]: room({ participants: ['carol', 'alice'], createdAt: new FakeTimestamp(2000) }),
+            [debateRoomDocPath('other')]: room({ participants: ['carol', 'dave'] }),
+        });
+        const onDebates = jest.fn();
+
+        subscribeToUserDebates(db, 'alice', onDebates, jest.fn());
+
+        expect(onDebates.mock.calls[0][0].map(debate => debate.id)).toEqual(['new', 'old']);
+    });
+});
+
+describe('fetchPastDebatesPage', () => {
+    const day = (n) => new FakeTimestamp(Date.UTC(2026, 2, n));
+    const concluded = (n, overrides = {}) => room({
+        status: 'concluded_word_limit',
+        topicId: 'ubi',
+        topicSearchTerms: ['u', 'un', 'universal', 'b', 'ba', 'basic', 'i', 'in', 'income'],
+        concludedAt: day(n),
+        ...overrides,
+    });
+    const db = createFakeDb({
+        [debateRoomDocPath('d1')]: concluded(1, { updatedAt: day(9) }),
+        [debateRoomDocPath('d2')]: concluded(2, { status: 'concluded_timeout' }),
+        [debateRoomDocPath('d3')]: concluded(3, { topicId: 'cars', topicName: 'Ban cars downtown', topicSearchTerms: ['b', 'ba', 'ban', 'c', 'ca', 'cars'] }),
+        [debateRoomDocPath('d4')]: concluded(4),
+        [debateRoomDocPath('live')]: room({ updatedAt: day(5) }),
+    });
+    const ids = ({ debates }) => debates.map(debate => debate.id);
+
+    test('pages through concluded debates by when they ended, newest first', async () => {
+        const first = await fetchPastDebatesPage(db, { pageSize: 3 });
+        expect(ids(first)).toEqual(['d4', 'd3', 'd2']);
+        expect(first.hasMore).toBe(true);
+
+        const second = await fetchPastDebatesPage(db, { pageSize: 3, cursor: first.cursor });
+        expect(ids(second)).toEqual(['d1']);
+        expect(second.hasMore).toBe(false);
+    });
+
+    test('filters by topic, status and date range, oldest first', async () => {
+        expect(ids(await fetchPastDebatesPage(db, { topicId: 'ubi', sort: 'oldest' }))).toEqual(['d1', 'd2', 'd4']);
+        expect(ids(await fetchPastDebatesPage(db, { status: 'concluded_timeout' }))).toEqual(['d2']);
+        expect(ids(await fetchPastDebatesPage(db, { from: new Date(Date.UTC(2026, 2, 2)), until: new Date(Date.UTC(2026, 2, 4)) }))).toEqual(['d3', 'd2']);
+    });
+
+    test('searches word prefixes of the topic name', async () => {
+        expect(ids(await fetchPastDebatesPage(db, { search: 'Ban' }))).toEqual(['d3']);
+        expect(ids(await fetchPastDebatesPage(db, { search: 'basic univ' }))).toEqual(['d4', 'd2', 'd1']);
+        expect(ids(await fetchPastDebatesPage(db, { search: 'basic cars' }))).toEqual([]);
+    });
+});
+
+describe('spectator presence', () => {
+    test('marks and clears the presence document', async () => {
+        const db = createFakeDb();
+
+        await markSpectatorPresence(db, 'room1', 'carol');
+        expect(docData(db, spectatorDocPath('room1', 'carol'))).toEqual({ lastSeenAt: expect.anything() });
+
+        await clearSpectatorPresence(db, 'room1', 'carol');
+        expect(docData(db, spectatorDocPath('room1', 'carol'))).toBeUndefined();
+    });
+});
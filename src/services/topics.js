@@ -0,0 +1,42 @@
+import { collection, onSnapshot, query } from 'firebase/firestore';
+import { topicsCollectionPath } from '../paths';
+import { callFunction } from './callables';
+
+// --- Topics ---
+// Every function takes the Firestore (or Functions) instance to use, so tests can pass their own.
+
+// Calls onTopics with every topic whenever any of them changes. Returns the unsubscribe function.
+export const subscribeToTopics = (db, onTopics, onError) => onSnapshot(query(collection(db, topicsCollectionPath())), (querySnapshot) => {
+    const topics = [];
+    querySnapshot.forEach((topicDoc) => {
+        topics.push({ id: topicDoc.id, ...topicDoc.data() });
+    });
+    onTopics(topics);
+}, onError);
+
+// Creates a topic through the createTopic function, which refuses duplicates and topics its
+// screen flags or cannot check. briefs is { pro, con } or null. Resolves to { topicId }.
+export const createTopic = (functions, { name, description, format, category, tags, briefs = null, allowSimilar = false }) => (
+    callFunction(functions, 'createTopic', { name, description, format, category, tags, briefs, allowSimilar })
+);
+
+// Gemini's motion ideas for a category, each { name, description, briefs: { pro, con } }.
+export const suggestTopics = async (functions, { category }) => {
+    const { motions } = await callFunction(functions, 'suggestTopics', { category });
+    return motions;
+};
+
+// The draft reworded by Gemini as a balanced motion, shaped like a suggestion.
+export const balanceMotion = async (functions, { name, description }) => {
+    const { motion } = await callFunction(functions, 'balanceMotion', { name, description });
+    return motion;
+};
+
+// Opens, closes or archives one of the user's own topics.
+export const setTopicStatus = (functions, { topicId, status }) => callFunction(functions, 'setTopicStatus', { topicId, status });
+
+// Starts a debate against the AI opponent right away. Resolves to the new room's ID.
+export const startAIDebate = async (functions, { topicId, side, difficulty, persona }) => {
+    const { roomId } = await callFunction(functions, 'startAIDebate', { topicId, side, difficulty, persona });
+    return roomId;
+};
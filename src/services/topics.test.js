@@ -0,0 +1,68 @@
+import { createTopic, setTopicStatus, suggestTopics, balanceMotion, startAIDebate } from './topics';
+
+jest.mock('firebase/firestore', () => require('../testing/fakeFirestore'));
+jest.mock('firebase/functions', () => ({ httpsCallable: jest.fn() }));
+
+const { httpsCallable } = require('firebase/functions');
+
+const TOPIC_ID = 'topic1';
+
+describe('createTopic', () => {
+    test('calls the createTopic function and resolves to its result', async () => {
+        const callable = jest.fn().mockResolvedValue({ data: { topicId: 'topic2' } });
+        httpsCallable.mockReturnValue(callable);
+        const functions = {};
+        const topic = { name: 'Nuclear power', description: 'Is it worth it?', format: 'three_round', category: 'science', tags: ['energy'] };
+
+        const result = await createTopic(functions, topic);
+
+        expect(result).toEqual({ topicId: 'topic2' });
+        expect(httpsCallable).toHaveBeenCalledWith(functions, 'createTopic');
+        expect(callable).toHaveBeenCalledWith({ ...topic, briefs: null, allowSimilar: false });
+    });
+});
+
+describe('motion drafting', () => {
+    const motion = { name: 'This house would ban homework', description: '', briefs: { pro: 'For.', con: 'Against.' } };
+
+    test('suggestTopics resolves to the suggested motions', async () => {
+        const callable = jest.fn().mockResolvedValue({ data: { motions: [motion] } });
+        httpsCallable.mockReturnValue(callable);
+
+        expect(await suggestTopics({}, { category: 'society' })).toEqual([motion]);
+        expect(callable).toHaveBeenCalledWith({ category: 'society' });
+    });
+
+    test('balanceMotion resolves to the reworded motion', async () => {
+        const callable = jest.fn().mockResolvedValue({ data: { motion } });
+        httpsCallable.mockReturnValue(callable);
+
+        expect(await balanceMotion({}, { name: 'Homework is pointless', description: '' })).toEqual(motion);
+        expect(httpsCallable).toHaveBeenCalledWith({}, 'balanceMotion');
+    });
+});
+
+describe('setTopicStatus', () => {
+    test('calls the setTopicStatus function', async () => {
+        const callable = jest.fn().mockResolvedValue({ data: { status: 'closed' } });
+        httpsCallable.mockReturnValue(callable);
+
+        await setTopicStatus({}, { topicId: TOPIC_ID, status: 'closed' });
+
+        expect(callable).toHaveBeenCalledWith({ topicId: TOPIC_ID, status: 'closed' });
+    });
+});
+
+describe('startAIDebate', () => {
+    test('calls the startAIDebate function and resolves to the new room', async () => {
+        const callable = jest.fn().mockResolvedValue({ data: { roomId: 'room9' } });
+        httpsCallable.mockReturnValue(callable);
+        const functions = {};
+
+        const roomId = await startAIDebate(functions, { topicId: TOPIC_ID, side: 'pro', difficulty: 'hard', persona: 'socratic' });
+
+        expect(roomId).toBe('room9');
+        expect(httpsCallable).toHaveBeenCalledWith(functions, 'startAIDebate');
+        expect(callable).toHaveBeenCalledWith({ topicId: TOPIC_ID, side: 'pro', difficulty: 'hard', persona: 'socratic' });
+    });
+});
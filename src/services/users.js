@@ -0,0 +1,52 @@
+import {
+    collection,
+    doc,
+    getDoc,
+    setDoc,
+    onSnapshot,
+    query,
+    orderBy,
+    limit,
+    serverTimestamp,
+} from 'firebase/firestore';
+import { usersCollectionPath, userDocPath } from '../paths';
+
+// --- Users ---
+// users/{uid} holds the profile the user edits and the rating functions/ratings.js keeps.
+
+// Calls onUser with the user document's data, or null if there is none yet.
+export const subscribeToUser = (db, uid, onUser, onError) => onSnapshot(doc(db, userDocPath(uid)), (docSnap) => {
+    onUser(docSnap.exists() ? docSnap.data() : null);
+}, onError);
+
+export const saveProfile = (db, uid, { displayName, avatarUrl, bio }) => setDoc(doc(db, userDocPath(uid)), {
+    displayName: displayName.trim(),
+    avatarUrl: avatarUrl.trim(),
+    bio: bio.trim(),
+    profileUpdatedAt: serverTimestamp(),
+}, { merge: true });
+
+// Fills in the name and avatar from a newly linked account, unless the user already chose a name.
+export const adoptAccountProfile = async (db, uid, { displayName, avatarUrl }) => {
+    if (!displayName) return;
+    const profileRef = doc(db, userDocPath(uid));
+    const profileDoc = await getDoc(profileRef);
+    if (profileDoc.data()?.displayName) return;
+    await setDoc(profileRef, {
+        displayName,
+        avatarUrl: avatarUrl || '',
+        profileUpdatedAt: serverTimestamp(),
+    }, { merge: true });
+};
+
+// The size highest-rated users, best first.
+export const subscribeToLeaderboard = (db, size, onRankings, onError) => {
+    const q = query(collection(db, usersCollectionPath()), orderBy('rating', 'desc'), limit(size));
+    return onSnapshot(q, (querySnapshot) => {
+        const rankings = [];
+        querySnapshot.forEach((userDoc) => {
+            rankings.push({ id: userDoc.id, ...userDoc.data() });
+        });
+        onRankings(rankings);
+    }, onError);
+};
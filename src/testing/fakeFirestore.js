@@ -0,0 +1,220 @@
+// --- Fake Firestore ---
+// An in-memory stand-in for the parts of firebase/firestore the services use, so their tests run
+// offline. Swap it in with:
+//   jest.mock('firebase/firestore', () => require('../testing/fakeFirestore'));
+// and pass a createFakeDb() wherever a service takes db. Documents are plain objects keyed by path.
+
+export class FakeTimestamp {
+    constructor(millis) {
+        this.millis = millis;
+    }
+
+    toMillis() {
+        return this.millis;
+    }
+
+    toDate() {
+        return new Date(this.millis);
+    }
+}
+
+// Deep copy that keeps timestamps, so callers never share state with the store.
+const clone = (value) => {
+    if (Array.isArray(value)) return value.map(clone);
+    if (value && typeof value === 'object' && !(value instanceof FakeTimestamp)) {
+        return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, clone(v)]));
+    }
+    return value;
+};
+
+export const createFakeDb = (docs = {}) => ({
+    docs: new Map(Object.entries(docs).map(([path, data]) => [path, clone(data)])),
+    nextId: 1,
+});
+
+// Reads a document back out of a fake db, or undefined.
+export const docData = (db, path) => clone(db.docs.get(path));
+
+// --- Sentinels ---
+const sentinel = (op, values = []) => ({ __fakeFieldValue: op, values });
+
+export const serverTimestamp = () => sentinel('serverTimestamp');
+export const arrayUnion = (...values) => sentinel('arrayUnion', values);
+export const arrayRemove = (...values) => sentinel('arrayRemove', values);
+export const deleteField = () => sentinel('deleteField');
+export const increment = (n) => sentinel('increment', [n]);
+
+const resolveValue = (value, current) => {
+    switch (value?.__fakeFieldValue) {
+        case 'serverTimestamp': return new FakeTimestamp(Date.now());
+        case 'arrayUnion': return [...(current || []), ...value.values.filter(v => !(current || []).includes(v))];
+        case 'arrayRemove': return (current || []).filter(v => !value.values.includes(v));
+        case 'increment': return (current || 0) + value.values[0];
+        default: return value;
+    }
+};
+
+const resolveFields = (data, current = {}) => {
+    const resolved = {};
+    Object.entries(data).forEach(([key, value]) => {
+        if (value?.__fakeFieldValue === 'deleteField') return;
+        resolved[key] = resolveValue(value, current[key]);
+    });
+    return resolved;
+};
+
+// Applies "a.b.c" field paths the way updateDoc does.
+const applyUpdate = (data, updates) => {
+    const next = clone(data);
+    Object.entries(updates).forEach(([fieldPath, value]) => {
+        const keys = fieldPath.split('.');
+        const last = keys.pop();
+        let target = next;
+        keys.forEach(key => {
+            if (typeof target[key] !== 'object' || target[key] === null) target[key] = {};
+            target = target[key];
+        });
+        if (value?.__fakeFieldValue === 'deleteField') delete target[last];
+        else target[last] = resolveValue(value, target[last]);
+    });
+    return next;
+};
+
+// --- References ---
+export const collection = (db, path) => ({ type: 'collection', db, path });
+
+export const doc = (parent, path) => {
+    if (parent.type === 'collection') {
+        const id = path || `doc${parent.db.nextId++}`;
+        return { type: 'document', db: parent.db, path: `${parent.path}/${id}`, id };
+    }
+    return { type: 'document', db: parent, path, id: path.split('/').pop() };
+};
+
+const snapshotOf = (ref) => {
+    const data = ref.db.docs.get(ref.path);
+    return { id: ref.id, ref, exists: () => data !== undefined, data: () => (data === undefined ? undefined : clone(data)) };
+};
+
+// --- Reads and writes ---
+const writeDoc = (ref, data, { merge } = {}) => {
+    const current = ref.db.docs.get(ref.path);
+    ref.db.docs.set(ref.path, merge && current ? { ...current, ...resolveFields(data, current) } : resolveFields(data));
+};
+
+const updateExistingDoc = (ref, updates) => {
+    const current = ref.db.docs.get(ref.path);
+    if (current === undefined) throw new Error(`No document to update: ${ref.path}`);
+    ref.db.docs.set(ref.path, applyUpdate(current, updates));
+};
+
+export const getDoc = async (ref) => snapshotOf(ref);
+
+export const setDoc = async (ref, data, options) => writeDoc(ref, data, options);
+
+export const updateDoc = async (ref, updates) => updateExistingDoc(ref, updates);
+
+export const deleteDoc = async (ref) => {
+    ref.db.docs.delete(ref.path);
+};
+
+export const addDoc = async (collectionRef, data) => {
+    const ref = doc(collectionRef);
+    writeDoc(ref, data);
+    return ref;
+};
+
+// Reads see committed data; writes are buffered and applied together once updateFunction resolves.
+export const runTransaction = async (db, updateFunction) => {
+    const writes = [];
+    const transaction = {
+        get: async (ref) => snapshotOf(ref),
+        set(ref, data, options) { writes.push(() => writeDoc(ref, data, options)); return transaction; },
+        update(ref, updates) { writes.push(() => updateExistingDoc(ref, updates)); return transaction; },
+        delete(ref) { writes.push(() => db.docs.delete(ref.path)); return transaction; },
+    };
+    const result = await updateFunction(transaction);
+    writes.forEach(write => write());
+    return result;
+};
+
+// --- Queries ---
+// Supports where() filters, orderBy(), limit(), limitToLast() and startAfter() or endBefore() a
+// document snapshot.
+export const where = (field, op, value) => ({ type: 'where', field, op, value });
+export const orderBy = (field, direction = 'asc') => ({ type: 'orderBy', field, direction });
+export const limit = (n) => ({ type: 'limit', n });
+export const limitToLast = (n) => ({ type: 'limitToLast', n });
+export const startAfter = (snapshot) => ({ type: 'startAfter', snapshot });
+export const endBefore = (snapshot) => ({ type: 'endBefore', snapshot });
+
+export const query = (collectionRef, ...constraints) => ({ ...collectionRef, constraints: [...(collectionRef.constraints || []), ...constraints] });
+
+const fieldOf = (data, field) => field.split('.').reduce((obj, key) => obj?.[key], data);
+
+// Timestamps and dates compare by time, as Firestore compares a Date with a stored Timestamp.
+const comparable = (value) => {
+    if (value instanceof FakeTimestamp) return value.toMillis();
+    if (value instanceof Date) return value.getTime();
+    return value;
+};
+
+const compare = (a, b) => {
+    const [x, y] = [comparable(a), comparable(b)];
+    if (x === y) return 0;
+    if (x === undefined) return -1;
+    if (y === undefined) return 1;
+    return x < y ? -1 : 1;
+};
+
+const matches = (data, { field, op, value }) => {
+    const fieldValue = fieldOf(data, field);
+    switch (op) {
+        case '==': return fieldValue === value;
+        case '!=': return fieldValue !== undefined && fieldValue !== value;
+        case 'in': return value.includes(fieldValue);
+        case 'array-contains': return Array.isArray(fieldValue) && fieldValue.includes(value);
+        case '<': return fieldValue !== undefined && compare(fieldValue, value) < 0;
+        case '<=': return fieldValue !== undefined && compare(fieldValue, value) <= 0;
+        case '>': return fieldValue !== undefined && compare(fieldValue, value) > 0;
+        case '>=': return fieldValue !== undefined && compare(fieldValue, value) >= 0;
+        default: throw new Error(`Unsupported where() operator in fake: ${op}`);
+    }
+};
+
+const querySnapshotOf = (queryRef) => {
+    const prefix = `${queryRef.path}/`;
+    const constraints = queryRef.constraints || [];
+    const ofType = (type) => constraints.filter(c => c.type === type);
+    const orderings = ofType('orderBy');
+    const byOrderings = (a, b) => {
+        for (const { field, direction } of orderings) {
+            const order = compare(fieldOf(a.data(), field), fieldOf(b.data(), field));
+            if (order !== 0) return direction === 'desc' ? -order : order;
+        }
+        return a.id < b.id ? -1 : Number(a.id > b.id);
+    };
+
+    let docs = [...queryRef.db.docs.keys()]
+        .filter(path => path.startsWith(prefix) && !path.slice(prefix.length).includes('/'))
+        .map(path => snapshotOf({ db: queryRef.db, path, id: path.slice(prefix.length) }))
+        .filter(snap => ofType('where').every(filter => matches(snap.data(), filter)));
+    if (orderings.length) docs.sort(byOrderings);
+    ofType('startAfter').forEach(({ snapshot }) => {
+        docs = docs.filter(snap => byOrderings(snap, snapshot) > 0);
+    });
+    ofType('endBefore').forEach(({ snapshot }) => {
+        docs = docs.filter(snap => byOrderings(snap, snapshot) < 0);
+    });
+    ofType('limit').forEach(({ n }) => { docs = docs.slice(0, n); });
+    ofType('limitToLast').forEach(({ n }) => { docs = docs.slice(-n); });
+    return { docs, empty: docs.length === 0, size: docs.length, forEach: (callback) => docs.forEach(callback) };
+};
+
+export const getDocs = async (queryRef) => querySnapshotOf(queryRef);
+
+// Delivers the current state once, as the first real snapshot would, and never again.
+export const onSnapshot = (ref, onNext) => {
+    onNext(ref.type === 'document' ? snapshotOf(ref) : querySnapshotOf(ref));
+    return () => {};
+};
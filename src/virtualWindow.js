@@ -0,0 +1,32 @@
+// --- Virtual Window ---
+// Position math for lists that only render the items near the viewport (MessageList). Items
+// have measured or estimated heights; offsets[i] is where item i starts and offsets[n] is the
+// height of the whole list.
+export const itemOffsets = (heights) => {
+    const offsets = [0];
+    heights.forEach((height, index) => offsets.push(offsets[index] + height));
+    return offsets;
+};
+
+// Index of the item at position y, clamped to the list.
+export const itemIndexAt = (offsets, y) => {
+    let low = 0;
+    let high = offsets.length - 2;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (offsets[middle] <= y) low = middle;
+        else high = middle - 1;
+    }
+    return Math.max(0, low);
+};
+
+// The items to render, [start, end), for a viewport from top to top + height, with overscan
+// extra items either side so fast scrolling does not show gaps.
+export const visibleRange = (offsets, top, height, overscan = 3) => {
+    const count = offsets.length - 1;
+    if (count <= 0) return { start: 0, end: 0 };
+    return {
+        start: Math.max(0, itemIndexAt(offsets, top) - overscan),
+        end: Math.min(count, itemIndexAt(offsets, top + height) + 1 + overscan),
+    };
+};
@@ -0,0 +1,21 @@
+import { itemOffsets, itemIndexAt, visibleRange } from './virtualWindow';
+
+const offsets = itemOffsets([100, 50, 200, 100, 100, 100, 100, 100]);
+
+test('offsets accumulate item heights', () => {
+    expect(offsets).toEqual([0, 100, 150, 350, 450, 550, 650, 750, 850]);
+});
+
+test('finds the item at a position, clamped to the list', () => {
+    expect(itemIndexAt(offsets, 0)).toBe(0);
+    expect(itemIndexAt(offsets, 149)).toBe(1);
+    expect(itemIndexAt(offsets, 150)).toBe(2);
+    expect(itemIndexAt(offsets, -20)).toBe(0);
+    expect(itemIndexAt(offsets, 5000)).toBe(7);
+});
+
+test('renders the items in view plus overscan', () => {
+    expect(visibleRange(offsets, 360, 200, 1)).toEqual({ start: 2, end: 7 });
+    expect(visibleRange(offsets, 0, 120, 3)).toEqual({ start: 0, end: 5 });
+    expect(visibleRange(itemOffsets([]), 0, 500)).toEqual({ start: 0, end: 0 });
+});
@@ -0,0 +1,279 @@
+/* eslint-env mocha */
+// Security rule tests. Run against the Firestore emulator with `npm run test:rules`.
+const fs = require('fs');
+const path = require('path');
+const { initializeTestEnvironment, assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+const { doc, collection, addDoc, getDoc, getDocs, setDoc, updateDoc, deleteDoc, writeBatch, serverTimestamp, arrayUnion, arrayRemove } = require('firebase/firestore');
+
+const APP_ID = 'geminijoust-app';
+const topicPath = (topicId) => `artifacts/${APP_ID}/public/data/topics/${topicId}`;
+const roomPath = (roomId) => `artifacts/${APP_ID}/public/data/debateRooms/${roomId}`;
+const messagesPath = (roomId) => `${roomPath(roomId)}/messages`;
+const spectatorPath = (roomId, uid) => `${roomPath(roomId)}/spectators/${uid}`;
+const audienceVotePath = (roomId, uid) => `${roomPath(roomId)}/audienceVotes/${uid}`;
+const spectatorChatPath = (roomId) => `${roomPath(roomId)}/spectatorChat`;
+const userPath = (uid) => `artifacts/${APP_ID}/public/data/users/${uid}`;
+const queueEntryPath = (uid) => `artifacts/${APP_ID}/public/data/matchmaking/${uid}`;
+
+const ALICE = 'alice';
+const BOB = 'bob';
+const MALLORY = 'mallory';
+
+let testEnv;
+
+const firestoreAs = (uid) => testEnv.authenticatedContext(uid).firestore();
+
+const seed = (docPath, data) => testEnv.withSecurityRulesDisabled(
+    (context) => setDoc(doc(context.firestore(), docPath), data)
+);
+
+const activeRoom = (overrides = {}) => ({
+    topicId: 'topic1',
+    topicName: 'Universal Basic Income',
+    topicDescription: '',
+    participants: [ALICE, BOB],
+    participantInfo: {
+        [ALICE]: { wordsUsed: 10, hasExited: false },
+        [BOB]: { wordsUsed: 0, hasExited: false },
+    },
+    status: 'active',
+    turn: ALICE,
+    format: 'freeform',
+    phaseIndex: 0,
+    phaseTurn: 0,
+    firstSpeaker: ALICE,
+    ...overrides,
+});
+
+// A turn written straight from the client: the message plus the room update pointing at it.
+const postTurn = (db) => {
+    const batch = writeBatch(db);
+    const messageRef = doc(collection(db, messagesPath('room1')));
+    batch.set(messageRef, {
+        senderId: ALICE,
+        text: 'three word reply',
+        timestamp: serverTimestamp(),
+        wordCount: 3,
+        isFallacyAlert: false,
+        isGeminiResponse: false,
+    });
+    batch.update(doc(db, roomPath('room1')), {
+        [`participantInfo.${ALICE}.wordsUsed`]: 13,
+        turn: BOB,
+        updatedAt: serverTimestamp(),
+        lastMessageId: messageRef.id,
+    });
+    return batch.commit();
+};
+
+before(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'demo-geminijoust',
+        firestore: { rules: fs.readFileSync(path.join(__dirname, '..', 'firestore.rules'), 'utf8') },
+    });
+});
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seed(topicPath('topic1'), { name: 'Universal Basic Income', description: '', createdBy: BOB, interestedUsers: [BOB], status: 'open' });
+    await seed(roomPath('room1'), activeRoom());
+});
+
+after(async () => {
+    await testEnv?.cleanup();
+});
+
+describe('topics', () => {
+    const newTopic = (createdBy) => ({
+        name: 'Nuclear Power',
+        description: 'Should we build more reactors?',
+        format: 'oxford',
+        createdBy,
+        createdAt: serverTimestamp(),
+        interestedUsers: [],
+        interestedSides: {},
+        status: 'open',
+    });
+
+    it('leaves topic creation to the createTopic function', async () => {
+        await assertFails(setDoc(doc(firestoreAs(ALICE), topicPath('topic2')), newTopic(ALICE)));
+        const db = testEnv.unauthenticatedContext().firestore();
+        await assertFails(setDoc(doc(db, topicPath('topic2')), newTopic(ALICE)));
+    });
+
+    it('leaves the waiting list to the matchmaking functions', async () => {
+        await assertFails(updateDoc(doc(firestoreAs(ALICE), topicPath('topic1')), { interestedUsers: arrayUnion(ALICE) }));
+        await assertFails(updateDoc(doc(firestoreAs(ALICE), topicPath('topic1')), { interestedUsers: arrayUnion(ALICE), [`interestedSides.${ALICE}`]: 'con' }));
+        await assertFails(updateDoc(doc(firestoreAs(ALICE), topicPath('topic1')), { interestedUsers: arrayRemove(BOB) }));
+    });
+
+    it('rejects edits to other topic fields', async () => {
+        await assertFails(updateDoc(doc(firestoreAs(ALICE), topicPath('topic1')), { name: 'Renamed' }));
+    });
+
+    it('leaves closing and archiving to setTopicStatus, even for the creator', async () => {
+        await assertFails(updateDoc(doc(firestoreAs(BOB), topicPath('topic1')), { status: 'closed' }));
+    });
+});
+
+describe('users', () => {
+    it('lets signed-in users read ratings', async () => {
+        await seed(userPath(BOB), { rating: 1250, gamesPlayed: 3 });
+        await assertSucceeds(getDoc(doc(firestoreAs(ALICE), userPath(BOB))));
+    });
+
+    it('rejects users setting their own rating', async () => {
+        await assertFails(setDoc(doc(firestoreAs(ALICE), userPath(ALICE)), { rating: 3000 }));
+        await seed(userPath(ALICE), { rating: 1200, gamesPlayed: 1 });
+        await assertFails(setDoc(doc(firestoreAs(ALICE), userPath(ALICE)), { displayName: 'Alice', rating: 3000, profileUpdatedAt: serverTimestamp() }, { merge: true }));
+    });
+
+    it('lets users edit only their own profile', async () => {
+        const profile = { displayName: 'Alice', avatarUrl: 'https://example.com/alice.png', bio: 'Likes nuclear power.', profileUpdatedAt: serverTimestamp() };
+        await assertSucceeds(setDoc(doc(firestoreAs(ALICE), userPath(ALICE)), profile, { merge: true }));
+        await assertFails(setDoc(doc(firestoreAs(MALLORY), userPath(ALICE)), { ...profile, displayName: 'Not Alice' }, { merge: true }));
+    });
+
+    it('rejects invalid profiles', async () => {
+        const profile = { displayName: 'Alice', avatarUrl: '', bio: '', profileUpdatedAt: serverTimestamp() };
+        await assertFails(setDoc(doc(firestoreAs(ALICE), userPath(ALICE)), { ...profile, displayName: '   ' }));
+        await assertFails(setDoc(doc(firestoreAs(ALICE), userPath(ALICE)), { ...profile, displayName: 'A'.repeat(41) }));
+        await assertFails(setDoc(doc(firestoreAs(ALICE), userPath(ALICE)), { ...profile, avatarUrl: ['javascript', 'alert(1)'].join(':') }));
+    });
+});
+
+describe('debate room creation', () => {
+    const newRoom = (overrides = {}) => ({
+        ...activeRoom(),
+        participantInfo: {
+            [ALICE]: { wordsUsed: 0, hasExited: false, side: 'pro' },
+            [BOB]: { wordsUsed: 0, hasExited: false, side: 'con' },
+        },
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+        ...overrides,
+    });
+
+    it('rejects rooms created by clients, which only matchmaking creates', async () => {
+        await assertFails(setDoc(doc(firestoreAs(ALICE), roomPath('room2')), newRoom()));
+    });
+
+    it('rejects rooms against the AI opponent, which only startAIDebate creates', async () => {
+        await assertFails(setDoc(doc(firestoreAs(ALICE), roomPath('room2')), newRoom({
+            participants: [ALICE, 'ai-opponent'],
+            participantInfo: {
+                [ALICE]: { wordsUsed: 0, hasExited: false, side: 'pro' },
+                'ai-opponent': { wordsUsed: 0, hasExited: false, side: 'con' },
+            },
+            turn: ALICE,
+        })));
+    });
+});
+
+describe('matchmaking', () => {
+    beforeEach(async () => {
+        await seed(queueEntryPath(BOB), { status: 'waiting', topicId: 'topic1', side: 'pro', joinedAt: new Date(), lastSeenAt: new Date() });
+        await seed(queueEntryPath(ALICE), { status: 'matched', topicId: 'topic1', side: 'pro', roomId: 'room1', matchedAt: new Date() });
+    });
+
+    it('lets users read only their own queue entry', async () => {
+        await assertSucceeds(getDoc(doc(firestoreAs(BOB), queueEntryPath(BOB))));
+        await assertFails(getDoc(doc(firestoreAs(MALLORY), queueEntryPath(BOB))));
+    });
+
+    it('lets a waiting user refresh their presence', async () => {
+        await assertSucceeds(updateDoc(doc(firestoreAs(BOB), queueEntryPath(BOB)), { lastSeenAt: serverTimestamp() }));
+    });
+
+    it('rejects presence for someone else or once matched', async () => {
+        await assertFails(updateDoc(doc(firestoreAs(MALLORY), queueEntryPath(BOB)), { lastSeenAt: serverTimestamp() }));
+        await assertFails(updateDoc(doc(firestoreAs(ALICE), queueEntryPath(ALICE)), { lastSeenAt: serverTimestamp() }));
+    });
+
+    it('leaves joining, pairing and leaving to the matchmaking functions', async () => {
+        await assertFails(setDoc(doc(firestoreAs(MALLORY), queueEntryPath(MALLORY)), { status: 'waiting', topicId: 'topic1', side: 'pro', lastSeenAt: serverTimestamp() }));
+        await assertFails(updateDoc(doc(firestoreAs(BOB), queueEntryPath(BOB)), { topicId: 'topic2', lastSeenAt: serverTimestamp() }));
+        await assertFails(deleteDoc(doc(firestoreAs(BOB), queueEntryPath(BOB))));
+    });
+});
+
+describe('posting a turn', () => {
+    it('leaves turns to submitMessage', async () => {
+        await assertFails(postTurn(firestoreAs(ALICE)));
+    });
+
+    it('rejects a message without the room update', async () => {
+        await assertFails(setDoc(doc(collection(firestoreAs(ALICE), messagesPath('room1'))), {
+            senderId: ALICE,
+            text: 'three word reply',
+            timestamp: serverTimestamp(),
+            wordCount: 3,
+            isFallacyAlert: false,
+            isGeminiResponse: false,
+        }));
+    });
+
+    it('rejects room updates without a message', async () => {
+        await assertFails(updateDoc(doc(firestoreAs(ALICE), roomPath('room1')), {
+            [`participantInfo.${ALICE}.wordsUsed`]: 0,
+            turn: BOB,
+            updatedAt: serverTimestamp(),
+        }));
+    });
+});
+
+describe('spectators', () => {
+    it('lets anyone signed in watch and leave', async () => {
+        await assertSucceeds(setDoc(doc(firestoreAs(MALLORY), spectatorPath('room1', MALLORY)), { lastSeenAt: serverTimestamp() }));
+        await assertSucceeds(deleteDoc(doc(firestoreAs(MALLORY), spectatorPath('room1', MALLORY))));
+    });
+
+    it('rejects presence on behalf of someone else', async () => {
+        await assertFails(setDoc(doc(firestoreAs(MALLORY), spectatorPath('room1', BOB)), { lastSeenAt: serverTimestamp() }));
+    });
+
+    it('rejects debaters counting themselves as spectators', async () => {
+        await assertFails(setDoc(doc(firestoreAs(ALICE), spectatorPath('room1', ALICE)), { lastSeenAt: serverTimestamp() }));
+    });
+
+    it('keeps spectators out of the room document', async () => {
+        await assertFails(updateDoc(doc(firestoreAs(MALLORY), roomPath('room1')), { spectatorCount: 100 }));
+    });
+});
+
+describe('audience poll', () => {
+    it('takes one pre-debate vote while the debate is live', async () => {
+        const voteRef = doc(firestoreAs(MALLORY), audienceVotePath('room1', MALLORY));
+        await assertSucceeds(setDoc(voteRef, { pre: 'pro', preAt: serverTimestamp() }));
+        await assertFails(updateDoc(voteRef, { pre: 'con', preAt: serverTimestamp() }));
+        await assertFails(updateDoc(voteRef, { post: 'con', postAt: serverTimestamp() }));
+    });
+
+    it('takes one post-debate vote once the debate is over', async () => {
+        await seed(audienceVotePath('room1', MALLORY), { pre: 'pro' });
+        await seed(roomPath('room1'), activeRoom({ status: 'concluded_word_limit' }));
+        const voteRef = doc(firestoreAs(MALLORY), audienceVotePath('room1', MALLORY));
+        await assertSucceeds(updateDoc(voteRef, { post: 'con', postAt: serverTimestamp() }));
+        await assertFails(updateDoc(voteRef, { post: 'pro', postAt: serverTimestamp() }));
+    });
+
+    it('rejects votes from debaters and on behalf of others', async () => {
+        await assertFails(setDoc(doc(firestoreAs(ALICE), audienceVotePath('room1', ALICE)), { pre: 'pro', preAt: serverTimestamp() }));
+        await assertFails(setDoc(doc(firestoreAs(MALLORY), audienceVotePath('room1', BOB)), { pre: 'pro', preAt: serverTimestamp() }));
+    });
+});
+
+describe('spectator chat', () => {
+    const chatMessage = (senderId) => ({ senderId, text: 'Great point!', timestamp: serverTimestamp() });
+
+    it('lets spectators chat during a live debate', async () => {
+        await assertSucceeds(addDoc(collection(firestoreAs(MALLORY), spectatorChatPath('room1')), chatMessage(MALLORY)));
+    });
+
+    it('keeps debaters out of the chat until the debate is over', async () => {
+        await assertFails(addDoc(collection(firestoreAs(ALICE), spectatorChatPath('room1')), chatMessage(ALICE)));
+        await assertFails(getDocs(collection(firestoreAs(ALICE), spectatorChatPath('room1'))));
+        await seed(roomPath('room1'), activeRoom({ status: 'concluded_word_limit' }));
+        await assertSucceeds(getDocs(collection(firestoreAs(ALICE), spectatorChatPath('room1'))));
+    });
+});
@@ -0,0 +1,117 @@
+// Starting debates against the AI opponent and playing its turns, against an in-memory Firestore.
+// Run with `npm run test:functions`.
+const assert = require('node:assert/strict');
+const { createFakeAdminDb, Timestamp } = require('./fakeAdminFirestore');
+const { startAIDebate, takeAITurn } = require('../../functions/aiOpponent');
+const { AI_OPPONENT_ID } = require('../../functions/debateRules');
+const { initialClock } = require('../../functions/turnClock');
+const { topicDocPath, debateRoomDocPath, queueEntryDocPath, messagesCollectionPath } = require('../../functions/paths');
+
+const topic = (interestedSides = {}) => ({
+    name: 'Universal Basic Income',
+    format: 'freeform',
+    status: 'open',
+    interestedUsers: Object.keys(interestedSides),
+    interestedSides,
+});
+
+const waiting = (topicId) => ({ status: 'waiting', topicId, side: 'pro', joinedAt: Timestamp.fromMillis(Date.now()), lastSeenAt: Timestamp.fromMillis(Date.now()) });
+
+const settings = { topicId: 'topic1', side: 'pro', difficulty: 'medium', persona: 'scholar' };
+
+describe('startAIDebate', () => {
+    it('opens a room against the AI and takes the user off the waiting list in the same transaction', async () => {
+        const db = createFakeAdminDb({
+            [topicDocPath('topic1')]: topic(),
+            [topicDocPath('topic2')]: topic({ alice: 'pro', bob: 'con' }),
+            [queueEntryDocPath('alice')]: waiting('topic2'),
+        });
+
+        const roomId = await startAIDebate(db, 'alice', settings);
+
+        const room = db.store.get(debateRoomDocPath(roomId));
+        assert.deepEqual(room.participants, ['alice', 'ai-opponent']);
+        assert.equal(room.status, 'active');
+        assert.deepEqual(db.store.get(topicDocPath('topic2')).interestedUsers, ['bob']);
+        assert.equal(db.store.get(queueEntryDocPath('alice')), undefined);
+    });
+
+    it('refuses users who are already in an active debate', async () => {
+        const db = createFakeAdminDb({
+            [topicDocPath('topic1')]: topic({ alice: 'pro' }),
+            [queueEntryDocPath('alice')]: waiting('topic1'),
+            [debateRoomDocPath('room1')]: { participants: ['alice', 'bob'], status: 'active' },
+        });
+
+        await assert.rejects(startAIDebate(db, 'alice', settings), { code: 'failed-precondition' });
+        assert.deepEqual(db.store.get(topicDocPath('topic1')).interestedUsers, ['alice']);
+        assert.equal(db.store.get(queueEntryDocPath('alice')).status, 'waiting');
+    });
+});
+
+describe('takeAITurn', () => {
+    const START_MS = Date.now() - 10000;
+    const aiRoom = () => ({
+        topicName: 'Universal Basic Income',
+        format: 'freeform',
+        participants: ['alice', AI_OPPONENT_ID],
+        participantInfo: {
+            alice: { side: 'pro', wordsUsed: 10, hasExited: false },
+            [AI_OPPONENT_ID]: { side: 'con', wordsUsed: 0, hasExited: false },
+        },
+        aiOpponent: { difficulty: 'medium', persona: 'scholar' },
+        status: 'active',
+        turn: AI_OPPONENT_ID,
+        clock: initialClock(['alice', AI_OPPONENT_ID], AI_OPPONENT_ID, START_MS),
+    });
+
+    // Answers the opponent task from replies in order, and fails everything else.
+    const scriptedLLM = (replies) => {
+        const llm = async (task) => {
+            if (task !== 'opponent') return { ok: false, error: new Error(`Not scripted: ${task}`) };
+            llm.opponentCalls += 1;
+            return replies.shift() || { ok: false, error: new Error('No more replies') };
+        };
+        llm.opponentCalls = 0;
+        return llm;
+    };
+
+    const messagesIn = (db) => [...db.store.entries()].filter(([path]) => path.startsWith(`${messagesCollectionPath('room1')}/`)).map(([, msg]) => msg);
+
+    it('retries a failed reply once before posting it', async () => {
+        const db = createFakeAdminDb({ [debateRoomDocPath('room1')]: aiRoom() });
+        const llm = scriptedLLM([{ ok: false, error: new Error('status 503') }, { ok: true, text: 'Income without work erodes incentives.' }]);
+
+        await takeAITurn(db, 'room1', aiRoom(), START_MS, { llm, retryDelayMs: 0 });
+
+        assert.equal(llm.opponentCalls, 2);
+        assert.equal(messagesIn(db)[0].text, 'Income without work erodes incentives.');
+        assert.equal(db.store.get(debateRoomDocPath('room1')).turn, 'alice');
+    });
+
+    it("skips the AI's turn and says why when the retry fails too", async () => {
+        const db = createFakeAdminDb({ [debateRoomDocPath('room1')]: aiRoom() });
+        const llm = scriptedLLM([{ ok: false, error: new Error('status 503') }, { ok: true, text: '   ' }]);
+
+        await takeAITurn(db, 'room1', aiRoom(), START_MS, { llm, retryDelayMs: 0 });
+
+        const room = db.store.get(debateRoomDocPath('room1'));
+        assert.equal(llm.opponentCalls, 2);
+        assert.equal(room.turn, 'alice');
+        assert.equal(room.skippedTurn, AI_OPPONENT_ID);
+        assert.equal(room.clock.timeouts[AI_OPPONENT_ID], 1);
+        assert.ok(room.clock.turnStartedAt.toMillis() > START_MS);
+        const [notice] = messagesIn(db);
+        assert.match(notice.text, /could not reply/);
+        assert.equal(notice.isClockNotice, true);
+    });
+
+    it('leaves a turn that has already moved on alone', async () => {
+        const db = createFakeAdminDb({ [debateRoomDocPath('room1')]: aiRoom() });
+
+        await takeAITurn(db, 'room1', aiRoom(), START_MS - 1000, { llm: scriptedLLM([]), retryDelayMs: 0 });
+
+        assert.equal(db.store.get(debateRoomDocPath('room1')).turn, AI_OPPONENT_ID);
+        assert.deepEqual(messagesIn(db), []);
+    });
+});
@@ -0,0 +1,178 @@
+// Turn and exit rules that submitMessage and exitDebate apply. Run with `npm run test:functions`.
+const assert = require('node:assert/strict');
+const {
+    MAX_WORDS_PER_REPLY,
+    MAX_WORDS_PER_DEBATE_TOTAL,
+    MAX_CITATIONS,
+    countWords,
+    validateCitations,
+    cleanCitations,
+    validateMessage,
+    messageUpdates,
+    replyCountUpdates,
+    validateExit,
+    exitUpdates,
+    withConcludedAt,
+} = require('../../functions/debateRules');
+
+const ALICE = 'alice';
+const BOB = 'bob';
+
+const room = (overrides = {}) => ({
+    participants: [ALICE, BOB],
+    participantInfo: {
+        [ALICE]: { wordsUsed: 0, hasExited: false },
+        [BOB]: { wordsUsed: 0, hasExited: false },
+    },
+    status: 'active',
+    turn: ALICE,
+    ...overrides,
+});
+
+const withInfo = (aliceInfo, bobInfo, overrides = {}) => room({
+    participantInfo: {
+        [ALICE]: { wordsUsed: 0, hasExited: false, ...aliceInfo },
+        [BOB]: { wordsUsed: 0, hasExited: false, ...bobInfo },
+    },
+    ...overrides,
+});
+
+describe('countWords', () => {
+    it('does not count Markdown markup, link targets or citation references', () => {
+        assert.equal(countWords('Taxes are **theft**.'), 3);
+        assert.equal(countWords('> Quoted claim\n\n- first point [1]\n2. second point [2]'), 6);
+        assert.equal(countWords('See [the study](https://example.org/a/long/path) and _snake_case_ here'), 6);
+        assert.equal(countWords('claim[1], `code` * stars'), 3);
+    });
+});
+
+describe('validateCitations', () => {
+    it('accepts http(s) URLs with optional quotes and cleans them', () => {
+        const citations = [{ url: ' https://example.org/a ', quote: '  "Growth fell." ' }, { url: 'http://example.org/b', quote: '' }];
+        assert.equal(validateCitations(citations), null);
+        assert.deepEqual(cleanCitations(citations), [{ url: 'https://example.org/a', quote: '"Growth fell."' }, { url: 'http://example.org/b' }]);
+    });
+
+    it('rejects unsafe URLs, long quotes and too many sources', () => {
+        assert.equal(validateCitations('https://example.org').code, 'invalid-argument');
+        assert.equal(validateCitations([{ url: ['javascript', 'alert(1)'].join(':') }]).code, 'invalid-argument');
+        assert.equal(validateCitations([{ url: 'https://example.org', quote: 'x'.repeat(301) }]).code, 'invalid-argument');
+        assert.equal(validateCitations(Array.from({ length: MAX_CITATIONS + 1 }, () => ({ url: 'https://example.org' }))).code, 'invalid-argument');
+    });
+});
+
+describe('validateMessage', () => {
+    it('accepts a reply in turn and within budget', () => {
+        assert.equal(validateMessage(room(), ALICE, 50), null);
+    });
+
+    it('rejects replies out of turn', () => {
+        assert.equal(validateMessage(room(), BOB, 50).code, 'failed-precondition');
+    });
+
+    it('rejects senders outside the debate', () => {
+        assert.equal(validateMessage(room(), 'mallory', 50).code, 'permission-denied');
+    });
+
+    it('rejects replies over the per-reply limit', () => {
+        assert.equal(validateMessage(room(), ALICE, MAX_WORDS_PER_REPLY + 1).code, 'invalid-argument');
+    });
+
+    it('rejects replies that would overrun the debate total', () => {
+        const nearlySpent = withInfo({ wordsUsed: MAX_WORDS_PER_DEBATE_TOTAL - 10 }, {});
+        assert.equal(validateMessage(nearlySpent, ALICE, 10), null);
+        assert.equal(validateMessage(nearlySpent, ALICE, 11).message, "Exceeds total debate word limit.");
+    });
+
+    it('rejects replies after the debate ends', () => {
+        assert.equal(validateMessage(room({ status: 'concluded_one_exited' }), ALICE, 5).code, 'failed-precondition');
+    });
+});
+
+describe('messageUpdates', () => {
+    it('adds the reply to the sender\'s word count and passes the turn', () => {
+        const updates = messageUpdates(withInfo({ wordsUsed: 120 }, {}), ALICE, 30);
+        assert.deepEqual(updates, { [`participantInfo.${ALICE}.wordsUsed`]: 150, turn: BOB });
+    });
+
+    it('keeps a free-form debate going while the other debater has words left', () => {
+        const updates = messageUpdates(withInfo({ wordsUsed: MAX_WORDS_PER_DEBATE_TOTAL - 30 }, { wordsUsed: 100 }), ALICE, 30);
+        assert.equal(updates.status, undefined);
+        assert.equal(updates.turn, BOB);
+    });
+
+    it('concludes once both debaters have used all their words', () => {
+        const updates = messageUpdates(withInfo({ wordsUsed: MAX_WORDS_PER_DEBATE_TOTAL - 30 }, { wordsUsed: MAX_WORDS_PER_DEBATE_TOTAL }), ALICE, 30);
+        assert.equal(updates.status, 'concluded_word_limit');
+    });
+
+    it('concludes when the sender runs out after the other debater left', () => {
+        const updates = messageUpdates(withInfo({ wordsUsed: MAX_WORDS_PER_DEBATE_TOTAL - 30 }, { hasExited: true }), ALICE, 30);
+        assert.equal(updates.status, 'concluded_word_limit');
+    });
+
+    it('moves formatted debates through their phases', () => {
+        const oxford = room({ format: 'oxford', phaseIndex: 0, phaseTurn: 0, firstSpeaker: ALICE });
+        const updates = messageUpdates(oxford, ALICE, 100);
+        assert.equal(updates.turn, BOB);
+        assert.equal(updates.phaseIndex, 0);
+        assert.equal(updates.phaseTurn, 1);
+
+        const nextPhase = messageUpdates({ ...oxford, turn: BOB, phaseTurn: 1 }, BOB, 100);
+        assert.equal(nextPhase.phaseIndex, 1);
+        assert.equal(nextPhase.phaseTurn, 0);
+        assert.equal(nextPhase.turn, ALICE);
+    });
+
+    it('concludes formatted debates after the last turn', () => {
+        const lastTurn = room({ format: 'three_round', phaseIndex: 2, phaseTurn: 1, firstSpeaker: ALICE, turn: BOB });
+        assert.equal(messageUpdates(lastTurn, BOB, 50).status, 'concluded_format_complete');
+    });
+});
+
+describe('replyCountUpdates', () => {
+    it('counts replies and @gemini questions for the sender', () => {
+        assert.deepEqual(replyCountUpdates(room(), ALICE, 'Taxes are theft.'), { [`participantInfo.${ALICE}.replyCount`]: 1 });
+        assert.deepEqual(replyCountUpdates(withInfo({ replyCount: 3, geminiQuestionCount: 1 }, {}), ALICE, '@Gemini what did the 2019 study find?'), {
+            [`participantInfo.${ALICE}.replyCount`]: 4,
+            [`participantInfo.${ALICE}.geminiQuestionCount`]: 2,
+        });
+    });
+});
+
+describe('exitUpdates', () => {
+    it('rejects exits by non-participants and repeat exits', () => {
+        assert.equal(validateExit(room(), 'mallory').code, 'permission-denied');
+        assert.equal(validateExit(withInfo({ hasExited: true }, {}), ALICE).code, 'failed-precondition');
+        assert.equal(validateExit(room(), ALICE), null);
+    });
+
+    it('ends the debate and hands the turn over when one debater leaves', () => {
+        assert.deepEqual(exitUpdates(room(), ALICE), {
+            [`participantInfo.${ALICE}.hasExited`]: true,
+            turn: BOB,
+            status: 'concluded_one_exited',
+        });
+    });
+
+    it('records when the other debater had already run out of words', () => {
+        assert.equal(exitUpdates(withInfo({}, { wordsUsed: MAX_WORDS_PER_DEBATE_TOTAL }), ALICE).status, 'concluded_one_exit_one_limit');
+    });
+
+    it('records when both debaters have left', () => {
+        assert.equal(exitUpdates(withInfo({}, { hasExited: true }), ALICE).status, 'concluded_both_exited');
+    });
+
+    it('leaves the status of a concluded debate alone', () => {
+        assert.deepEqual(exitUpdates(room({ status: 'concluded_word_limit' }), ALICE), { [`participantInfo.${ALICE}.hasExited`]: true });
+    });
+});
+
+describe('withConcludedAt', () => {
+    it('stamps only the updates that end the debate', () => {
+        const now = new Date(0);
+        assert.equal(withConcludedAt(exitUpdates(room(), ALICE), now).concludedAt, now);
+        assert.equal('concludedAt' in withConcludedAt(exitUpdates(room({ status: 'concluded_word_limit' }), ALICE), now), false);
+        assert.equal('concludedAt' in withConcludedAt(messageUpdates(room(), ALICE, 10), now), false);
+    });
+});
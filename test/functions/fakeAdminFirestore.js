@@ -0,0 +1,129 @@
+// An in-memory stand-in for the parts of the Admin SDK's Firestore that functions/ modules use in
+// transactions, so they can be tested without the emulator. Documents are plain objects keyed by
+// path. Only serverTimestamp() and delete() field values are understood.
+const { createRequire } = require('module');
+
+// firebase-admin is installed for functions/ only; use that copy so its classes match.
+const functionsRequire = createRequire(require.resolve('../../functions/package.json'));
+const { FieldValue, Timestamp } = functionsRequire('firebase-admin/firestore');
+
+const isFieldValue = (value, sentinel) => value instanceof FieldValue && value.isEqual(sentinel);
+
+const resolveValue = (value) => {
+    if (isFieldValue(value, FieldValue.serverTimestamp())) return Timestamp.now();
+    if (value instanceof FieldValue) throw new Error("The fake only supports serverTimestamp() and delete().");
+    return value;
+};
+
+const clone = (value) => {
+    if (Array.isArray(value)) return value.map(clone);
+    if (value && typeof value === 'object' && !(value instanceof Timestamp) && !(value instanceof FieldValue)) {
+        return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, clone(v)]));
+    }
+    return value;
+};
+
+const resolveFields = (data) => {
+    const resolved = {};
+    Object.entries(data).forEach(([key, value]) => {
+        resolved[key] = value && typeof value === 'object' && value.constructor === Object ? resolveFields(value) : resolveValue(value);
+    });
+    return resolved;
+};
+
+const fieldAt = (data, fieldPath) => fieldPath.split('.').reduce((obj, key) => obj?.[key], data);
+
+const compare = (a, b) => (a instanceof Timestamp ? a.toMillis() - b.toMillis() : a < b ? -1 : a > b ? 1 : 0);
+
+const matches = (data, { field, op, value }) => {
+    const fieldValue = fieldAt(data, field);
+    switch (op) {
+        case '==': return fieldValue === value;
+        case '<': return fieldValue !== undefined && compare(fieldValue, value) < 0;
+        case 'array-contains': return Array.isArray(fieldValue) && fieldValue.includes(value);
+        default: throw new Error(`Unsupported where() operator in fake: ${op}`);
+    }
+};
+
+// options.retries makes every transaction run its callback that many extra times first, with
+// the writes of those attempts thrown away, as Firestore does under contention.
+const createFakeAdminDb = (docs = {}, { retries = 0 } = {}) => {
+    const store = new Map(Object.entries(docs).map(([path, data]) => [path, clone(data)]));
+    let nextId = 1;
+
+    const snapshotOf = (ref) => {
+        const data = store.get(ref.path);
+        return { id: ref.id, ref, exists: data !== undefined, data: () => (data === undefined ? undefined : clone(data)) };
+    };
+
+    const docRef = (path) => ({ path, id: path.split('/').pop(), get: async () => snapshotOf(docRef(path)) });
+
+    const queryOf = (path, filters = [], max = Infinity, order = null) => ({
+        path,
+        where: (field, op, value) => queryOf(path, [...filters, { field, op, value }], max, order),
+        orderBy: (field, direction = 'asc') => queryOf(path, filters, max, { field, direction }),
+        limit: (n) => queryOf(path, filters, n, order),
+        get: async () => querySnapshotOf(path, filters, max, order),
+    });
+
+    const querySnapshotOf = (path, filters, max, order) => {
+        const prefix = `${path}/`;
+        const matching = [...store.keys()]
+            .filter(docPath => docPath.startsWith(prefix) && !docPath.slice(prefix.length).includes('/'))
+            .map(docPath => snapshotOf(docRef(docPath)))
+            .filter(snap => filters.every(filter => matches(snap.data(), filter)));
+        if (order) {
+            const sign = order.direction === 'desc' ? -1 : 1;
+            matching.sort((a, b) => sign * compare(fieldAt(a.data(), order.field), fieldAt(b.data(), order.field)));
+        }
+        matching.splice(max);
+        return { docs: matching, empty: matching.length === 0, size: matching.length };
+    };
+
+    const write = (ref, data) => store.set(ref.path, resolveFields(data));
+
+    const update = (ref, updates) => {
+        const current = store.get(ref.path);
+        if (current === undefined) throw new Error(`No document to update: ${ref.path}`);
+        const next = clone(current);
+        Object.entries(updates).forEach(([fieldPath, value]) => {
+            const keys = fieldPath.split('.');
+            const last = keys.pop();
+            const target = keys.reduce((obj, key) => {
+                if (typeof obj[key] !== 'object' || obj[key] === null) obj[key] = {};
+                return obj[key];
+            }, next);
+            if (isFieldValue(value, FieldValue.delete())) delete target[last];
+            else target[last] = resolveValue(value);
+        });
+        store.set(ref.path, next);
+    };
+
+    const attempt = async (updateFunction, commit) => {
+        const writes = [];
+        const transaction = {
+            get: async (refOrQuery) => (refOrQuery.get ? refOrQuery.get() : snapshotOf(refOrQuery)),
+            set(ref, data) { writes.push(() => write(ref, data)); return transaction; },
+            update(ref, updates) { writes.push(() => update(ref, updates)); return transaction; },
+            delete(ref) { writes.push(() => store.delete(ref.path)); return transaction; },
+        };
+        const result = await updateFunction(transaction);
+        if (commit) writes.forEach(apply => apply());
+        return result;
+    };
+
+    return {
+        store,
+        doc: docRef,
+        collection: (path) => ({
+            ...queryOf(path),
+            doc: (id = `doc${nextId++}`) => docRef(`${path}/${id}`),
+        }),
+        runTransaction: async (updateFunction) => {
+            for (let i = 0; i < retries; i++) await attempt(updateFunction, false);
+            return attempt(updateFunction, true);
+        },
+    };
+};
+
+module.exports = { createFakeAdminDb, Timestamp };
@@ -0,0 +1,242 @@
+// Matchmaking queue against an in-memory Firestore. Run with `npm run test:functions`.
+const assert = require('node:assert/strict');
+const { createFakeAdminDb, Timestamp } = require('./fakeAdminFirestore');
+const {
+    WAITER_STALE_MS,
+    sidesCompatible,
+    assignSides,
+    choosePartner,
+    joinQueue,
+    leaveQueue,
+    expireStaleWaiters,
+} = require('../../functions/matchmaking');
+const { topicDocPath, debateRoomDocPath, debateRoomsCollectionPath, userDocPath, queueEntryDocPath } = require('../../functions/paths');
+
+const ago = (ms) => Timestamp.fromMillis(Date.now() - ms);
+
+const topic = (waiting = {}, extra = {}) => ({
+    name: 'Universal Basic Income',
+    description: '',
+    format: 'freeform',
+    interestedUsers: Object.keys(waiting),
+    interestedSides: waiting,
+    status: 'open',
+    ...extra,
+});
+
+const waiter = (topicId, side, { joinedMsAgo = 60 * 1000, seenMsAgo = 10 * 1000 } = {}) => ({
+    status: 'waiting',
+    topicId,
+    side,
+    joinedAt: ago(joinedMsAgo),
+    lastSeenAt: ago(seenMsAgo),
+});
+
+// Seeds topic1 with the given waiters, each with a fresh queue entry unless entries overrides it.
+const seedDb = ({ waiting = {}, entries = {}, extraDocs = {}, retries = 0 } = {}) => {
+    const docs = { [topicDocPath('topic1')]: topic(waiting), ...extraDocs };
+    Object.entries(waiting).forEach(([uid, side]) => { docs[queueEntryDocPath(uid)] = waiter('topic1', side); });
+    Object.entries(entries).forEach(([uid, entry]) => { docs[queueEntryDocPath(uid)] = entry; });
+    return createFakeAdminDb(docs, { retries });
+};
+
+const data = (db, path) => db.store.get(path);
+
+const rooms = (db) => [...db.store.keys()].filter(path => path.startsWith(`${debateRoomsCollectionPath()}/`));
+
+describe('matchmaking helpers', () => {
+    it('pairs opposite or open sides only', () => {
+        assert.equal(sidesCompatible('pro', 'con'), true);
+        assert.equal(sidesCompatible('pro', 'either'), true);
+        assert.equal(sidesCompatible('either', undefined), true);
+        assert.equal(sidesCompatible('con', 'con'), false);
+    });
+
+    it('gives each debater a side', () => {
+        assert.deepEqual(assignSides('pro', 'either'), ['pro', 'con']);
+        assert.deepEqual(assignSides('either', 'pro'), ['con', 'pro']);
+        assert.deepEqual([...assignSides('either', 'either')].sort(), ['con', 'pro']);
+    });
+
+    it('prefers the closest rating, then the longest wait', () => {
+        const waiters = [
+            { uid: 'carol', rating: 1300, joinedAtMs: 1 },
+            { uid: 'dave', rating: 1180, joinedAtMs: 5 },
+            { uid: 'erin', rating: 1220, joinedAtMs: 3 },
+        ];
+        assert.equal(choosePartner(waiters, 1200), 'erin');
+        assert.equal(choosePartner([], 1200), null);
+    });
+});
+
+describe('joinQueue', () => {
+    it('queues the user when nobody compatible is waiting', async () => {
+        const db = seedDb({ waiting: { bob: 'pro' } });
+
+        const roomId = await joinQueue(db, 'alice', { topicId: 'topic1', side: 'pro' });
+
+        assert.equal(roomId, null);
+        assert.deepEqual(data(db, topicDocPath('topic1')).interestedUsers, ['bob', 'alice']);
+        assert.equal(data(db, topicDocPath('topic1')).interestedSides.alice, 'pro');
+        assert.equal(data(db, queueEntryDocPath('alice')).status, 'waiting');
+        assert.equal(data(db, queueEntryDocPath('alice')).topicId, 'topic1');
+        assert.equal(rooms(db).length, 0);
+    });
+
+    it('pairs with a waiting user and marks both queue entries matched', async () => {
+        const db = seedDb({ waiting: { bob: 'con' } });
+
+        const roomId = await joinQueue(db, 'alice', { topicId: 'topic1', side: 'either' });
+
+        const room = data(db, debateRoomDocPath(roomId));
+        assert.deepEqual(room.participants, ['alice', 'bob']);
+        assert.equal(room.participantInfo.alice.side, 'pro');
+        assert.equal(room.participantInfo.bob.side, 'con');
+        assert.equal(room.turn, 'alice');
+        assert.equal(room.status, 'active');
+        assert.ok(room.clock.turnDeadline, 'rooms start with their clock running');
+        assert.deepEqual(data(db, topicDocPath('topic1')).interestedUsers, []);
+        assert.deepEqual(data(db, topicDocPath('topic1')).interestedSides, {});
+        ['alice', 'bob'].forEach(uid => {
+            assert.equal(data(db, queueEntryDocPath(uid)).status, 'matched');
+            assert.equal(data(db, queueEntryDocPath(uid)).roomId, roomId);
+        });
+    });
+
+    it("copies the topic's briefs and search terms onto the room", async () => {
+        const briefs = { pro: 'Automation is displacing jobs.', con: 'It would cost trillions.' };
+        const db = seedDb({ waiting: { bob: 'con' }, extraDocs: { [topicDocPath('topic1')]: topic({ bob: 'con' }, { briefs }) } });
+
+        const roomId = await joinQueue(db, 'alice', { topicId: 'topic1', side: 'pro' });
+
+        const room = data(db, debateRoomDocPath(roomId));
+        assert.deepEqual(room.topicBriefs, briefs);
+        assert.ok(['universal', 'bas', 'income'].every(term => room.topicSearchTerms.includes(term)));
+    });
+
+    it('pairs with the closest-rated waiter', async () => {
+        const db = seedDb({
+            waiting: { carol: 'either', dave: 'either' },
+            extraDocs: {
+                [userDocPath('alice')]: { rating: 1400 },
+                [userDocPath('carol')]: { rating: 1250 },
+                [userDocPath('dave')]: { rating: 1390 },
+            },
+        });
+
+        const roomId = await joinQueue(db, 'alice', { topicId: 'topic1', side: 'pro' });
+
+        assert.deepEqual(data(db, debateRoomDocPath(roomId)).participants, ['alice', 'dave']);
+        assert.deepEqual(data(db, topicDocPath('topic1')).interestedUsers, ['carol']);
+    });
+
+    it('passes over waiters whose clients have gone quiet and drops them', async () => {
+        const db = seedDb({
+            waiting: { bob: 'con' },
+            entries: { bob: waiter('topic1', 'con', { seenMsAgo: WAITER_STALE_MS + 1000 }) },
+        });
+
+        const roomId = await joinQueue(db, 'alice', { topicId: 'topic1', side: 'pro' });
+
+        assert.equal(roomId, null);
+        assert.deepEqual(data(db, topicDocPath('topic1')).interestedUsers, ['alice']);
+        assert.equal(data(db, topicDocPath('topic1')).interestedSides.bob, undefined);
+        assert.equal(data(db, queueEntryDocPath('bob')), undefined);
+    });
+
+    it('keeps one waiting slot per user across topics', async () => {
+        const db = seedDb({
+            entries: { alice: waiter('topic2', 'pro') },
+            extraDocs: { [topicDocPath('topic2')]: topic({ alice: 'pro' }) },
+        });
+
+        await joinQueue(db, 'alice', { topicId: 'topic1', side: 'con' });
+
+        assert.deepEqual(data(db, topicDocPath('topic2')).interestedUsers, []);
+        assert.deepEqual(data(db, topicDocPath('topic2')).interestedSides, {});
+        assert.deepEqual(data(db, topicDocPath('topic1')).interestedUsers, ['alice']);
+        assert.equal(data(db, queueEntryDocPath('alice')).topicId, 'topic1');
+    });
+
+    it('keeps the original join time when a waiter changes side', async () => {
+        const db = seedDb({ waiting: { alice: 'pro' } });
+        const joinedAt = data(db, queueEntryDocPath('alice')).joinedAt;
+
+        await joinQueue(db, 'alice', { topicId: 'topic1', side: 'con' });
+
+        assert.equal(data(db, queueEntryDocPath('alice')).side, 'con');
+        assert.equal(data(db, queueEntryDocPath('alice')).joinedAt.toMillis(), joinedAt.toMillis());
+        assert.deepEqual(data(db, topicDocPath('topic1')).interestedUsers, ['alice']);
+    });
+
+    it('creates a single room when the transaction is retried', async () => {
+        const db = seedDb({ waiting: { bob: 'con' }, retries: 2 });
+
+        const roomId = await joinQueue(db, 'alice', { topicId: 'topic1', side: 'pro' });
+
+        assert.deepEqual(rooms(db), [debateRoomDocPath(roomId)]);
+    });
+
+    it('returns the same room to a caller whose pairing already went through', async () => {
+        const db = seedDb({ waiting: { bob: 'con' } });
+        const roomId = await joinQueue(db, 'alice', { topicId: 'topic1', side: 'pro' });
+
+        const retried = await joinQueue(db, 'alice', { topicId: 'topic1', side: 'pro' });
+
+        assert.equal(retried, roomId);
+        assert.equal(rooms(db).length, 1);
+    });
+
+    it('refuses users who are already in another debate', async () => {
+        const db = seedDb({
+            waiting: { bob: 'con' },
+            extraDocs: { [debateRoomDocPath('ai-room')]: { participants: ['alice', 'ai-opponent'], status: 'active' } },
+        });
+
+        await assert.rejects(joinQueue(db, 'alice', { topicId: 'topic1', side: 'pro' }), { code: 'failed-precondition' });
+        assert.deepEqual(data(db, topicDocPath('topic1')).interestedUsers, ['bob']);
+    });
+
+    it('refuses topics that have been closed or archived', async () => {
+        const db = seedDb({ extraDocs: { [topicDocPath('topic2')]: topic({}, { status: 'closed' }) } });
+        await assert.rejects(joinQueue(db, 'alice', { topicId: 'topic2', side: 'pro' }), { code: 'failed-precondition' });
+        assert.equal(data(db, queueEntryDocPath('alice')), undefined);
+    });
+
+    it('rejects unknown topics', async () => {
+        await assert.rejects(joinQueue(seedDb(), 'alice', { topicId: 'missing', side: 'pro' }), { code: 'not-found' });
+    });
+});
+
+describe('leaveQueue', () => {
+    it('takes a waiting user off the topic and the queue', async () => {
+        const db = seedDb({ waiting: { alice: 'pro', bob: 'con' } });
+
+        assert.equal(await leaveQueue(db, 'alice'), true);
+
+        assert.deepEqual(data(db, topicDocPath('topic1')).interestedUsers, ['bob']);
+        assert.equal(data(db, queueEntryDocPath('alice')), undefined);
+    });
+
+    it('leaves matched entries alone', async () => {
+        const db = seedDb({ entries: { alice: { status: 'matched', topicId: 'topic1', roomId: 'room1' } } });
+
+        assert.equal(await leaveQueue(db, 'alice'), false);
+        assert.equal(data(db, queueEntryDocPath('alice')).roomId, 'room1');
+    });
+});
+
+describe('expireStaleWaiters', () => {
+    it('removes only waiters who have not been seen recently', async () => {
+        const db = seedDb({
+            waiting: { alice: 'pro', bob: 'con' },
+            entries: { bob: waiter('topic1', 'con', { seenMsAgo: WAITER_STALE_MS + 1000 }) },
+        });
+
+        assert.equal(await expireStaleWaiters(db, Date.now()), 1);
+
+        assert.deepEqual(data(db, topicDocPath('topic1')).interestedUsers, ['alice']);
+        assert.equal(data(db, queueEntryDocPath('bob')), undefined);
+        assert.equal(data(db, queueEntryDocPath('alice')).status, 'waiting');
+    });
+});
@@ -0,0 +1,210 @@
+// Moderation with a scripted LLM and an in-memory stand-in for the Admin SDK's Firestore.
+// Run with `npm run test:functions`.
+const assert = require('node:assert/strict');
+const { moderateMessage } = require('../../functions/moderation');
+const { debateRoomDocPath, topicDocPath, messagesCollectionPath } = require('../../functions/paths');
+
+const ROOM_ID = 'room1';
+
+const debateRoom = {
+    topicId: 'topic1',
+    topicName: 'Universal Basic Income',
+    participants: ['alice', 'bob'],
+    participantInfo: { alice: { side: 'pro' }, bob: { side: 'con' } },
+    status: 'active',
+};
+
+// Records every write; reads of the messages collection return priorMessages.
+const fakeDb = (priorMessages = []) => {
+    const writes = [];
+    const docRef = (path) => ({ path, id: path.split('/').pop() });
+    return {
+        writes,
+        doc: docRef,
+        collection: (path) => {
+            const messagesQuery = {
+                orderBy: () => messagesQuery,
+                limit: () => messagesQuery,
+                get: async () => ({ docs: priorMessages.map(msg => ({ id: msg.id, data: () => msg })) }),
+            };
+            return {
+                ...messagesQuery,
+                add: async (data) => {
+                    writes.push({ op: 'add', path, data });
+                    return docRef(`${path}/new`);
+                },
+            };
+        },
+        batch: () => ({
+            update: (ref, data) => writes.push({ op: 'update', path: ref.path, data }),
+            commit: async () => {},
+        }),
+    };
+};
+
+// Answers each task from responses, recording the calls it gets.
+const scriptedLLM = (responses) => {
+    const calls = [];
+    const llm = async (task, prompt, options) => {
+        calls.push({ task, prompt, options });
+        return responses[task] || { ok: false, error: new Error(`No scripted response for ${task}`) };
+    };
+    llm.calls = calls;
+    return llm;
+};
+
+const moderate = (db, llm, statement, authorId = 'alice', extra = {}) => {
+    const path = `${messagesCollectionPath(ROOM_ID)}/msg1`;
+    const messageRef = { id: 'msg1', path, update: async (data) => db.writes.push({ op: 'update', path, data }) };
+    return moderateMessage(db, { roomId: ROOM_ID, debateRoom, messageRef, statement, authorId, ...extra }, { llm });
+};
+
+describe('moderateMessage', () => {
+    it('annotates the message and counts fallacies the LLM finds', async () => {
+        const db = fakeDb();
+        const llm = scriptedLLM({
+            fallacy: {
+                ok: true,
+                model: 'test-model',
+                text: JSON.stringify({ fallacies: [{ type: 'ad_hominem', span: 'my opponent is a fool', confidence: 0.9, explanation: 'Attacks the person.' }] }),
+            },
+        });
+
+        const warnings = await moderate(db, llm, 'Ignore this: my opponent is a fool.');
+
+        assert.deepEqual(warnings, []);
+        assert.deepEqual(llm.calls.map(call => call.task), ['fallacy']);
+        assert.deepEqual(llm.calls[0].options, { json: true });
+
+        const messageUpdate = db.writes.find(w => w.path.endsWith('/msg1'));
+        assert.equal(messageUpdate.data.fallacyModel, 'test-model');
+        assert.deepEqual(messageUpdate.data.fallacies.map(f => [f.type, f.span, f.start]), [['ad_hominem', 'my opponent is a fool', 13]]);
+        assert.ok(db.writes.some(w => w.path === debateRoomDocPath(ROOM_ID) && 'fallacyCounts.alice.ad_hominem' in w.data));
+        assert.ok(db.writes.some(w => w.path === topicDocPath('topic1') && 'fallacyCounts.ad_hominem' in w.data));
+    });
+
+    it('writes nothing when no fallacies are found', async () => {
+        const db = fakeDb();
+        const llm = scriptedLLM({ fallacy: { ok: true, model: 'test-model', text: '{"fallacies": []}' } });
+
+        await moderate(db, llm, 'A careful, sourced argument.');
+
+        assert.deepEqual(db.writes, []);
+    });
+
+    it('gives the LLM the earlier turns as context', async () => {
+        const db = fakeDb([
+            { id: 'msg1', senderId: 'alice', text: 'The new statement.' },
+            { id: 'msg0', senderId: 'bob', text: 'Automation will not replace jobs.' },
+        ]);
+        const llm = scriptedLLM({ fallacy: { ok: true, model: 'test-model', text: '{"fallacies": []}' } });
+
+        await moderate(db, llm, 'The new statement.');
+
+        assert.match(llm.calls[0].prompt, /Automation will not replace jobs\./);
+    });
+
+    it('answers @gemini questions as a moderator message', async () => {
+        const db = fakeDb();
+        const llm = scriptedLLM({
+            fallacy: { ok: true, model: 'test-model', text: '{"fallacies": []}' },
+            qa: { ok: true, model: 'test-model', text: 'Finland ran a trial in 2017 and 2018.' },
+        });
+
+        const warnings = await moderate(db, llm, '@gemini has any country tried this?');
+
+        assert.deepEqual(warnings, []);
+        assert.match(llm.calls[1].prompt, /has any country tried this\?/);
+        const answer = db.writes.find(w => w.op === 'add');
+        assert.equal(answer.path, messagesCollectionPath(ROOM_ID));
+        assert.equal(answer.data.senderId, 'gemini');
+        assert.equal(answer.data.isGeminiResponse, true);
+        assert.equal(answer.data.text, 'Finland ran a trial in 2017 and 2018.');
+    });
+
+    it('warns the user when a question cannot be answered', async () => {
+        const db = fakeDb();
+        const llm = scriptedLLM({ fallacy: { ok: true, model: 'test-model', text: '{"fallacies": []}' } });
+
+        const warnings = await moderate(db, llm, '@gemini what does the data say?');
+
+        assert.equal(warnings.length, 1);
+        assert.match(warnings[0], /could not answer/);
+    });
+
+    it('keeps going when the fallacy check fails', async () => {
+        const db = fakeDb();
+        const llm = scriptedLLM({ fallacy: { ok: true, model: 'test-model', text: 'not json' } });
+
+        const warnings = await moderate(db, llm, 'Plain argument.');
+
+        assert.deepEqual(warnings, []);
+        assert.deepEqual(db.writes, []);
+    });
+
+    it('only fact-checks when asked to', async () => {
+        const db = fakeDb();
+        const llm = scriptedLLM({ fallacy: { ok: true, model: 'test-model', text: '{"fallacies": []}' } });
+
+        await moderate(db, llm, 'Finland trialled basic income in 2017.');
+
+        assert.deepEqual(llm.calls.map(call => call.task), ['fallacy']);
+    });
+
+    it('annotates the message with fact-checked claims and the sources behind them', async () => {
+        const db = fakeDb();
+        const citations = [{ url: 'https://example.org/finland', quote: 'The trial ran from 2017 to 2018.' }];
+        const llm = scriptedLLM({
+            fallacy: { ok: true, model: 'test-model', text: '{"fallacies": []}' },
+            factCheck: {
+                ok: true,
+                model: 'test-model',
+                text: JSON.stringify({
+                    claims: [
+                        { claim: 'Finland trialled basic income in 2017', verdict: 'supported', citations: [1, 4], explanation: 'The excerpt confirms it.' },
+                        { claim: 'employment doubled', verdict: 'disputed', citations: [], explanation: 'The trial found a small effect.' },
+                        { claim: 'it is the best policy', verdict: 'opinion' },
+                    ],
+                }),
+            },
+        });
+
+        const warnings = await moderate(db, llm, 'Finland trialled basic income in 2017 [1] and employment doubled.', 'alice', { citations, factCheck: true });
+
+        assert.deepEqual(warnings, []);
+        assert.equal(llm.calls[1].task, 'factCheck');
+        assert.match(llm.calls[1].prompt, /Quoted excerpt: "The trial ran from 2017 to 2018\."/);
+        const update = db.writes.find(w => w.data.factChecks);
+        assert.equal(update.path, `${messagesCollectionPath(ROOM_ID)}/msg1`);
+        assert.equal(update.data.factCheckModel, 'test-model');
+        assert.deepEqual(update.data.factChecks.map(c => [c.verdict, c.start, c.citations]), [['supported', 0, [1]], ['disputed', 46, []]]);
+        assert.ok(!db.writes.some(w => w.op === 'add'));
+    });
+
+    it('still answers @gemini questions when saving the fact check fails', async () => {
+        const db = fakeDb();
+        const llm = scriptedLLM({
+            fallacy: { ok: true, model: 'test-model', text: '{"fallacies": []}' },
+            factCheck: { ok: true, model: 'test-model', text: '{"claims": []}' },
+            qa: { ok: true, model: 'test-model', text: 'Finland ran a trial in 2017 and 2018.' },
+        });
+        const messageRef = { id: 'msg1', path: `${messagesCollectionPath(ROOM_ID)}/msg1`, update: async () => { throw new Error('write failed'); } };
+
+        const warnings = await moderateMessage(db, { roomId: ROOM_ID, debateRoom, messageRef, statement: '@gemini has any country tried this?', authorId: 'alice', factCheck: true }, { llm });
+
+        assert.equal(warnings.length, 1);
+        assert.match(warnings[0], /could not fact-check/);
+        assert.equal(db.writes.find(w => w.op === 'add').data.text, 'Finland ran a trial in 2017 and 2018.');
+    });
+
+    it('warns the user when the fact check fails', async () => {
+        const db = fakeDb();
+        const llm = scriptedLLM({ fallacy: { ok: true, model: 'test-model', text: '{"fallacies": []}' } });
+
+        const warnings = await moderate(db, llm, 'Finland trialled basic income in 2017.', 'alice', { factCheck: true });
+
+        assert.equal(warnings.length, 1);
+        assert.match(warnings[0], /could not fact-check/);
+        assert.deepEqual(db.writes, []);
+    });
+});
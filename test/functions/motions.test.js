@@ -0,0 +1,84 @@
+// Topic suggestions and motion rewriting with a scripted LLM. Run with `npm run test:functions`.
+const assert = require('node:assert/strict');
+const { createFakeAdminDb } = require('./fakeAdminFirestore');
+const { SUGGESTION_COUNT, parseSuggestions, suggestTopics, balanceMotion } = require('../../functions/motions');
+const { topicDocPath } = require('../../functions/paths');
+
+const motion = (name) => ({ name, description: 'Context.', briefs: { pro: 'For.', con: 'Against.' } });
+
+// Answers every call with response, recording the prompts it gets.
+const answeringLLM = (response) => {
+    const llm = async (task, prompt) => {
+        llm.calls.push({ task, prompt });
+        return response;
+    };
+    llm.calls = [];
+    return llm;
+};
+
+const ok = (body) => ({ ok: true, text: JSON.stringify(body) });
+
+describe('parseSuggestions', () => {
+    it('drops malformed motions and caps the count', () => {
+        const motions = [{ description: 'no name' }, ...Array.from({ length: 8 }, (_, i) => motion(`Motion ${i}`))];
+        const parsed = parseSuggestions(JSON.stringify({ motions }));
+        assert.equal(parsed.length, SUGGESTION_COUNT);
+        assert.equal(parsed[0].name, 'Motion 0');
+    });
+
+    it('fills in missing briefs and rejects empty answers', () => {
+        assert.deepEqual(parseSuggestions('{"motions": [{"name": " Ban homework "}]}'), [{ name: 'Ban homework', description: '', briefs: { pro: '', con: '' } }]);
+        assert.throws(() => parseSuggestions('{"motions": []}'));
+    });
+});
+
+describe('suggestTopics', () => {
+    it('asks for motions in the category that avoid its open topics', async () => {
+        const db = createFakeAdminDb({
+            [topicDocPath('topic1')]: { name: 'Ban cars from city centres', category: 'technology', status: 'open' },
+            [topicDocPath('topic2')]: { name: 'Wealth taxes', category: 'economics', status: 'open' },
+        });
+        const llm = answeringLLM(ok({ motions: [motion('Schools should ban smartphones')] }));
+
+        const motions = await suggestTopics(db, 'technology', { llm });
+
+        assert.deepEqual(motions, [motion('Schools should ban smartphones')]);
+        assert.equal(llm.calls[0].task, 'topicSuggest');
+        assert.match(llm.calls[0].prompt, /"Technology"/);
+        assert.match(llm.calls[0].prompt, /- Ban cars from city centres/);
+        assert.doesNotMatch(llm.calls[0].prompt, /Wealth taxes/);
+    });
+
+    it('rejects unknown categories and reports an unavailable LLM', async () => {
+        const db = createFakeAdminDb();
+        await assert.rejects(suggestTopics(db, 'gossip', { llm: answeringLLM(ok({})) }), { code: 'invalid-argument' });
+        await assert.rejects(suggestTopics(db, 'science', { llm: answeringLLM({ ok: false, error: { code: 'http' } }) }), { code: 'unavailable' });
+    });
+});
+
+describe('balanceMotion', () => {
+    it('rewrites the draft into a motion with briefs', async () => {
+        const llm = answeringLLM(ok(motion('This house would introduce a universal basic income')));
+
+        const result = await balanceMotion({ name: 'UBI is obviously great', description: 'Free money!' }, { llm });
+
+        assert.equal(result.name, 'This house would introduce a universal basic income');
+        assert.deepEqual(result.briefs, { pro: 'For.', con: 'Against.' });
+        assert.equal(llm.calls[0].task, 'motionRewrite');
+        assert.match(llm.calls[0].prompt, /Draft topic: UBI is obviously great\nDraft description: Free money!/);
+    });
+
+    it('treats a null description as empty and refuses one that is not text', async () => {
+        const llm = answeringLLM(ok(motion('This house would introduce a universal basic income')));
+
+        await balanceMotion({ name: 'UBI', description: null }, { llm });
+
+        assert.doesNotMatch(llm.calls[0].prompt, /Draft description/);
+        await assert.rejects(balanceMotion({ name: 'UBI', description: 42 }, { llm }), { code: 'invalid-argument', message: 'The description must be text.' });
+    });
+
+    it('needs a draft and a usable answer', async () => {
+        await assert.rejects(balanceMotion({ name: '  ' }, { llm: answeringLLM(ok(motion('x'))) }), { code: 'invalid-argument' });
+        await assert.rejects(balanceMotion({ name: 'UBI' }, { llm: answeringLLM({ ok: true, text: '{"name": ""}' }) }), { code: 'unavailable' });
+    });
+});
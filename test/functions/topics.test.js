@@ -0,0 +1,175 @@
+// Topic creation and status changes with a scripted LLM against an in-memory Firestore.
+// Run with `npm run test:functions`.
+const assert = require('node:assert/strict');
+const { createFakeAdminDb } = require('./fakeAdminFirestore');
+const { normalizeTag, topicNameKey, topicSearchTerms, topicFromInput, parseTopicReview, createTopic, setTopicStatus } = require('../../functions/topics');
+const { topicDocPath, queueEntryDocPath } = require('../../functions/paths');
+
+const existingTopic = (name, extra = {}) => ({
+    name,
+    nameKey: topicNameKey(name),
+    description: '',
+    format: 'freeform',
+    category: 'economics',
+    tags: [],
+    createdBy: 'bob',
+    interestedUsers: [],
+    interestedSides: {},
+    status: 'open',
+    ...extra,
+});
+
+const seedDb = (topics = {}, extraDocs = {}) => {
+    const docs = { ...extraDocs };
+    Object.entries(topics).forEach(([topicId, topic]) => { docs[topicDocPath(topicId)] = topic; });
+    return createFakeAdminDb(docs);
+};
+
+const newTopics = (db) => [...db.store.entries()].filter(([path, topic]) => path.includes('/topics/') && topic.createdBy === 'alice');
+
+// Answers topicReview with review, recording the prompts it gets.
+const reviewingLLM = (review) => {
+    const llm = async (task, prompt) => {
+        llm.prompts.push(prompt);
+        return { ok: true, text: JSON.stringify({ reason: '', duplicateOf: null, ...review }) };
+    };
+    llm.prompts = [];
+    return llm;
+};
+
+const ubi = { name: 'Universal Basic Income', description: 'Should every adult get a stipend?', format: 'oxford', category: 'economics', tags: ['#Welfare', 'basic income'] };
+
+describe('topic input', () => {
+    it('normalizes tags and name keys', () => {
+        assert.equal(normalizeTag('  #Climate Change! '), 'climate-change');
+        assert.equal(topicNameKey('Should  we ban cars?'), topicNameKey('should we ban cars'));
+    });
+
+    it('indexes every word prefix of the name for search', () => {
+        assert.deepEqual(topicSearchTerms('Énergie: oui?'), ['e', 'en', 'ene', 'ener', 'energ', 'energi', 'energie', 'o', 'ou', 'oui']);
+        assert.ok(topicSearchTerms('x'.repeat(50)).every(term => term.length <= 20));
+    });
+
+    it('cleans valid input and rejects the rest', () => {
+        assert.deepEqual(topicFromInput({ ...ubi, tags: ['Welfare', '#welfare', 'basic income'] }).tags, ['welfare', 'basic-income']);
+        assert.throws(() => topicFromInput({ ...ubi, name: '  ' }), { code: 'invalid-argument' });
+        assert.throws(() => topicFromInput({ ...ubi, category: 'gossip' }), { code: 'invalid-argument' });
+        assert.throws(() => topicFromInput({ ...ubi, format: 'shouting_match' }), { code: 'invalid-argument' });
+        assert.throws(() => topicFromInput({ ...ubi, tags: ['a', 'b', 'c', 'd', 'e', 'f'] }), { code: 'invalid-argument' });
+    });
+
+    it('keeps briefs only when one side has some', () => {
+        assert.deepEqual(topicFromInput({ ...ubi, briefs: { pro: ' Poverty costs more. ', con: '' } }).briefs, { pro: 'Poverty costs more.', con: '' });
+        assert.equal(topicFromInput({ ...ubi, briefs: { pro: ' ', con: '' } }).briefs, null);
+        assert.throws(() => topicFromInput({ ...ubi, briefs: { pro: 'x'.repeat(601) } }), { code: 'invalid-argument' });
+    });
+
+    it('ignores duplicateOf values that are not candidates', () => {
+        const review = parseTopicReview('```json\n{"verdict": "ok", "duplicateOf": "made-up"}\n```', ['topic1']);
+        assert.deepEqual(review, { verdict: 'ok', reason: '', duplicateOf: null });
+        assert.throws(() => parseTopicReview('{"verdict": "maybe"}', []));
+    });
+});
+
+describe('createTopic', () => {
+    it('stores a screened, open topic with nobody waiting', async () => {
+        const db = seedDb({ topic1: existingTopic('Carbon taxes') });
+        const llm = reviewingLLM({ verdict: 'ok' });
+
+        const { topicId } = await createTopic(db, 'alice', ubi, { llm });
+
+        assert.match(llm.prompts[0], /\[topic1\] Carbon taxes/);
+        const stored = db.store.get(topicDocPath(topicId));
+        assert.equal(stored.name, 'Universal Basic Income');
+        assert.equal(stored.category, 'economics');
+        assert.deepEqual(stored.tags, ['welfare', 'basic-income']);
+        assert.equal(stored.nameKey, 'universal basic income');
+        assert.equal(stored.status, 'open');
+        assert.equal(stored.briefs, null);
+        assert.deepEqual(stored.interestedUsers, []);
+    });
+
+    it('refuses exact duplicates before asking the LLM', async () => {
+        const db = seedDb({ topic1: existingTopic('universal basic income!') });
+        const llm = reviewingLLM({ verdict: 'ok' });
+
+        await assert.rejects(createTopic(db, 'alice', ubi, { llm }), { code: 'already-exists', details: { topicId: 'topic1', exact: true } });
+        assert.equal(llm.prompts.length, 0);
+    });
+
+    it('allows reusing the name of an archived topic', async () => {
+        const db = seedDb({ topic1: existingTopic('Universal Basic Income', { status: 'archived' }) });
+        await createTopic(db, 'alice', ubi, { llm: reviewingLLM({ verdict: 'ok' }) });
+        assert.equal(newTopics(db).length, 1);
+    });
+
+    it('refuses near duplicates unless the author insists', async () => {
+        const db = seedDb({ topic1: existingTopic('Should governments pay everyone a basic income?') });
+        const llm = reviewingLLM({ verdict: 'ok', duplicateOf: 'topic1' });
+
+        await assert.rejects(createTopic(db, 'alice', ubi, { llm }), { code: 'already-exists', details: { topicId: 'topic1', exact: false } });
+        assert.equal(newTopics(db).length, 0);
+
+        await createTopic(db, 'alice', ubi, { llm, allowSimilar: true });
+        assert.equal(newTopics(db).length, 1);
+    });
+
+    it('rejects topics the screen flags, with its reason', async () => {
+        const db = seedDb();
+        const llm = reviewingLLM({ verdict: 'unanswerable', reason: 'What is 2 + 2 has one correct answer.' });
+
+        await assert.rejects(createTopic(db, 'alice', { ...ubi, name: 'What is 2 + 2?' }, { llm }), {
+            code: 'invalid-argument',
+            message: 'What is 2 + 2 has one correct answer.',
+        });
+        assert.equal(newTopics(db).length, 0);
+    });
+
+    it('creates nothing when screening is unavailable', async () => {
+        const db = seedDb();
+        const llm = async () => ({ ok: false, error: { code: 'http', message: 'status 503' } });
+
+        await assert.rejects(createTopic(db, 'alice', ubi, { llm }), { code: 'unavailable' });
+        assert.equal(newTopics(db).length, 0);
+    });
+
+    it('creates nothing when the review cannot be parsed', async () => {
+        const db = seedDb();
+        const llm = async () => ({ ok: true, text: 'Looks fine to me!' });
+
+        await assert.rejects(createTopic(db, 'alice', ubi, { llm }), { code: 'unavailable' });
+        assert.equal(newTopics(db).length, 0);
+    });
+});
+
+describe('setTopicStatus', () => {
+    const waiting = { status: 'waiting', topicId: 'topic1', side: 'pro' };
+
+    it("lets the creator close a topic, ending everyone's wait on it", async () => {
+        const db = seedDb(
+            { topic1: existingTopic('Carbon taxes', { interestedUsers: ['carol', 'dave'], interestedSides: { carol: 'pro', dave: 'con' } }) },
+            { [queueEntryDocPath('carol')]: waiting, [queueEntryDocPath('dave')]: { ...waiting, topicId: 'topic2' } },
+        );
+
+        assert.equal(await setTopicStatus(db, 'bob', 'topic1', 'closed'), 'closed');
+
+        const topic = db.store.get(topicDocPath('topic1'));
+        assert.equal(topic.status, 'closed');
+        assert.deepEqual(topic.interestedUsers, []);
+        assert.equal(db.store.get(queueEntryDocPath('carol')), undefined);
+        assert.ok(db.store.get(queueEntryDocPath('dave')), 'entries for other topics are kept');
+    });
+
+    it('lets the creator reopen an archived topic', async () => {
+        const db = seedDb({ topic1: existingTopic('Carbon taxes', { status: 'archived' }) });
+        await setTopicStatus(db, 'bob', 'topic1', 'open');
+        assert.equal(db.store.get(topicDocPath('topic1')).status, 'open');
+    });
+
+    it('refuses anyone but the creator and unknown statuses', async () => {
+        const db = seedDb({ topic1: existingTopic('Carbon taxes') });
+        await assert.rejects(setTopicStatus(db, 'alice', 'topic1', 'closed'), { code: 'permission-denied' });
+        await assert.rejects(setTopicStatus(db, 'bob', 'topic1', 'deleted'), { code: 'invalid-argument' });
+        await assert.rejects(setTopicStatus(db, 'bob', 'missing', 'closed'), { code: 'not-found' });
+    });
+});
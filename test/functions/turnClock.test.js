@@ -0,0 +1,44 @@
+// Turn clock deadlines and timeouts. Run with `npm run test:functions`.
+const assert = require('node:assert/strict');
+const { DEADLINE_GRACE_MS, clockSecondsFor, initialClock, timeoutUpdates } = require('../../functions/turnClock');
+const { MAX_WORDS_PER_REPLY, MAX_WORDS_PER_DEBATE_TOTAL } = require('../../functions/debateRules');
+
+const ALICE = 'alice';
+const BOB = 'bob';
+const START_MS = Date.UTC(2026, 0, 1);
+
+const room = (overrides = {}) => ({
+    participants: [ALICE, BOB],
+    status: 'active',
+    turn: ALICE,
+    clock: initialClock([ALICE, BOB], ALICE, START_MS),
+    ...overrides,
+});
+
+describe('clockSecondsFor', () => {
+    it('leaves free-form debaters time to write a full reply and their whole word budget', () => {
+        const { turnSeconds, bankSeconds } = clockSecondsFor('freeform');
+
+        assert.ok(turnSeconds >= MAX_WORDS_PER_REPLY * 2);
+        assert.ok(bankSeconds >= MAX_WORDS_PER_DEBATE_TOTAL * 2);
+        assert.deepEqual(clockSecondsFor('unknown'), clockSecondsFor('freeform'));
+    });
+
+    it("sizes formatted rooms by the format's reply limits", () => {
+        assert.deepEqual(clockSecondsFor('three_round'), { turnSeconds: 60 + 300 * 2, bankSeconds: 800 * 2 + 3 * 60 });
+        assert.equal(initialClock([ALICE, BOB], ALICE, START_MS, 'three_round').bankSeconds[BOB], 800 * 2 + 3 * 60);
+    });
+});
+
+describe('timeoutUpdates', () => {
+    it('leaves the turn alone until the grace period after the deadline is over', () => {
+        const debateRoom = room();
+        const deadlineMs = debateRoom.clock.turnDeadline.toMillis();
+
+        assert.equal(timeoutUpdates(debateRoom, deadlineMs + DEADLINE_GRACE_MS), null);
+        const result = timeoutUpdates(debateRoom, deadlineMs + DEADLINE_GRACE_MS + 1);
+        assert.equal(result.timedOutId, ALICE);
+        assert.equal(result.updates.turn, BOB);
+        assert.equal(result.updates['clock.timeouts.alice'], 1);
+    });
+});
@@ -0,0 +1,93 @@
+// Turn order and word budgets as submitMessage enforces them, against an in-memory Firestore.
+// Clients cannot write rooms or messages directly (firestore.rules), so this is the only path.
+// Run with `npm run test:functions`.
+const assert = require('node:assert/strict');
+const { createFakeAdminDb, Timestamp } = require('./fakeAdminFirestore');
+const { commitTurn } = require('../../functions/turns');
+const { MAX_WORDS_PER_REPLY, MAX_WORDS_PER_DEBATE_TOTAL } = require('../../functions/debateRules');
+const { debateRoomDocPath, messagesCollectionPath } = require('../../functions/paths');
+
+const activeRoom = (overrides = {}) => ({
+    participants: ['alice', 'bob'],
+    participantInfo: {
+        alice: { wordsUsed: 10, hasExited: false },
+        bob: { wordsUsed: 0, hasExited: false },
+    },
+    status: 'active',
+    turn: 'alice',
+    format: 'freeform',
+    ...overrides,
+});
+
+const seedDb = (room = activeRoom()) => createFakeAdminDb({ [debateRoomDocPath('room1')]: room });
+
+const messagesIn = (db) => [...db.store.keys()].filter(path => path.startsWith(`${messagesCollectionPath('room1')}/`));
+
+const words = (count) => Array(count).fill('word').join(' ');
+
+describe('commitTurn', () => {
+    it('posts the message and passes the turn, counting words from the text', async () => {
+        const db = seedDb();
+
+        const { messageRef, debateRoom } = await commitTurn(db, 'room1', 'alice', 'three **word** reply');
+
+        assert.equal(db.store.get(messageRef.path).wordCount, 3);
+        const room = db.store.get(debateRoomDocPath('room1'));
+        assert.equal(room.participantInfo.alice.wordsUsed, 13);
+        assert.equal(room.turn, 'bob');
+        assert.equal(room.lastMessageId, messageRef.id);
+        assert.equal(debateRoom.status, 'active');
+    });
+
+    it('refuses posting out of turn, by non-participants or after the debate ends', async () => {
+        await assert.rejects(commitTurn(seedDb(), 'room1', 'bob', 'my turn now'), { code: 'failed-precondition' });
+        await assert.rejects(commitTurn(seedDb(), 'room1', 'mallory', 'let me in'), { code: 'permission-denied' });
+        await assert.rejects(commitTurn(seedDb(activeRoom({ status: 'concluded_one_exited' })), 'room1', 'alice', 'too late'), { code: 'failed-precondition' });
+    });
+
+    it('refuses empty replies and replies over the per-reply limit', async () => {
+        await assert.rejects(commitTurn(seedDb(), 'room1', 'alice', '**  **'), { code: 'invalid-argument' });
+        await assert.rejects(commitTurn(seedDb(), 'room1', 'alice', words(MAX_WORDS_PER_REPLY + 1)), { code: 'invalid-argument' });
+    });
+
+    it('refuses going over the per-debate limit', async () => {
+        const room = activeRoom();
+        room.participantInfo.alice.wordsUsed = MAX_WORDS_PER_DEBATE_TOTAL - 2;
+
+        await assert.rejects(commitTurn(seedDb(room), 'room1', 'alice', 'three word reply'), { code: 'failed-precondition' });
+    });
+
+    it('stamps concludedAt on the turn that ends the debate', async () => {
+        const room = activeRoom();
+        room.participantInfo.alice.wordsUsed = MAX_WORDS_PER_DEBATE_TOTAL - 3;
+        room.participantInfo.bob.hasExited = true;
+        const db = seedDb(room);
+
+        await commitTurn(db, 'room1', 'alice', 'three word reply');
+
+        const stored = db.store.get(debateRoomDocPath('room1'));
+        assert.equal(stored.status, 'concluded_word_limit');
+        assert.ok(stored.concludedAt instanceof Timestamp);
+    });
+
+    it('leaves concludedAt unset while the debate goes on', async () => {
+        const db = seedDb();
+        await commitTurn(db, 'room1', 'alice', 'three word reply');
+        assert.equal(db.store.get(debateRoomDocPath('room1')).concludedAt, undefined);
+    });
+
+    it('clears the note about a skipped turn once the next turn is posted', async () => {
+        const db = seedDb(activeRoom({ skippedTurn: 'bob' }));
+        await commitTurn(db, 'room1', 'alice', 'three word reply');
+        assert.equal('skippedTurn' in db.store.get(debateRoomDocPath('room1')), false);
+    });
+
+    it('writes nothing when a turn is refused', async () => {
+        const db = seedDb();
+
+        await assert.rejects(commitTurn(db, 'room1', 'bob', 'my turn now'));
+
+        assert.deepEqual(messagesIn(db), []);
+        assert.deepEqual(db.store.get(debateRoomDocPath('room1')), activeRoom());
+    });
+});